@@ -0,0 +1,1637 @@
+import { createElement } from 'lwc';
+import AgentChat from 'c/agentChat';
+import initializeAgentSession from '@salesforce/apex/AgentChatController.initializeAgentSession';
+import getAgentRecommendation from '@salesforce/apex/AgentChatController.getAgentRecommendation';
+import saveChatTranscript from '@salesforce/apex/AgentChatController.saveChatTranscript';
+import endAgentSession from '@salesforce/apex/AgentChatController.endAgentSession';
+import getChatSettings from '@salesforce/apex/AgentChatController.getChatSettings';
+import submitMessageFeedback from '@salesforce/apex/AgentChatController.submitMessageFeedback';
+import uploadChatAttachment from '@salesforce/apex/AgentChatController.uploadChatAttachment';
+import callElevenLabsTTS from '@salesforce/apex/ElevenLabsTTSController.generateSpeech';
+import { getRecord } from 'lightning/uiRecordApi';
+import { flushPromises } from 'test-utils';
+
+jest.mock(
+    '@salesforce/apex/AgentChatController.getChatSettings',
+    () => ({ default: jest.fn(() => Promise.resolve({ agentConfigured: true, hasAgentId: false, speechConfigured: false })) }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/AgentChatController.initializeAgentSession',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/AgentChatController.getAgentRecommendation',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/AgentChatController.saveChatTranscript',
+    () => ({ default: jest.fn(() => Promise.resolve('a00000000000001')) }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/AgentChatController.submitMessageFeedback',
+    () => ({ default: jest.fn(() => Promise.resolve('a02000000000001')) }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/AgentChatController.uploadChatAttachment',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/ElevenLabsTTSController.generateSpeech',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/AgentChatController.endAgentSession',
+    () => ({ default: jest.fn(() => Promise.resolve('Session ended')) }),
+    { virtual: true }
+);
+
+const ELEVENLABS_SETTINGS = { agentConfigured: true, hasAgentId: false, speechConfigured: true };
+
+const XSS_REPLY =
+    '<p>Here you go <a href="javascript:alert(1)">link</a></p>' +
+    '<img src=x onerror="window.__xss = true">' +
+    '<script>window.__xss = true</script>' +
+    '<iframe src="javascript:window.__xss = true"></iframe>' +
+    '<form action="https://evil.example"><input name="password"></form>' +
+    '<div style="position:fixed;inset:0" onmouseover="window.__xss = true">overlay</div>';
+
+function createChat(props = {}) {
+    const element = createElement('c-agent-chat', { is: AgentChat });
+    Object.assign(element, { agentId: '0XxTEST', historyRetentionMinutes: 0 }, props);
+    document.body.appendChild(element);
+    return element;
+}
+
+async function openChat(element) {
+    element.shadowRoot.querySelector('.chat-bubble').click();
+    await flushPromises();
+    await flushPromises();
+}
+
+async function send(element, text) {
+    const textarea = element.shadowRoot.querySelector('textarea');
+    textarea.value = text;
+    textarea.dispatchEvent(new CustomEvent('input'));
+    await flushPromises();
+    element.shadowRoot.querySelector('.send-button').click();
+    await flushPromises();
+    await flushPromises();
+}
+
+function assertNeutralized(container) {
+    expect(window.__xss).toBeUndefined();
+    expect(container.querySelectorAll('script,iframe,form,input').length).toBe(0);
+    container.querySelectorAll('*').forEach(el => {
+        Array.from(el.attributes).forEach(attr => {
+            expect(attr.name.startsWith('on')).toBe(false);
+            expect(attr.name).not.toBe('style');
+        });
+    });
+    container.querySelectorAll('a').forEach(link => {
+        expect(link.getAttribute('href') || '').not.toMatch(/javascript:/i);
+        expect(link.rel).toBe('noopener noreferrer');
+    });
+}
+
+describe('c-agent-chat HTML sanitization', () => {
+    beforeEach(() => {
+        initializeAgentSession.mockResolvedValue('SESSION_1');
+    });
+
+    afterEach(() => {
+        while (document.body.firstChild) document.body.removeChild(document.body.firstChild);
+        jest.clearAllMocks();
+        delete window.__xss;
+    });
+
+    it('neutralizes XSS in the welcome message', async () => {
+        const element = createChat({ welcomeMessage: XSS_REPLY });
+        await openChat(element);
+
+        const rendered = element.shadowRoot.querySelector('.lwc-manual-render');
+        expect(rendered.textContent).toContain('Here you go');
+        assertNeutralized(rendered);
+    });
+
+    it('neutralizes XSS in agent replies', async () => {
+        getAgentRecommendation.mockResolvedValue([{ type: 'Inform', text: XSS_REPLY }]);
+        const element = createChat({ welcomeMessage: 'Hi' });
+        await openChat(element);
+
+        await send(element, 'Show me something');
+
+        const rendered = element.shadowRoot.querySelectorAll('.lwc-manual-render');
+        const reply = rendered[rendered.length - 1];
+        expect(reply.textContent).toContain('overlay');
+        assertNeutralized(reply);
+    });
+});
+
+describe('c-agent-chat multi-message turns', () => {
+    beforeEach(() => {
+        initializeAgentSession.mockResolvedValue('SESSION_1');
+    });
+
+    afterEach(() => {
+        while (document.body.firstChild) document.body.removeChild(document.body.firstChild);
+        jest.clearAllMocks();
+    });
+
+    it('renders every message of a turn, choices and handoff notices', async () => {
+        getAgentRecommendation.mockResolvedValueOnce([
+            { type: 'Inform', text: 'First answer' },
+            { type: 'Inform', text: 'Pick one', choices: [{ label: 'Billing', value: 'billing' }, { label: 'Shipping', value: 'shipping' }] },
+            { type: 'Escalate', text: 'Connecting you with a specialist' }
+        ]);
+        const element = createChat({ welcomeMessage: 'Hi' });
+        await openChat(element);
+        await send(element, 'Help');
+
+        const texts = Array.from(element.shadowRoot.querySelectorAll('.agent-message .lwc-manual-render')).map(el => el.textContent);
+        expect(texts).toEqual(['Hi', 'First answer', 'Pick one']);
+        expect(element.shadowRoot.querySelector('.handoff-text').textContent).toBe('Connecting you with a specialist');
+
+        getAgentRecommendation.mockResolvedValueOnce([{ type: 'Inform', text: 'Billing it is' }]);
+        const buttons = element.shadowRoot.querySelectorAll('.quick-reply-button');
+        expect(buttons.length).toBe(2);
+        buttons[0].click();
+        await flushPromises();
+        await flushPromises();
+
+        expect(getAgentRecommendation).toHaveBeenLastCalledWith(expect.objectContaining({ message: 'billing' }));
+        expect(element.shadowRoot.querySelector('.quick-reply-button').disabled).toBe(true);
+    });
+
+    it('closes the chat when the agent ends the session', async () => {
+        getAgentRecommendation.mockResolvedValueOnce([{ type: 'Inform', text: 'Goodbye!' }, { type: 'EndSession' }]);
+        const element = createChat({ welcomeMessage: 'Hi' });
+        await openChat(element);
+        await send(element, 'Bye');
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.chat-window')).toBeNull();
+        expect(element.shadowRoot.querySelector('.chat-ended')).not.toBeNull();
+    });
+});
+
+describe('c-agent-chat markdown replies', () => {
+    beforeEach(() => {
+        initializeAgentSession.mockResolvedValue('SESSION_1');
+    });
+
+    afterEach(() => {
+        while (document.body.firstChild) document.body.removeChild(document.body.firstChild);
+        jest.clearAllMocks();
+    });
+
+    it('renders Markdown replies as formatted, sanitized HTML with copyable code', async () => {
+        getAgentRecommendation.mockResolvedValueOnce([{ type: 'Inform', text: '**Open cases**\n\n| Case | Status |\n|---|---|\n| 001 | New |\n\n```sql\nSELECT Id FROM Case\n```\n[bad](javascript:alert(1))' }]);
+        const element = createChat({ welcomeMessage: 'Hi' });
+        await openChat(element);
+        await send(element, 'List my cases');
+
+        const rendered = element.shadowRoot.querySelectorAll('.agent-message .lwc-manual-render');
+        const reply = rendered[rendered.length - 1];
+        expect(reply.querySelector('strong').textContent).toBe('Open cases');
+        expect(reply.querySelectorAll('td').length).toBe(2);
+        expect(reply.querySelector('.code-block pre').textContent).toBe('SELECT Id FROM Case');
+        expect(reply.querySelector('.code-copy-button')).not.toBeNull();
+        expect(reply.textContent).not.toContain('|');
+        assertNeutralized(reply);
+    });
+});
+
+describe('c-agent-chat streaming', () => {
+    const { TextEncoder, TextDecoder } = require('util');
+
+    function sseResponse(events) {
+        const encoder = new TextEncoder();
+        const chunks = events.map(message => encoder.encode(`data: ${JSON.stringify({ message })}\n\n`));
+        return {
+            ok: true,
+            status: 200,
+            body: { getReader: () => ({ read: () => Promise.resolve(chunks.length ? { done: false, value: chunks.shift() } : { done: true }) }) }
+        };
+    }
+
+    beforeEach(() => {
+        initializeAgentSession.mockResolvedValue('SESSION_1');
+        global.TextDecoder = TextDecoder;
+    });
+
+    afterEach(() => {
+        while (document.body.firstChild) document.body.removeChild(document.body.firstChild);
+        jest.clearAllMocks();
+        delete global.fetch;
+    });
+
+    it('fills one bubble from text chunks and collapses the thought process', async () => {
+        global.fetch = jest.fn(() => Promise.resolve(sseResponse([
+            { type: 'TextChunk', message: '<think>Planning' },
+            { type: 'TextChunk', message: ' the answer</think><p>Hello ' },
+            { type: 'TextChunk', message: 'world</p>' },
+            { type: 'Inform', message: '<think>Planning the answer</think><p>Hello world</p>' },
+            { type: 'EndOfTurn' }
+        ])));
+        const element = createChat({ welcomeMessage: 'Hi', streamingMockEndpoint: 'http://localhost:3001/stream' });
+        await openChat(element);
+        await send(element, 'Stream please');
+        await flushPromises();
+
+        expect(global.fetch).toHaveBeenCalledWith('http://localhost:3001/stream', expect.objectContaining({ method: 'POST' }));
+        expect(getAgentRecommendation).not.toHaveBeenCalled();
+        const bubbles = element.shadowRoot.querySelectorAll('.agent-message .lwc-manual-render');
+        expect(bubbles.length).toBe(2);
+        expect(bubbles[1].textContent).toBe('Hello world');
+        expect(element.shadowRoot.querySelector('.thinking-process-content pre').textContent).toBe('Planning the answer');
+        expect(element.shadowRoot.querySelector('.streaming-caret')).toBeNull();
+    });
+
+    it('treats a 404 from the stream as an expired session', async () => {
+        global.fetch = jest.fn()
+            .mockResolvedValueOnce({ ok: false, status: 404, body: null })
+            .mockResolvedValueOnce(sseResponse([{ type: 'Inform', message: 'Back again' }]));
+        initializeAgentSession.mockResolvedValueOnce('SESSION_1').mockResolvedValueOnce('SESSION_2');
+        const element = createChat({ welcomeMessage: 'Hi', streamingMockEndpoint: 'http://localhost:3001/stream' });
+        await openChat(element);
+        await send(element, 'Hello?');
+        await flushPromises();
+        await flushPromises();
+
+        expect(initializeAgentSession).toHaveBeenCalledTimes(2);
+        const bubbles = element.shadowRoot.querySelectorAll('.agent-message .lwc-manual-render');
+        expect(bubbles[bubbles.length - 1].textContent).toBe('Back again');
+    });
+});
+
+describe('c-agent-chat transcripts', () => {
+    beforeEach(() => {
+        initializeAgentSession.mockResolvedValue('SESSION_1');
+    });
+
+    afterEach(() => {
+        while (document.body.firstChild) document.body.removeChild(document.body.firstChild);
+        jest.clearAllMocks();
+    });
+
+    it('saves the transcript with the record context when the session ends', async () => {
+        getAgentRecommendation.mockResolvedValueOnce([{ type: 'Inform', text: '<think>Look it up</think><p>It is <b>open</b>.</p>' }]);
+        const element = createChat({ welcomeMessage: 'Hi', recordId: '500000000000001AAA', objectApiName: 'Case' });
+        await openChat(element);
+        await send(element, 'Is my case open?');
+
+        element.shadowRoot.querySelector('.end-chat').click();
+        await flushPromises();
+        element.shadowRoot.querySelector('.slds-button_brand').click();
+        await flushPromises();
+        await flushPromises();
+
+        expect(saveChatTranscript).toHaveBeenCalledTimes(1);
+        const params = saveChatTranscript.mock.calls[0][0];
+        expect(params).toEqual(expect.objectContaining({ sessionId: 'SESSION_1', recordId: '500000000000001AAA', objectApiName: 'Case' }));
+        const entries = JSON.parse(params.messages);
+        expect(entries.map(e => [e.sender, e.text])).toEqual([['agent', 'Hi'], ['user', 'Is my case open?'], ['agent', 'It is open.']]);
+        expect(entries[2].thinkingProcess).toBe('Look it up');
+        expect(entries[2].sentAt).toMatch(/^\d{4}-\d{2}-\d{2}T/);
+    });
+
+    it('does not save when transcripts are turned off', async () => {
+        const element = createChat({ welcomeMessage: 'Hi', transcriptSaveMode: 'none' });
+        await openChat(element);
+        element.shadowRoot.querySelector('.end-chat').click();
+        await flushPromises();
+        element.shadowRoot.querySelector('.slds-button_brand').click();
+        await flushPromises();
+
+        expect(saveChatTranscript).not.toHaveBeenCalled();
+    });
+});
+
+describe('c-agent-chat message feedback', () => {
+    beforeEach(() => {
+        initializeAgentSession.mockResolvedValue('SESSION_1');
+        getAgentRecommendation.mockResolvedValue([{ type: 'Inform', text: '<p>It is <b>open</b>.</p>' }]);
+    });
+
+    afterEach(() => {
+        while (document.body.firstChild) document.body.removeChild(document.body.firstChild);
+        jest.clearAllMocks();
+    });
+
+    it('saves a thumbs up with the reply and the prompt it answered and reports it as an event', async () => {
+        const element = createChat({ welcomeMessage: 'Hi', recordId: '500000000000001AAA' });
+        const handler = jest.fn();
+        element.addEventListener('feedback', handler);
+        await openChat(element);
+        // The greeting answers no question and cannot be rated
+        expect(element.shadowRoot.querySelectorAll('.feedback-button').length).toBe(0);
+        await send(element, 'Is my case open?');
+
+        const thumbsUp = element.shadowRoot.querySelector('.feedback-button[data-rating="up"]');
+        expect(thumbsUp.getAttribute('aria-pressed')).toBe('false');
+        thumbsUp.click();
+        await flushPromises();
+
+        expect(thumbsUp.getAttribute('aria-pressed')).toBe('true');
+        expect(submitMessageFeedback).toHaveBeenCalledWith({ feedbackId: null, sessionId: 'SESSION_1', recordId: '500000000000001AAA', rating: 'up',
+            reason: '', comment: '', messageText: 'It is open.', userPrompt: 'Is my case open?' });
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(handler.mock.calls[0][0].detail).toEqual(expect.objectContaining({ sessionId: 'SESSION_1', rating: 'up', messageText: 'It is open.', userPrompt: 'Is my case open?' }));
+        expect(element.shadowRoot.querySelector('.live-announcer').textContent).toBe('Thanks for your feedback.');
+    });
+
+    it('asks for an optional reason and comment on a thumbs down and updates the earlier rating', async () => {
+        const element = createChat({ welcomeMessage: 'Hi' });
+        await openChat(element);
+        await send(element, 'Is my case open?');
+        element.shadowRoot.querySelector('.feedback-button[data-rating="up"]').click();
+        await flushPromises();
+
+        element.shadowRoot.querySelector('.feedback-button[data-rating="down"]').click();
+        await flushPromises();
+        const reason = element.shadowRoot.querySelector('.feedback-reason');
+        expect(element.shadowRoot.activeElement).toBe(reason);
+        expect(submitMessageFeedback).toHaveBeenCalledTimes(1);
+        reason.value = 'Incorrect';
+        element.shadowRoot.querySelector('.feedback-comment').value = ' It is closed ';
+        element.shadowRoot.querySelector('.feedback-submit-button').click();
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.feedback-form')).toBeNull();
+        expect(element.shadowRoot.querySelector('.feedback-button[data-rating="down"]').getAttribute('aria-pressed')).toBe('true');
+        expect(submitMessageFeedback).toHaveBeenLastCalledWith(expect.objectContaining({ feedbackId: 'a02000000000001', rating: 'down', reason: 'Incorrect', comment: 'It is closed' }));
+    });
+
+    it('closes the reason picker on cancel without saving', async () => {
+        const element = createChat({ welcomeMessage: 'Hi' });
+        await openChat(element);
+        await send(element, 'Is my case open?');
+        element.shadowRoot.querySelector('.feedback-button[data-rating="down"]').click();
+        await flushPromises();
+        element.shadowRoot.querySelector('.feedback-cancel-button').click();
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.feedback-form')).toBeNull();
+        expect(element.shadowRoot.activeElement).toBe(element.shadowRoot.querySelector('.feedback-button[data-rating="down"]'));
+        expect(submitMessageFeedback).not.toHaveBeenCalled();
+    });
+});
+
+describe('c-agent-chat attachments', () => {
+    beforeEach(() => {
+        initializeAgentSession.mockResolvedValue('SESSION_1');
+        getAgentRecommendation.mockResolvedValue([{ type: 'Inform', text: 'Let me look at that.' }]);
+        uploadChatAttachment.mockImplementation(({ fileName }) => Promise.resolve({ name: fileName, contentDocumentId: '069000000000001',
+            contentVersionId: '068000000000001', downloadUrl: '/sfc/servlet.shepherd/version/download/068000000000001' }));
+    });
+
+    afterEach(() => {
+        while (document.body.firstChild) document.body.removeChild(document.body.firstChild);
+        jest.clearAllMocks();
+    });
+
+    async function dropFiles(element, files) {
+        const inputArea = element.shadowRoot.querySelector('.chat-input-area');
+        const dataTransfer = { types: ['Files'], files };
+        inputArea.dispatchEvent(Object.assign(new CustomEvent('dragover', { cancelable: true }), { dataTransfer }));
+        inputArea.dispatchEvent(Object.assign(new CustomEvent('drop', { cancelable: true }), { dataTransfer }));
+        // FileReader reports back asynchronously
+        await flushPromises();
+        await flushPromises();
+    }
+
+    it('uploads dropped files for the record page and references them in the message', async () => {
+        const element = createChat({ welcomeMessage: 'Hi', allowAttachments: true, recordId: '500000000000001AAA' });
+        const handler = jest.fn();
+        element.addEventListener('messagesent', handler);
+        await openChat(element);
+        await dropFiles(element, [new File(['%PNG'], 'error.png', { type: 'image/png' })]);
+
+        const preview = element.shadowRoot.querySelector('.attachment-preview');
+        expect(preview.querySelector('.attachment-name').textContent).toBe('error.png');
+        expect(preview.querySelector('img').src).toMatch(/^data:image\/png;base64,/);
+        expect(element.shadowRoot.querySelector('.send-button').disabled).toBe(false);
+        await send(element, 'It shows this error');
+
+        expect(uploadChatAttachment).toHaveBeenCalledWith({ sessionId: 'SESSION_1', recordId: '500000000000001AAA', fileName: 'error.png', base64Data: 'JVBORw==' });
+        expect(getAgentRecommendation.mock.calls[0][0].message).toBe('It shows this error\n\n[Attached files]\n- error.png (ContentDocumentId: 069000000000001)');
+        expect(handler.mock.calls[0][0].detail.attachments).toEqual([expect.objectContaining({ name: 'error.png', contentDocumentId: '069000000000001' })]);
+        expect(element.shadowRoot.querySelector('.attachment-preview')).toBeNull();
+        const bubbleImage = element.shadowRoot.querySelector('.user-bubble .message-attachment img');
+        expect(bubbleImage.getAttribute('src')).toBe('/sfc/servlet.shepherd/version/download/068000000000001');
+        expect(element.shadowRoot.querySelector('.user-bubble .user-text').textContent).toBe('It shows this error');
+    });
+
+    it('attaches pasted images and sends attachments without text', async () => {
+        const element = createChat({ welcomeMessage: 'Hi', allowAttachments: true });
+        await openChat(element);
+        const textarea = element.shadowRoot.querySelector('textarea');
+        const paste = Object.assign(new CustomEvent('paste', { cancelable: true }), { clipboardData: { files: [new File(['%PNG'], 'image.png', { type: 'image/png' })] } });
+        textarea.dispatchEvent(paste);
+        await flushPromises();
+        await flushPromises();
+        expect(paste.defaultPrevented).toBe(true);
+        expect(element.shadowRoot.querySelector('.attachment-name').textContent).toMatch(/^pasted-image-\d+\.png$/);
+
+        element.shadowRoot.querySelector('.send-button').click();
+        await flushPromises();
+        await flushPromises();
+        expect(getAgentRecommendation.mock.calls[0][0].message).toMatch(/^\[Attached files\]\n- pasted-image-\d+\.png/);
+        expect(element.shadowRoot.querySelector('.user-bubble .user-text')).toBeNull();
+    });
+
+    it('rejects files over the limits and keeps attachments when the upload fails', async () => {
+        uploadChatAttachment.mockRejectedValueOnce({ body: { message: 'Storage limit exceeded' } });
+        const element = createChat({ welcomeMessage: 'Hi', allowAttachments: true });
+        await openChat(element);
+        await dropFiles(element, [new File(['MZ'], 'setup.exe'), new File(['notes'], 'notes.txt', { type: 'text/plain' })]);
+        expect(element.shadowRoot.querySelector('.attachment-error').textContent).toMatch(/^setup\.exe can't be attached/);
+        expect(element.shadowRoot.querySelectorAll('.attachment-preview').length).toBe(1);
+
+        await send(element, 'See notes');
+        expect(element.shadowRoot.querySelector('.attachment-error').textContent).toBe('Attachments could not be uploaded: Storage limit exceeded');
+        expect(element.shadowRoot.querySelectorAll('.attachment-preview').length).toBe(1);
+        expect(getAgentRecommendation).not.toHaveBeenCalled();
+
+        element.shadowRoot.querySelector('.remove-attachment-button').click();
+        await flushPromises();
+        expect(element.shadowRoot.querySelector('.attachment-preview')).toBeNull();
+    });
+
+    it('hides the attach button unless attachments are allowed', async () => {
+        const element = createChat({ welcomeMessage: 'Hi' });
+        await openChat(element);
+        expect(element.shadowRoot.querySelector('.attach-button')).toBeNull();
+    });
+});
+
+describe('c-agent-chat theming', () => {
+    let systemDark;
+    let systemListeners;
+
+    beforeEach(() => {
+        initializeAgentSession.mockResolvedValue('SESSION_1');
+        systemDark = false;
+        systemListeners = [];
+        window.matchMedia = jest.fn(() => ({
+            get matches() { return systemDark; },
+            addEventListener: (type, listener) => systemListeners.push(listener),
+            removeEventListener: (type, listener) => { systemListeners = systemListeners.filter(l => l !== listener); }
+        }));
+    });
+
+    afterEach(() => {
+        while (document.body.firstChild) document.body.removeChild(document.body.firstChild);
+        jest.clearAllMocks();
+        localStorage.clear();
+        delete window.matchMedia;
+    });
+
+    it('applies the brand tokens and images', async () => {
+        const element = createChat({ welcomeMessage: 'Hi', brandPrimaryColor: '#0b5cab', cornerRadius: 4, fontFamily: 'Georgia, serif',
+            agentAvatarUrl: '/resource/AgentAvatar', launcherIconUrl: 'data:image/svg+xml,<svg onload="alert(1)"/>' });
+        const container = element.shadowRoot.querySelector('.messenger-chat-container');
+        expect(container.style.getPropertyValue('--agent-chat-primary')).toBe('#0b5cab');
+        expect(container.style.getPropertyValue('--agent-chat-radius')).toBe('4px');
+        expect(container.style.getPropertyValue('--agent-chat-font')).toBe('Georgia, serif');
+        // Unsafe URLs fall back to the default icon
+        expect(element.shadowRoot.querySelector('.launcher-icon')).toBeNull();
+
+        await openChat(element);
+        expect(element.shadowRoot.querySelector('.agent-icon-container .agent-avatar').getAttribute('src')).toBe('/resource/AgentAvatar');
+    });
+
+    it('cycles light, dark and system themes and remembers the choice', async () => {
+        const element = createChat({ welcomeMessage: 'Hi' });
+        await openChat(element);
+        const chatWindow = element.shadowRoot.querySelector('.chat-window');
+        const toggle = element.shadowRoot.querySelector('.theme-toggle');
+        expect(chatWindow.classList).not.toContain('dark-mode');
+        expect(toggle.title).toBe('Switch to Dark Mode');
+
+        toggle.click();
+        await flushPromises();
+        expect(chatWindow.classList).toContain('dark-mode');
+        expect(localStorage.getItem('agentforceChatDarkMode')).toBe('dark');
+        expect(toggle.title).toBe('Use system theme');
+
+        toggle.click();
+        await flushPromises();
+        expect(localStorage.getItem('agentforceChatDarkMode')).toBe('system');
+        expect(chatWindow.classList).not.toContain('dark-mode');
+        systemDark = true;
+        systemListeners.forEach(listener => listener());
+        await flushPromises();
+        expect(chatWindow.classList).toContain('dark-mode');
+    });
+
+    it('keeps a preference saved before the system option existed', async () => {
+        localStorage.setItem('agentforceChatDarkMode', 'true');
+        const element = createChat({ welcomeMessage: 'Hi', defaultTheme: 'system' });
+        await openChat(element);
+        expect(element.shadowRoot.querySelector('.chat-window').classList).toContain('dark-mode');
+
+        document.body.removeChild(element);
+        expect(systemListeners.length).toBe(0);
+    });
+});
+
+describe('c-agent-chat suggested prompts and slash commands', () => {
+    beforeEach(() => {
+        initializeAgentSession.mockResolvedValue('SESSION_1');
+        getAgentRecommendation.mockResolvedValue([{ type: 'Inform', text: 'Anything else?' }]);
+    });
+
+    afterEach(() => {
+        while (document.body.firstChild) document.body.removeChild(document.body.firstChild);
+        jest.clearAllMocks();
+        localStorage.clear();
+    });
+
+    async function type(element, text) {
+        const textarea = element.shadowRoot.querySelector('textarea');
+        textarea.value = text;
+        textarea.dispatchEvent(new CustomEvent('input'));
+        await flushPromises();
+        return textarea;
+    }
+
+    async function pressKey(textarea, key) {
+        const event = new KeyboardEvent('keydown', { key, cancelable: true });
+        textarea.dispatchEvent(event);
+        await flushPromises();
+        await flushPromises();
+        return event;
+    }
+
+    const menuOptions = element => [...element.shadowRoot.querySelectorAll('.slash-command-option')];
+
+    it('shows suggested prompts after the welcome message and replies and sends the chosen one', async () => {
+        const element = createChat({ welcomeMessage: 'Hi', suggestedPrompts: 'Where is my order?|Yes, reset my password' });
+        await openChat(element);
+        const chips = [...element.shadowRoot.querySelectorAll('.suggested-prompt-button')];
+        expect(chips.map(chip => chip.textContent)).toEqual(['Where is my order?', 'Yes, reset my password']);
+
+        chips[1].click();
+        await flushPromises();
+        await flushPromises();
+        expect(getAgentRecommendation.mock.calls[0][0].message).toBe('Yes, reset my password');
+        expect(element.shadowRoot.querySelectorAll('.suggested-prompt-button').length).toBe(2);
+    });
+
+    it('shows no prompts when none are configured', async () => {
+        const element = createChat({ welcomeMessage: 'Hi' });
+        await openChat(element);
+        expect(element.shadowRoot.querySelector('.suggested-prompts')).toBeNull();
+    });
+
+    it('completes slash commands with the keyboard and runs built-in commands', async () => {
+        const element = createChat({ welcomeMessage: 'Hi' });
+        await openChat(element);
+        const textarea = await type(element, '/');
+        // /voice is left out where voice mode isn't available
+        expect(menuOptions(element).map(option => option.querySelector('.slash-command-name').textContent)).toEqual(['/new', '/end', '/export', '/theme']);
+        expect(textarea.getAttribute('aria-expanded')).toBe('true');
+
+        await type(element, '/t');
+        expect(menuOptions(element).length).toBe(1);
+        await pressKey(textarea, 'Enter');
+        expect(element.shadowRoot.querySelector('.chat-window').classList).toContain('dark-mode');
+        expect(textarea.value).toBe('');
+        expect(element.shadowRoot.querySelector('.slash-command-menu')).toBeNull();
+
+        await type(element, '/e');
+        expect(menuOptions(element)[0].getAttribute('aria-selected')).toBe('true');
+        await pressKey(textarea, 'ArrowDown');
+        await pressKey(textarea, 'ArrowDown');
+        expect(menuOptions(element)[0].getAttribute('aria-selected')).toBe('true');
+        expect((await pressKey(textarea, 'Escape')).defaultPrevented).toBe(true);
+        expect(element.shadowRoot.querySelector('.slash-command-menu')).toBeNull();
+
+        await send(element, '/end');
+        expect(element.shadowRoot.querySelector('.slds-modal')).not.toBeNull();
+        expect(getAgentRecommendation).not.toHaveBeenCalled();
+    });
+
+    it('expands custom commands into prompts and sends unknown commands as typed', async () => {
+        const element = createChat({ welcomeMessage: 'Hi', slashCommands: 'order=What is the status of order {input}?|refund=I want a refund' });
+        await openChat(element);
+        const textarea = await type(element, '/or');
+        await pressKey(textarea, 'Tab');
+        expect(textarea.value).toBe('/order ');
+
+        await send(element, '/order 00123');
+        expect(getAgentRecommendation.mock.calls[0][0].message).toBe('What is the status of order 00123?');
+
+        await type(element, '/re');
+        menuOptions(element)[0].dispatchEvent(new CustomEvent('mousedown', { cancelable: true }));
+        await flushPromises();
+        await flushPromises();
+        expect(getAgentRecommendation.mock.calls[1][0].message).toBe('I want a refund');
+
+        await send(element, '/shrug');
+        expect(getAgentRecommendation.mock.calls[2][0].message).toBe('/shrug');
+    });
+});
+
+describe('c-agent-chat idle timeout', () => {
+    const MINUTE = 60 * 1000;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        initializeAgentSession.mockResolvedValue('SESSION_1');
+        getAgentRecommendation.mockResolvedValue([{ type: 'Inform', text: 'Sure.' }]);
+    });
+
+    afterEach(() => {
+        while (document.body.firstChild) document.body.removeChild(document.body.firstChild);
+        jest.clearAllMocks();
+        jest.useRealTimers();
+    });
+
+    // The idle check runs on an interval, so the chat is created and opened on fake timers
+    async function openIdleChat(props) {
+        const element = createChat({ welcomeMessage: 'Hi', ...props });
+        element.shadowRoot.querySelector('.chat-bubble').click();
+        await jest.advanceTimersByTimeAsync(0);
+        return element;
+    }
+
+    it('asks whether the user is still there and keeps the chat open when they are', async () => {
+        const element = await openIdleChat({ idleTimeoutMinutes: 5, idleWarningSeconds: 30 });
+        await jest.advanceTimersByTimeAsync(4 * MINUTE + 29 * 1000);
+        expect(element.shadowRoot.querySelector('.idle-warning')).toBeNull();
+
+        await jest.advanceTimersByTimeAsync(2000);
+        expect(element.shadowRoot.querySelector('.idle-warning-title').textContent).toBe('Are you still there?');
+        expect(element.shadowRoot.querySelector('.idle-warning-text').textContent).toBe('This chat will end in 29 seconds.');
+        element.shadowRoot.querySelector('.idle-continue-button').click();
+        await jest.advanceTimersByTimeAsync(MINUTE);
+        expect(element.shadowRoot.querySelector('.idle-warning')).toBeNull();
+        expect(element.shadowRoot.querySelector('.chat-window')).not.toBeNull();
+    });
+
+    it('ends an idle chat and says why', async () => {
+        const element = await openIdleChat({ idleTimeoutMinutes: 5, idleWarningSeconds: 30 });
+        const sessionEnd = jest.fn();
+        element.addEventListener('sessionend', sessionEnd);
+        await jest.advanceTimersByTimeAsync(5 * MINUTE + 1000);
+
+        expect(endAgentSession).toHaveBeenCalledWith(expect.objectContaining({ sessionId: 'SESSION_1' }));
+        expect(sessionEnd).toHaveBeenCalled();
+        expect(element.shadowRoot.querySelector('.chat-ended-text').textContent).toBe('The chat was closed after 5 minutes without activity.');
+    });
+
+    it('never ends the chat when the timeout is turned off', async () => {
+        const element = await openIdleChat({ idleTimeoutMinutes: 0 });
+        await jest.advanceTimersByTimeAsync(13 * MINUTE);
+        expect(element.shadowRoot.querySelector('.chat-window')).not.toBeNull();
+        expect(endAgentSession).not.toHaveBeenCalled();
+    });
+
+    it('keeps the session while the user is active and replaces it only when a send finds it expired', async () => {
+        initializeAgentSession.mockResolvedValueOnce('SESSION_1').mockResolvedValueOnce('SESSION_2');
+        const element = await openIdleChat({ idleTimeoutMinutes: 0 });
+        const sessionEnd = jest.fn();
+        element.addEventListener('sessionend', sessionEnd);
+        const chatWindow = element.shadowRoot.querySelector('.chat-window');
+        for (let minute = 0; minute < 20; minute++) {
+            chatWindow.dispatchEvent(new CustomEvent('pointerdown'));
+            // eslint-disable-next-line no-await-in-loop
+            await jest.advanceTimersByTimeAsync(MINUTE);
+        }
+        expect(initializeAgentSession).toHaveBeenCalledTimes(1);
+        expect(sessionEnd).not.toHaveBeenCalled();
+
+        getAgentRecommendation.mockRejectedValueOnce({ body: { message: 'Agent session is invalid or has expired. (Status: 404)', exceptionType: 'AgentChatController.AgentSessionExpiredException' } });
+        element.sendMessage('Still here');
+        await jest.advanceTimersByTimeAsync(0);
+        expect(getAgentRecommendation.mock.calls.map(call => [call[0].sessionId, call[0].message])).toEqual([['SESSION_1', 'Still here'], ['SESSION_2', 'Still here']]);
+        expect(Array.from(element.shadowRoot.querySelectorAll('.system-text')).map(el => el.textContent))
+            .toEqual(expect.arrayContaining(['Session expired. Reconnecting...', 'The agent started a new session. It may not remember earlier messages.']));
+        expect(Array.from(element.shadowRoot.querySelectorAll('.agent-message .lwc-manual-render')).map(el => el.textContent)).toEqual(['Hi', 'Sure.']);
+    });
+});
+
+describe('c-agent-chat conversation persistence', () => {
+    const MINUTE = 60 * 1000;
+    const STORAGE_KEY = 'agentforceChatConversation_005000000000000000_0XxTEST'; // Jest's default user ID
+    const EXPIRED = { body: { message: 'Agent session is invalid or has expired. Please start a new chat. (Status: 404)', exceptionType: 'AgentChatController.AgentSessionExpiredException' } };
+    const agentTexts = (element) => Array.from(element.shadowRoot.querySelectorAll('.agent-message .lwc-manual-render')).map(el => el.textContent);
+    const systemTexts = (element) => Array.from(element.shadowRoot.querySelectorAll('.system-text')).map(el => el.textContent);
+
+    beforeEach(() => {
+        initializeAgentSession.mockResolvedValue('SESSION_1');
+        getAgentRecommendation.mockResolvedValue([{ type: 'Inform', text: 'Sure.' }]);
+    });
+
+    afterEach(() => {
+        while (document.body.firstChild) document.body.removeChild(document.body.firstChild);
+        jest.clearAllMocks();
+        localStorage.clear();
+    });
+
+    // Chats once, leaves the page and comes back; ageMs makes the saved conversation that much older
+    async function chatAndReload(ageMs = 0) {
+        const first = createChat({ welcomeMessage: 'Hi', historyRetentionMinutes: 60 });
+        await openChat(first);
+        await send(first, 'Hello');
+        document.body.removeChild(first);
+        const state = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...state, savedAt: state.savedAt - ageMs, lastActivityAt: state.lastActivityAt - ageMs }));
+        const element = createChat({ welcomeMessage: 'Hi', historyRetentionMinutes: 60 });
+        await flushPromises();
+        await flushPromises();
+        return element;
+    }
+
+    it('restores the conversation and keeps using a recent session', async () => {
+        const element = await chatAndReload();
+
+        expect(element.shadowRoot.querySelector('.chat-window')).not.toBeNull();
+        expect(agentTexts(element)).toEqual(['Hi', 'Sure.']);
+        expect(element.shadowRoot.querySelector('.user-text').textContent).toBe('Hello');
+        await send(element, 'Again');
+        expect(initializeAgentSession).toHaveBeenCalledTimes(1);
+        expect(getAgentRecommendation).toHaveBeenLastCalledWith(expect.objectContaining({ sessionId: 'SESSION_1', message: 'Again' }));
+    });
+
+    it('starts a new session for a conversation idle longer than the session lifetime', async () => {
+        initializeAgentSession.mockResolvedValueOnce('SESSION_1').mockResolvedValueOnce('SESSION_2');
+        const element = await chatAndReload(20 * MINUTE);
+
+        expect(agentTexts(element)).toEqual(['Hi', 'Sure.']);
+        expect(systemTexts(element)).toContain('Previous session expired. Started a new session.');
+        await send(element, 'Again');
+        expect(getAgentRecommendation).toHaveBeenLastCalledWith(expect.objectContaining({ sessionId: 'SESSION_2', message: 'Again' }));
+    });
+
+    it('discards a conversation older than the retention window', async () => {
+        const element = await chatAndReload(61 * MINUTE);
+
+        expect(element.shadowRoot.querySelector('.chat-window')).toBeNull();
+        expect(localStorage.getItem(STORAGE_KEY)).toBeNull();
+    });
+
+    it("doesn't restore another user's conversation", async () => {
+        const first = createChat({ welcomeMessage: 'Hi', historyRetentionMinutes: 60 });
+        await openChat(first);
+        await send(first, 'Hello');
+        document.body.removeChild(first);
+        const otherUserKey = 'agentforceChatConversation_005000000000OTHER_0XxTEST';
+        const otherUserState = localStorage.getItem(STORAGE_KEY);
+        localStorage.setItem(otherUserKey, otherUserState);
+        localStorage.removeItem(STORAGE_KEY);
+        const element = createChat({ welcomeMessage: 'Hi', historyRetentionMinutes: 60 });
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.chat-window')).toBeNull();
+        await openChat(element);
+        expect(element.shadowRoot.querySelector('.user-text')).toBeNull();
+        expect(initializeAgentSession).toHaveBeenCalledTimes(2);
+        expect(localStorage.getItem(STORAGE_KEY)).not.toBeNull();
+        expect(localStorage.getItem(otherUserKey)).toBe(otherUserState);
+    });
+
+    it('keeps a restored conversation without a live session when the page is left', async () => {
+        initializeAgentSession.mockResolvedValueOnce('SESSION_1').mockRejectedValueOnce({ body: { message: 'Agent unavailable' } });
+        const element = await chatAndReload(20 * MINUTE);
+        const stored = localStorage.getItem(STORAGE_KEY);
+        document.body.removeChild(element);
+
+        expect(stored).toContain('Hello');
+        expect(endAgentSession).not.toHaveBeenCalled();
+        expect(localStorage.getItem(STORAGE_KEY)).toBe(stored);
+    });
+
+    it('treats the first 404 of a restored session as expired and says so', async () => {
+        initializeAgentSession.mockResolvedValueOnce('SESSION_1').mockResolvedValueOnce('SESSION_2');
+        const element = await chatAndReload();
+        getAgentRecommendation.mockRejectedValueOnce(EXPIRED);
+        await send(element, 'Again');
+        await flushPromises();
+
+        expect(getAgentRecommendation.mock.calls.slice(-2).map(call => [call[0].sessionId, call[0].message])).toEqual([['SESSION_1', 'Again'], ['SESSION_2', 'Again']]);
+        expect(systemTexts(element)).toContain('Previous session expired. Started a new session.');
+        expect(systemTexts(element)).not.toContain('Session expired. Reconnecting...');
+        expect(agentTexts(element)).toEqual(['Hi', 'Sure.', 'Sure.']);
+    });
+});
+
+describe('c-agent-chat chat configuration', () => {
+    beforeEach(() => {
+        initializeAgentSession.mockResolvedValue('SESSION_1');
+        getAgentRecommendation.mockResolvedValue([{ type: 'Inform', text: 'Sure.' }]);
+    });
+
+    afterEach(() => {
+        while (document.body.firstChild) document.body.removeChild(document.body.firstChild);
+        jest.clearAllMocks();
+        jest.restoreAllMocks();
+        delete global.fetch;
+    });
+
+    const systemTexts = (element) => Array.from(element.shadowRoot.querySelectorAll('.system-text')).map(el => el.textContent);
+
+    it('refers to the configuration by name and drops credentials still set on the page', async () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const element = createChat({ welcomeMessage: 'Hi', configurationName: 'Support', connectedAppConsumerKey: 'KEY', connectedAppConsumerSecret: 'SECRET', elevenLabsApiKey: 'XI_KEY' });
+        await openChat(element);
+        await send(element, 'Hello');
+        await element.endSession();
+
+        expect(element.connectedAppConsumerSecret).toBeUndefined();
+        expect(console.warn).toHaveBeenCalledWith('[agentChat]', expect.stringContaining('connectedAppConsumerSecret is no longer used'));
+        expect(getChatSettings).toHaveBeenCalledWith({ configurationName: 'Support' });
+        expect(initializeAgentSession).toHaveBeenCalledWith({ agentId: '0XxTEST', configurationName: 'Support', contextVariables: null });
+        expect(getAgentRecommendation).toHaveBeenCalledWith(expect.objectContaining({ configurationName: 'Support' }));
+        expect(endAgentSession).toHaveBeenCalledWith({ sessionId: 'SESSION_1', configurationName: 'Support' });
+        const sent = JSON.stringify([initializeAgentSession, getAgentRecommendation, endAgentSession].map(mock => mock.mock.calls));
+        expect(sent).not.toMatch(/KEY|SECRET/);
+    });
+
+    it("uses the configuration's agent ID and reports a configuration that can't start a chat", async () => {
+        getChatSettings.mockResolvedValueOnce({ agentConfigured: true, hasAgentId: true });
+        const element = createChat({ welcomeMessage: 'Hi', agentId: undefined });
+        await openChat(element);
+        expect(initializeAgentSession).toHaveBeenCalledWith(expect.objectContaining({ agentId: undefined }));
+        document.body.removeChild(element);
+
+        getChatSettings.mockResolvedValueOnce({ agentConfigured: false, hasAgentId: true });
+        const unconfigured = createChat({ welcomeMessage: 'Hi' });
+        await openChat(unconfigured);
+        expect(systemTexts(unconfigured).join(' ')).toContain('Configuration incomplete.');
+        document.body.removeChild(unconfigured);
+
+        getChatSettings.mockRejectedValueOnce({ body: { message: 'The chat configuration "Typo" was not found.' } });
+        const missing = createChat({ welcomeMessage: 'Hi', configurationName: 'Typo' });
+        await openChat(missing);
+        expect(systemTexts(missing).join(' ')).toContain('The chat configuration "Typo" was not found.');
+        expect(initializeAgentSession).toHaveBeenCalledTimes(1);
+    });
+
+    it('never streams from the Agent API in the browser, replies come through Apex', async () => {
+        global.fetch = jest.fn();
+        const element = createChat({ welcomeMessage: 'Hi' });
+        await openChat(element);
+        await send(element, 'Hello');
+
+        expect(global.fetch).not.toHaveBeenCalled();
+        expect(getAgentRecommendation).toHaveBeenCalledWith(expect.objectContaining({ message: 'Hello' }));
+    });
+});
+
+describe('c-agent-chat diagnostics', () => {
+    beforeEach(() => {
+        initializeAgentSession.mockResolvedValue('SESSION_1');
+        getAgentRecommendation.mockResolvedValue([{ type: 'Inform', text: 'Sure.', sequenceId: 1 }]);
+        Object.defineProperty(navigator, 'clipboard', { value: { writeText: jest.fn(() => Promise.resolve()) }, configurable: true });
+    });
+
+    afterEach(() => {
+        while (document.body.firstChild) document.body.removeChild(document.body.firstChild);
+        jest.clearAllMocks();
+        jest.restoreAllMocks();
+    });
+
+    it('is hidden and writes nothing to the console by default', async () => {
+        jest.spyOn(console, 'log');
+        jest.spyOn(console, 'error');
+        getAgentRecommendation.mockRejectedValueOnce({ body: { message: 'Agent unavailable' } });
+        const element = createChat({ welcomeMessage: 'Hi' });
+        await openChat(element);
+        await send(element, 'Hello');
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.diagnostics-toggle')).toBeNull();
+        expect(console.log).not.toHaveBeenCalled();
+        expect(console.error).not.toHaveBeenCalled();
+    });
+
+    it('writes to the console from the configured log level', async () => {
+        jest.spyOn(console, 'info').mockImplementation(() => {});
+        jest.spyOn(console, 'debug').mockImplementation(() => {});
+        const element = createChat({ welcomeMessage: 'Hi', logLevel: 'info' });
+        await openChat(element);
+
+        expect(console.info).toHaveBeenCalledWith('[agentChat]', expect.any(String), 'SESSION_1');
+        expect(console.debug).not.toHaveBeenCalled();
+    });
+
+    it('shows the session, sequence, round trips and redacted payloads', async () => {
+        const element = createChat({ welcomeMessage: 'Hi', enableDiagnostics: true });
+        await openChat(element);
+        await send(element, 'Hello');
+        await flushPromises();
+
+        const toggle = element.shadowRoot.querySelector('.diagnostics-toggle');
+        toggle.click();
+        await flushPromises();
+        expect(toggle.getAttribute('aria-expanded')).toBe('true');
+        const drawer = element.shadowRoot.querySelector('.diagnostics-drawer');
+        expect(drawer.querySelector('.diagnostics-session-id').textContent).toBe('SESSION_1');
+        expect(drawer.querySelector('.diagnostics-sequence-id').textContent).toBe('1');
+        const turns = drawer.querySelectorAll('.diagnostics-turn');
+        expect(turns).toHaveLength(1);
+        expect(turns[0].querySelector('.diagnostics-duration').textContent).toMatch(/^\d+ ms$/);
+
+        const request = drawer.querySelector('.diagnostics-last-request').textContent;
+        expect(request).toContain('"message": "Hello"');
+        expect(request).toContain('"configurationName": "Default"');
+        expect(request).not.toMatch(/consumer|secret/i);
+        expect(drawer.querySelector('.diagnostics-last-response').textContent).toContain('"text": "Sure."');
+    });
+
+    it('lists failed turns and copies a redacted debug bundle', async () => {
+        getAgentRecommendation.mockRejectedValueOnce({ body: { message: 'Agent unavailable' } });
+        const element = createChat({ welcomeMessage: 'Hi', enableDiagnostics: true });
+        await openChat(element);
+        await send(element, 'Hello');
+        await flushPromises();
+        element.shadowRoot.querySelector('.diagnostics-toggle').click();
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.diagnostics-result.failed').textContent).toBe('Agent unavailable');
+        element.shadowRoot.querySelector('.copy-debug-bundle').click();
+        await flushPromises();
+
+        const bundle = JSON.parse(navigator.clipboard.writeText.mock.calls[0][0]);
+        expect(bundle).toMatchObject({ sessionId: 'SESSION_1', config: { agentId: '0XxTEST' }, turns: [{ error: 'Agent unavailable' }] });
+        expect(bundle.lastRequest.params).toEqual({ sessionId: 'SESSION_1', message: 'Hello', configurationName: 'Default', contextVariables: null });
+        expect(bundle.logEntries.length).toBeGreaterThan(0);
+    });
+});
+
+describe('c-agent-chat context variables', () => {
+    beforeEach(() => {
+        initializeAgentSession.mockResolvedValue('SESSION_1');
+    });
+
+    afterEach(() => {
+        while (document.body.firstChild) document.body.removeChild(document.body.firstChild);
+        jest.clearAllMocks();
+    });
+
+    it('sends record context and record fields on session start and with each message', async () => {
+        getAgentRecommendation.mockResolvedValue([{ type: 'Inform', text: 'Summary' }]);
+        const element = createChat({
+            welcomeMessage: 'Hi',
+            recordId: '500000000000001AAA',
+            objectApiName: 'Case',
+            contextVariables: 'RecordId=recordId, ObjectType=objectApiName, CaseSubject=field:Subject, Bogus=unknown'
+        });
+        getRecord.emit({ fields: { Subject: { value: 'Printer on fire' } } });
+        await openChat(element);
+
+        const sessionVariables = JSON.parse(initializeAgentSession.mock.calls[0][0].contextVariables);
+        expect(sessionVariables).toEqual([
+            { name: 'RecordId', type: 'Text', value: '500000000000001AAA' },
+            { name: 'ObjectType', type: 'Text', value: 'Case' },
+            { name: 'CaseSubject', type: 'Text', value: 'Printer on fire' }
+        ]);
+
+        element.recordId = '500000000000002AAA';
+        getRecord.emit({ fields: { Subject: { value: 'Paper jam' } } });
+        await send(element, 'Summarize this case');
+
+        const messageVariables = JSON.parse(getAgentRecommendation.mock.calls[0][0].contextVariables);
+        expect(messageVariables).toContainEqual({ name: 'RecordId', type: 'Text', value: '500000000000002AAA' });
+        expect(messageVariables).toContainEqual({ name: 'CaseSubject', type: 'Text', value: 'Paper jam' });
+    });
+
+    it('sends no variables when none are configured', async () => {
+        const element = createChat({ welcomeMessage: 'Hi', recordId: '500000000000001AAA' });
+        await openChat(element);
+
+        expect(initializeAgentSession.mock.calls[0][0].contextVariables).toBeNull();
+    });
+
+    it('only sends the page URL when a variable is configured with it', async () => {
+        getAgentRecommendation.mockResolvedValue([{ type: 'Inform', text: 'Sure.' }]);
+        const element = createChat({ welcomeMessage: 'Hi', recordId: '500000000000001AAA', contextVariables: 'RecordId=recordId' });
+        await openChat(element);
+        await send(element, 'Hello');
+        expect(getAgentRecommendation.mock.calls[0][0].contextVariables).not.toContain(window.location.href);
+
+        element.contextVariables = 'Page=pageUrl';
+        await send(element, 'Hello again');
+        expect(JSON.parse(getAgentRecommendation.mock.calls[1][0].contextVariables)).toEqual([{ name: 'Page', type: 'Text', value: window.location.href }]);
+    });
+});
+
+describe('c-agent-chat public API', () => {
+    beforeEach(() => {
+        initializeAgentSession.mockResolvedValue('SESSION_1');
+    });
+
+    afterEach(() => {
+        while (document.body.firstChild) document.body.removeChild(document.body.firstChild);
+        jest.clearAllMocks();
+    });
+
+    function listen(element, names) {
+        const events = [];
+        names.forEach(name => element.addEventListener(name, event => events.push({ name, detail: event.detail })));
+        return events;
+    }
+
+    it('opens, sends a message and reports the conversation through events', async () => {
+        getAgentRecommendation.mockResolvedValueOnce([{ type: 'Inform', text: 'Your case is open.' }]);
+        const element = createChat({ welcomeMessage: 'Hi' });
+        const events = listen(element, ['sessionstart', 'messagesent', 'agentresponse', 'sessionend']);
+
+        expect(await element.sendMessage('Summarize this case')).toBe(true);
+
+        expect(element.shadowRoot.querySelector('.chat-window')).not.toBeNull();
+        expect(getAgentRecommendation).toHaveBeenCalledWith(expect.objectContaining({ sessionId: 'SESSION_1', message: 'Summarize this case' }));
+        expect(events.map(e => e.name)).toEqual(['sessionstart', 'messagesent', 'agentresponse']);
+        expect(events[2].detail.messages[0].text).toBe('Your case is open.');
+        expect(element.getTranscript().map(e => e.text)).toEqual(['Hi', 'Summarize this case', 'Your case is open.']);
+        expect(element.getTranscript('text')).toContain('You: Summarize this case');
+
+        await element.endSession();
+        expect(events[events.length - 1]).toEqual({ name: 'sessionend', detail: { sessionId: 'SESSION_1' } });
+    });
+
+    it('minimizes, prefills without sending and ignores empty messages', async () => {
+        const element = createChat({ welcomeMessage: 'Hi' });
+        await element.open();
+        element.minimize();
+        await flushPromises();
+        expect(element.shadowRoot.querySelector('.chat-window')).toBeNull();
+
+        await element.prefillMessage('Draft question');
+        await flushPromises();
+        expect(element.shadowRoot.querySelector('textarea').value).toBe('Draft question');
+        expect(await element.sendMessage('   ')).toBe(false);
+        expect(getAgentRecommendation).not.toHaveBeenCalled();
+    });
+
+    it('dispatches an error event when the session cannot start', async () => {
+        initializeAgentSession.mockRejectedValueOnce({ body: { message: 'Invalid client credentials' } });
+        const element = createChat({ welcomeMessage: 'Hi' });
+        const events = listen(element, ['error']);
+
+        expect(await element.open()).toBe(false);
+        expect(events).toEqual([{ name: 'error', detail: { source: 'initialization', message: 'Invalid client credentials' } }]);
+    });
+});
+
+describe('c-agent-chat delivery status and queue', () => {
+    beforeEach(() => {
+        initializeAgentSession.mockResolvedValue('SESSION_1');
+    });
+
+    afterEach(() => {
+        while (document.body.firstChild) document.body.removeChild(document.body.firstChild);
+        jest.clearAllMocks();
+        jest.useRealTimers();
+    });
+
+    function statuses(element) {
+        return Array.from(element.shadowRoot.querySelectorAll('.message-status')).map(el => el.dataset.status);
+    }
+
+    it('queues messages typed while the agent is answering and sends them in order', async () => {
+        let answerFirst;
+        getAgentRecommendation
+            .mockReturnValueOnce(new Promise(resolve => { answerFirst = resolve; }))
+            .mockResolvedValueOnce([{ type: 'Inform', text: 'Second answer' }]);
+        const element = createChat({ welcomeMessage: 'Hi' });
+        await openChat(element);
+
+        await send(element, 'First');
+        await send(element, 'Second');
+        expect(getAgentRecommendation).toHaveBeenCalledTimes(1);
+        expect(statuses(element)).toEqual(['sending', 'sending']);
+
+        answerFirst([{ type: 'Inform', text: 'First answer' }]);
+        await flushPromises();
+        await flushPromises();
+
+        expect(getAgentRecommendation.mock.calls.map(call => call[0].message)).toEqual(['First', 'Second']);
+        expect(statuses(element)).toEqual(['delivered', 'delivered']);
+    });
+
+    it('marks a failed message and sends it again on retry', async () => {
+        getAgentRecommendation
+            .mockRejectedValueOnce({ body: { message: 'Failed to get agent response (Status: 400)' } })
+            .mockResolvedValueOnce([{ type: 'Inform', text: 'Got it' }]);
+        const element = createChat({ welcomeMessage: 'Hi' });
+        await openChat(element);
+        await send(element, 'Hello?');
+
+        expect(statuses(element)).toEqual(['failed']);
+        element.shadowRoot.querySelector('.retry-button').click();
+        await flushPromises();
+        await flushPromises();
+
+        expect(getAgentRecommendation.mock.calls.map(call => call[0].message)).toEqual(['Hello?', 'Hello?']);
+        expect(element.shadowRoot.querySelectorAll('.user-text').length).toBe(1);
+        expect(statuses(element)).toEqual(['delivered']);
+        expect(element.shadowRoot.querySelector('.retry-button')).toBeNull();
+    });
+
+    it('retries transient errors automatically with backoff', async () => {
+        getAgentRecommendation
+            .mockRejectedValueOnce({ body: { message: 'Service Unavailable (Status: 503)' } })
+            .mockResolvedValueOnce([{ type: 'Inform', text: 'Made it' }]);
+        const element = createChat({ welcomeMessage: 'Hi' });
+        await openChat(element);
+
+        jest.useFakeTimers();
+        const delivered = element.sendMessage('Are you there?');
+        await jest.advanceTimersByTimeAsync(0);
+        expect(getAgentRecommendation).toHaveBeenCalledTimes(1);
+        expect(statuses(element)).toEqual(['sending']);
+
+        await jest.advanceTimersByTimeAsync(1000);
+        expect(await delivered).toBe(true);
+        expect(getAgentRecommendation).toHaveBeenCalledTimes(2);
+        expect(statuses(element)).toEqual(['delivered']);
+    });
+
+    it("doesn't retry a timeout, which the agent may still have answered", async () => {
+        getAgentRecommendation.mockRejectedValueOnce({ body: { message: 'The request to the agent timed out. Please try sending your message again.' } });
+        const element = createChat({ welcomeMessage: 'Hi' });
+        await openChat(element);
+
+        jest.useFakeTimers();
+        const delivered = element.sendMessage('Are you there?');
+        await jest.advanceTimersByTimeAsync(8000);
+        expect(await delivered).toBe(false);
+        expect(getAgentRecommendation).toHaveBeenCalledTimes(1);
+        expect(statuses(element)).toEqual(['failed']);
+    });
+
+    it('resends once on a new session when the session expired', async () => {
+        initializeAgentSession.mockResolvedValueOnce('SESSION_1').mockResolvedValueOnce('SESSION_2');
+        getAgentRecommendation
+            .mockRejectedValueOnce({ body: { message: 'Agent session is invalid or has expired. Please start a new chat. (Status: 404)', exceptionType: 'AgentChatController.AgentSessionExpiredException' } })
+            .mockResolvedValueOnce([{ type: 'Inform', text: 'Back again' }]);
+        const element = createChat({ welcomeMessage: 'Hi' });
+        await openChat(element);
+        await send(element, 'Still there?');
+        await flushPromises();
+
+        expect(getAgentRecommendation.mock.calls.map(call => [call[0].sessionId, call[0].message])).toEqual([['SESSION_1', 'Still there?'], ['SESSION_2', 'Still there?']]);
+        expect(element.shadowRoot.querySelectorAll('.user-text').length).toBe(1);
+        expect(statuses(element)).toEqual(['delivered']);
+    });
+});
+
+describe('c-agent-chat voice input', () => {
+    let recognition;
+    let utterances;
+    let endsSpeech;
+
+    class FakeUtterance {
+        constructor(text) { this.text = text; }
+    }
+
+    class FakeSpeechRecognition {
+        constructor() { recognition = this; }
+        start() { this.started = true; if (this.onstart) this.onstart(); }
+        stop() { this.started = false; }
+    }
+
+    function speak(transcript, isFinal) {
+        const result = [{ transcript }];
+        result.isFinal = isFinal;
+        recognition.onresult({ resultIndex: 0, results: [result] });
+    }
+
+    beforeEach(() => {
+        initializeAgentSession.mockResolvedValue('SESSION_1');
+        getAgentRecommendation.mockResolvedValue([{ type: 'Inform', text: 'Hallo!' }]);
+        window.SpeechRecognition = FakeSpeechRecognition;
+        utterances = [];
+        endsSpeech = true;
+        window.SpeechSynthesisUtterance = FakeUtterance;
+        window.speechSynthesis = {
+            cancel: jest.fn(),
+            getVoices: () => [{ name: 'Anna', lang: 'de-DE' }, { name: 'Google UK English Female', lang: 'en-GB' }],
+            speak: jest.fn(utterance => {
+                utterances.push(utterance);
+                utterance.onstart();
+                if (endsSpeech) Promise.resolve().then(() => utterance.onend());
+            })
+        };
+    });
+
+    afterEach(() => {
+        while (document.body.firstChild) document.body.removeChild(document.body.firstChild);
+        jest.clearAllMocks();
+        jest.useRealTimers();
+        delete window.SpeechRecognition;
+        delete window.speechSynthesis;
+        delete window.SpeechSynthesisUtterance;
+        recognition = null;
+    });
+
+    async function startVoice(props) {
+        const element = createChat({ welcomeMessage: 'Hi', allowVoiceMode: true, ...props });
+        await openChat(element);
+        element.shadowRoot.querySelector('.voice-toggle').click();
+        await flushPromises();
+        return element;
+    }
+
+    async function sendTranscript(element, transcript) {
+        speak(transcript, true);
+        await flushPromises();
+        element.shadowRoot.querySelector('.voice-send-button').click();
+        await flushPromises();
+        await flushPromises();
+    }
+
+    it('uses the configured language and shows interim transcripts live', async () => {
+        const element = await startVoice({ voiceLanguage: 'de-DE' });
+        expect(recognition.lang).toBe('de-DE');
+        expect(recognition.interimResults).toBe(true);
+
+        speak('Wie ist der', false);
+        await flushPromises();
+        expect(element.shadowRoot.querySelector('.voice-interim-transcript').textContent).toBe('Wie ist der');
+    });
+
+    it('lets the user edit the transcript before sending it', async () => {
+        const element = await startVoice({ voiceAutoSendDelay: 0 });
+        speak('Wie ist der Status', true);
+        await flushPromises();
+
+        const editor = element.shadowRoot.querySelector('.voice-transcript-editor');
+        expect(editor.value).toBe('Wie ist der Status');
+        expect(recognition.started).toBe(false);
+        editor.value = 'Wie ist der Status meines Falls?';
+        editor.dispatchEvent(new CustomEvent('input'));
+        element.shadowRoot.querySelector('.voice-send-button').click();
+        await flushPromises();
+        await flushPromises();
+
+        expect(getAgentRecommendation).toHaveBeenCalledWith(expect.objectContaining({ message: 'Wie ist der Status meines Falls?' }));
+    });
+
+    it('sends the transcript automatically after the configured delay unless it is edited', async () => {
+        const element = await startVoice({ voiceAutoSendDelay: 3 });
+        jest.useFakeTimers();
+        speak('Check my order', true);
+        await jest.advanceTimersByTimeAsync(2900);
+        expect(getAgentRecommendation).not.toHaveBeenCalled();
+        expect(element.shadowRoot.querySelector('.voice-transcript-review').textContent).toContain('Sending in 3 s');
+
+        await jest.advanceTimersByTimeAsync(200);
+        expect(getAgentRecommendation).toHaveBeenCalledWith(expect.objectContaining({ message: 'Check my order' }));
+
+        speak('Another one', true);
+        await jest.advanceTimersByTimeAsync(0);
+        const editor = element.shadowRoot.querySelector('.voice-transcript-editor');
+        editor.value = 'Another one, edited';
+        editor.dispatchEvent(new CustomEvent('input'));
+        await jest.advanceTimersByTimeAsync(5000);
+        expect(getAgentRecommendation).toHaveBeenCalledTimes(1);
+    });
+
+    it('speaks replies with the browser voice when ElevenLabs is not configured', async () => {
+        const element = await startVoice({ voiceLanguage: 'de-DE', speechRate: 120, speechPitch: 80, voiceAutoSendDelay: 0 });
+        await sendTranscript(element, 'Hallo');
+
+        expect(callElevenLabsTTS).not.toHaveBeenCalled();
+        expect(utterances.map(u => u.text)).toContain('Hallo!');
+        const utterance = utterances.find(u => u.text === 'Hallo!');
+        expect(utterance.voice.name).toBe('Anna');
+        expect(utterance.rate).toBeCloseTo(1.2);
+        expect(utterance.pitch).toBeCloseTo(0.8);
+        await flushPromises();
+        expect(recognition.started).toBe(true);
+    });
+
+    it('falls back to the browser voice when ElevenLabs fails', async () => {
+        callElevenLabsTTS.mockRejectedValue({ body: { message: 'quota_exceeded' } });
+        getChatSettings.mockResolvedValueOnce(ELEVENLABS_SETTINGS);
+        const element = await startVoice({ ttsVoiceName: 'google uk', voiceAutoSendDelay: 0 });
+        await sendTranscript(element, 'Hello');
+
+        // The API key stays on the server, only the configuration name is sent
+        expect(callElevenLabsTTS).toHaveBeenCalledWith({ text: 'Hallo!', configurationName: 'Default', voiceId: '21m00Tcm4TlvDq8ikWAM', languageCode: expect.any(String) });
+        const utterance = utterances.find(u => u.text === 'Hallo!');
+        expect(utterance.voice.name).toBe('Google UK English Female');
+    });
+
+    it('lets the user talk over the agent in hands-free mode without reacting to its own voice', async () => {
+        endsSpeech = false;
+        getAgentRecommendation.mockResolvedValueOnce([{ type: 'Inform', text: 'Your order ships on Monday morning.' }]);
+        const element = await startVoice({ handsFreeMode: true });
+        speak('Where is my order', true);
+        await flushPromises();
+        await flushPromises();
+
+        expect(getAgentRecommendation).toHaveBeenCalledWith(expect.objectContaining({ message: 'Where is my order' }));
+        expect(utterances.map(u => u.text)).toContain('Your order ships on Monday morning.');
+        expect(recognition.started).toBe(true);
+        expect(element.shadowRoot.querySelector('.interrupt-button')).not.toBeNull();
+
+        speak('ships on Monday', false);
+        speak('ships on Monday morning', true);
+        await flushPromises();
+        expect(element.shadowRoot.querySelector('.interrupt-button')).not.toBeNull();
+        expect(getAgentRecommendation).toHaveBeenCalledTimes(1);
+
+        speak('Actually cancel', false);
+        await flushPromises();
+        expect(element.shadowRoot.querySelector('.interrupt-button')).toBeNull();
+        speak('Actually cancel it', true);
+        await flushPromises();
+        await flushPromises();
+        expect(getAgentRecommendation).toHaveBeenLastCalledWith(expect.objectContaining({ message: 'Actually cancel it' }));
+    });
+
+    it('only takes speech addressed with the wake word in hands-free mode', async () => {
+        const element = await startVoice({ handsFreeMode: true, voiceWakeWord: 'Hey Agent' });
+        expect(element.shadowRoot.querySelector('.voice-status-text').textContent).toBe('Say "Hey Agent" to talk...');
+
+        speak('what a nice day', true);
+        await flushPromises();
+        expect(getAgentRecommendation).not.toHaveBeenCalled();
+
+        speak('Hey agent, where is my order?', true);
+        await flushPromises();
+        await flushPromises();
+        expect(getAgentRecommendation).toHaveBeenLastCalledWith(expect.objectContaining({ message: 'where is my order?' }));
+
+        speak('hey agent', true);
+        speak('Check my case', true);
+        await flushPromises();
+        await flushPromises();
+        expect(getAgentRecommendation).toHaveBeenLastCalledWith(expect.objectContaining({ message: 'Check my case' }));
+    });
+
+    it('listens while the push-to-talk shortcut is held, even outside voice mode', async () => {
+        const element = createChat({ welcomeMessage: 'Hi', allowVoiceMode: true, pushToTalkShortcut: 'Alt+Space' });
+        await openChat(element);
+
+        window.dispatchEvent(new KeyboardEvent('keydown', { key: ' ', code: 'Space' }));
+        expect(recognition).toBeNull();
+        window.dispatchEvent(new KeyboardEvent('keydown', { key: ' ', code: 'Space', altKey: true }));
+        await flushPromises();
+        expect(recognition.started).toBe(true);
+        expect(element.shadowRoot.querySelector('.voice-mode-hint').textContent).toBe('Hold Alt+Space to talk.');
+
+        window.dispatchEvent(new KeyboardEvent('keyup', { key: ' ', code: 'Space' }));
+        expect(recognition.started).toBe(false);
+        speak('Open a case', true);
+        await flushPromises();
+        await flushPromises();
+        expect(getAgentRecommendation).toHaveBeenCalledWith(expect.objectContaining({ message: 'Open a case' }));
+    });
+
+    it("leaves the push-to-talk shortcut to the host page's input fields", async () => {
+        const element = createChat({ welcomeMessage: 'Hi', allowVoiceMode: true, pushToTalkShortcut: 'Alt+Space' });
+        await openChat(element);
+        const pageInput = document.createElement('input');
+        document.body.appendChild(pageInput);
+
+        const event = new KeyboardEvent('keydown', { key: ' ', code: 'Space', altKey: true, bubbles: true, composed: true, cancelable: true });
+        pageInput.dispatchEvent(event);
+        await flushPromises();
+        expect(event.defaultPrevented).toBe(false);
+        expect(recognition).toBeNull();
+
+        element.shadowRoot.querySelector('textarea').dispatchEvent(new KeyboardEvent('keydown', { key: ' ', code: 'Space', altKey: true, bubbles: true, composed: true }));
+        await flushPromises();
+        expect(recognition.started).toBe(true);
+    });
+});
+
+describe('c-agent-chat reading replies aloud', () => {
+    let audios;
+
+    class FakeAudio {
+        constructor(src) { this.src = src; this.listeners = {}; audios.push(this); }
+        addEventListener(type, listener) { this.listeners[type] = listener; }
+        play() { this.playing = true; return Promise.resolve(); }
+        pause() { this.playing = false; }
+        end() { this.playing = false; this.listeners.ended(); }
+    }
+
+    beforeEach(() => {
+        audios = [];
+        window.Audio = FakeAudio;
+        initializeAgentSession.mockResolvedValue('SESSION_1');
+        getAgentRecommendation.mockResolvedValue([{ type: 'Inform', text: 'Your order shipped. It arrives **Monday**.' }]);
+        callElevenLabsTTS.mockImplementation(({ text }) => Promise.resolve(`data:audio/mpeg;base64,${btoa(text)}`));
+    });
+
+    afterEach(() => {
+        while (document.body.firstChild) document.body.removeChild(document.body.firstChild);
+        jest.clearAllMocks();
+        delete window.Audio;
+    });
+
+    it('plays a reply sentence by sentence outside voice mode and replays it from the cache', async () => {
+        getChatSettings.mockResolvedValueOnce(ELEVENLABS_SETTINGS);
+        const element = createChat({ welcomeMessage: 'Hi', allowVoiceMode: true });
+        await openChat(element);
+        await send(element, 'Where is my order?');
+
+        const speakButtons = () => element.shadowRoot.querySelectorAll('.speak-message-button');
+        const replyButton = () => speakButtons()[speakButtons().length - 1];
+        replyButton().click();
+        await flushPromises();
+
+        expect(callElevenLabsTTS.mock.calls.map(call => call[0].text)).toEqual(['Your order shipped.', 'It arrives Monday.']);
+        expect(audios.filter(a => a.playing)).toHaveLength(1);
+        expect(replyButton().getAttribute('aria-pressed')).toBe('true');
+
+        audios[0].end();
+        await flushPromises();
+        expect(audios[1].playing).toBe(true);
+        audios[1].end();
+        await flushPromises();
+        expect(replyButton().getAttribute('aria-pressed')).toBe('false');
+
+        replyButton().click();
+        await flushPromises();
+        expect(callElevenLabsTTS).toHaveBeenCalledTimes(2);
+        expect(audios[2].playing).toBe(true);
+
+        replyButton().click(); // Stops it again
+        await flushPromises();
+        expect(audios[2].playing).toBe(false);
+        expect(replyButton().getAttribute('aria-pressed')).toBe('false');
+    });
+});
+
+describe('c-agent-chat accessibility', () => {
+    beforeEach(() => {
+        initializeAgentSession.mockResolvedValue('SESSION_1');
+    });
+
+    afterEach(() => {
+        while (document.body.firstChild) document.body.removeChild(document.body.firstChild);
+        jest.clearAllMocks();
+    });
+
+    it('moves focus into the chat when it opens and back to the bubble when it closes', async () => {
+        const element = createChat({ welcomeMessage: 'Hi' });
+        const bubble = element.shadowRoot.querySelector('.chat-bubble');
+        expect(bubble.tagName).toBe('BUTTON');
+        expect(bubble.getAttribute('aria-label')).toBe('Open Chat');
+
+        await openChat(element);
+        expect(element.shadowRoot.activeElement).toBe(element.shadowRoot.querySelector('.message-textarea'));
+
+        element.shadowRoot.querySelector('.minimize-chat').click();
+        await flushPromises();
+        expect(element.shadowRoot.activeElement).toBe(element.shadowRoot.querySelector('.chat-bubble'));
+    });
+
+    it('announces agent replies and failed messages to screen readers', async () => {
+        getAgentRecommendation.mockResolvedValueOnce([{ type: 'Inform', text: '<p>Your order <b>shipped</b></p>' }]);
+        const element = createChat({ welcomeMessage: 'Hi', agentName: 'Ada' });
+        await openChat(element);
+        await send(element, 'Where is my order?');
+
+        const announcer = element.shadowRoot.querySelector('.live-announcer');
+        expect(announcer.getAttribute('aria-live')).toBe('polite');
+        expect(announcer.textContent).toBe('Ada says: Your order shipped');
+
+        getAgentRecommendation.mockRejectedValueOnce({ body: { message: 'Bad request' } });
+        await send(element, 'Again');
+        await flushPromises();
+        expect(announcer.textContent).toBe('Your message was not delivered.');
+    });
+
+    it('keeps focus in the end chat dialog and closes it with Escape', async () => {
+        const element = createChat({ welcomeMessage: 'Hi' });
+        await openChat(element);
+        element.shadowRoot.querySelector('.end-chat').click();
+        await flushPromises();
+
+        const dialog = element.shadowRoot.querySelector('section[role="alertdialog"]');
+        const cancel = element.shadowRoot.querySelector('.modal-cancel-button');
+        const confirm = element.shadowRoot.querySelector('.modal-confirm-button');
+        expect(element.shadowRoot.activeElement).toBe(cancel);
+        dialog.dispatchEvent(new KeyboardEvent('keydown', { key: 'Tab', bubbles: true }));
+        expect(element.shadowRoot.activeElement).toBe(confirm);
+        dialog.dispatchEvent(new KeyboardEvent('keydown', { key: 'Tab', bubbles: true }));
+        expect(element.shadowRoot.activeElement).toBe(cancel);
+
+        dialog.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+        await flushPromises();
+        expect(element.shadowRoot.querySelector('section[role="alertdialog"]')).toBeNull();
+        expect(element.shadowRoot.activeElement).toBe(element.shadowRoot.querySelector('.end-chat'));
+    });
+
+    it('moves the window with the arrow keys and keeps it on screen', async () => {
+        const element = createChat({ welcomeMessage: 'Hi' });
+        await openChat(element);
+        const chatWindow = element.shadowRoot.querySelector('.chat-window');
+        chatWindow.getBoundingClientRect = () => ({ left: 100, top: 10, width: 380, height: 580 });
+        const moveButton = element.shadowRoot.querySelector('.move-window');
+
+        moveButton.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowLeft' }));
+        await flushPromises();
+        expect(chatWindow.style.left).toBe('80px');
+        moveButton.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowUp', shiftKey: true }));
+        await flushPromises();
+        expect(chatWindow.style.top).toBe('0px');
+
+        moveButton.dispatchEvent(new KeyboardEvent('keydown', { key: 'Home' }));
+        await flushPromises();
+        expect(chatWindow.style.right).toBe('30px');
+    });
+
+    it('reports whether the thought process is expanded', async () => {
+        const element = createChat({ welcomeMessage: '<think>Looking things up</think>Hello!' });
+        await openChat(element);
+        const toggle = element.shadowRoot.querySelector('.thinking-process-toggle');
+        expect(toggle.getAttribute('aria-expanded')).toBe('false');
+        toggle.click();
+        expect(toggle.getAttribute('aria-expanded')).toBe('true');
+    });
+});
+
+describe('c-agent-chat window layout', () => {
+    const originalWidth = window.innerWidth;
+
+    beforeEach(() => {
+        initializeAgentSession.mockResolvedValue('SESSION_1');
+    });
+
+    afterEach(() => {
+        while (document.body.firstChild) document.body.removeChild(document.body.firstChild);
+        jest.clearAllMocks();
+        localStorage.clear();
+        window.innerWidth = originalWidth;
+    });
+
+    async function openAt(rect) {
+        const element = createChat({ welcomeMessage: 'Hi' });
+        await openChat(element);
+        const chatWindow = element.shadowRoot.querySelector('.chat-window');
+        chatWindow.getBoundingClientRect = () => ({ left: rect.x, top: rect.y, width: rect.width, height: rect.height });
+        return { element, chatWindow };
+    }
+
+    async function drag(target, from, to) {
+        target.dispatchEvent(new MouseEvent('mousedown', { button: 0, clientX: from[0], clientY: from[1], bubbles: true }));
+        window.dispatchEvent(new MouseEvent('mousemove', { clientX: to[0], clientY: to[1] }));
+        window.dispatchEvent(new MouseEvent('mouseup', { button: 0, clientX: to[0], clientY: to[1] }));
+        await flushPromises();
+    }
+
+    it('snaps a window dropped near a corner to that preset and restores it on reload', async () => {
+        const { element, chatWindow } = await openAt({ x: 300, y: 100, width: 380, height: 580 });
+        await drag(element.shadowRoot.querySelector('.chat-header'), [400, 120], [105, 180]);
+
+        expect(chatWindow.style.left).toBe('30px');
+        expect(chatWindow.style.bottom).toBe('30px');
+        document.body.removeChild(element);
+
+        const reloaded = createChat({ welcomeMessage: 'Hi' });
+        await openChat(reloaded);
+        expect(reloaded.shadowRoot.querySelector('.chat-window').style.left).toBe('30px');
+    });
+
+    it('keeps a dragged window on screen', async () => {
+        const { element, chatWindow } = await openAt({ x: 300, y: 100, width: 380, height: 580 });
+        await drag(element.shadowRoot.querySelector('.chat-header'), [400, 120], [-100, 120]);
+
+        expect(chatWindow.style.left).toBe('0px');
+        expect(chatWindow.style.top).toBe('100px');
+    });
+
+    it('resizes from the handles within the size limits and saves the size', async () => {
+        const { element, chatWindow } = await openAt({ x: 500, y: 150, width: 380, height: 580 });
+        await drag(element.shadowRoot.querySelector('.resize-nw'), [500, 150], [450, 110]);
+
+        expect(chatWindow.style.width).toBe('430px');
+        expect(chatWindow.style.height).toBe('620px');
+        expect(chatWindow.style.left).toBe('450px');
+        expect(JSON.parse(localStorage.getItem(Object.keys(localStorage).find(key => key.startsWith('agentforceChatWindowLayout')))))
+            .toEqual({ x: 450, y: 110, width: 430, height: 620 });
+
+        await drag(element.shadowRoot.querySelector('.resize-e'), [880, 300], [500, 300]);
+        expect(chatWindow.style.width).toBe('300px');
+    });
+
+    it('fills the screen on narrow viewports', async () => {
+        window.innerWidth = 400;
+        const element = createChat({ welcomeMessage: 'Hi' });
+        await openChat(element);
+
+        const chatWindow = element.shadowRoot.querySelector('.chat-window');
+        expect(chatWindow.classList).toContain('mobile');
+        expect(chatWindow.getAttribute('style')).toBeFalsy();
+        expect(element.shadowRoot.querySelector('.resize-handle')).toBeNull();
+        expect(element.shadowRoot.querySelector('.move-window')).toBeNull();
+    });
+});
@@ -0,0 +1,161 @@
+import { createElement } from 'lwc';
+import AgentChat from 'c/agentChat';
+import initializeAgentSession from '@salesforce/apex/AgentChatController.initializeAgentSession';
+import getAgentRecommendation from '@salesforce/apex/AgentChatController.getAgentRecommendation';
+import endAgentSession from '@salesforce/apex/AgentChatController.endAgentSession';
+import saveChatTranscript from '@salesforce/apex/AgentChatController.saveChatTranscript';
+import callElevenLabsTTS from '@salesforce/apex/ElevenLabsTTSController.generateSpeech';
+import { flushPromises } from 'test-utils';
+
+// Mock agent mode must not reach Apex at all
+jest.mock('@salesforce/apex/AgentChatController.initializeAgentSession', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AgentChatController.getAgentRecommendation', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AgentChatController.endAgentSession', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AgentChatController.saveChatTranscript', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/ElevenLabsTTSController.generateSpeech', () => ({ default: jest.fn() }), { virtual: true });
+
+const SCRIPT = [
+    { match: 'think', reply: '<think>Checking the order system</think><p>Your order has <strong>shipped</strong>.</p>' },
+    { match: 'broken', error: 'Order service unavailable' },
+    { match: 'expire', expireSession: true },
+    { match: 'bye', reply: 'Goodbye!', endSession: true },
+    { reply: 'You said: {message}' }
+];
+
+// No agent or Connected App credentials: mock mode doesn't need them
+function createChat(props = {}) {
+    const element = createElement('c-agent-chat', { is: AgentChat });
+    Object.assign(element, { mockAgentMode: true, mockAgentScript: SCRIPT, welcomeMessage: 'Hi', historyRetentionMinutes: 0 }, props);
+    document.body.appendChild(element);
+    return element;
+}
+
+async function send(element, text) {
+    const textarea = element.shadowRoot.querySelector('.message-textarea');
+    textarea.value = text;
+    textarea.dispatchEvent(new CustomEvent('input'));
+    await flushPromises();
+    element.shadowRoot.querySelector('.send-button').click();
+    await flushPromises();
+    await flushPromises();
+}
+
+const agentTexts = element => Array.from(element.shadowRoot.querySelectorAll('.agent-message .lwc-manual-render')).map(el => el.textContent);
+const systemTexts = element => Array.from(element.shadowRoot.querySelectorAll('.system-text')).map(el => el.textContent);
+
+describe('c-agent-chat mock agent mode', () => {
+    let events;
+
+    beforeEach(() => {
+        events = [];
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        while (document.body.firstChild) document.body.removeChild(document.body.firstChild);
+        jest.restoreAllMocks();
+        jest.clearAllMocks();
+    });
+
+    function listen(element) {
+        ['sessionstart', 'agentresponse', 'sessionend', 'error'].forEach(name => element.addEventListener(name, event => events.push({ name, detail: event.detail })));
+    }
+
+    it('starts a session and answers from the script without calling Apex', async () => {
+        const element = createChat();
+        listen(element);
+        expect(await element.sendMessage('Where is my order?')).toBe(true);
+
+        expect(agentTexts(element)).toEqual(['Hi', 'You said: Where is my order?']);
+        expect(events.map(e => e.name)).toEqual(['sessionstart', 'agentresponse']);
+        expect(events[0].detail.sessionId).toMatch(/^MOCK_SESSION_/);
+        expect(initializeAgentSession).not.toHaveBeenCalled();
+        expect(getAgentRecommendation).not.toHaveBeenCalled();
+    });
+
+    it('renders HTML replies and the thought process', async () => {
+        const element = createChat();
+        await element.open();
+        await send(element, 'Please think about my order');
+
+        const reply = element.shadowRoot.querySelectorAll('.agent-message .lwc-manual-render')[1];
+        expect(reply.querySelector('strong').textContent).toBe('shipped');
+        expect(element.shadowRoot.querySelector('.thinking-process-content pre').textContent).toBe('Checking the order system');
+    });
+
+    it('shows scripted errors and reports them', async () => {
+        const element = createChat();
+        listen(element);
+        expect(await element.sendMessage('This is broken')).toBe(false);
+
+        expect(systemTexts(element).some(text => text.includes('Order service unavailable'))).toBe(true);
+        expect(events.find(e => e.name === 'error').detail).toEqual({ source: 'response', message: 'Order service unavailable' });
+        expect(element.shadowRoot.querySelector('.message-status').dataset.status).toBe('failed');
+    });
+
+    it('reconnects after the session expires and resends the message', async () => {
+        const element = createChat();
+        listen(element);
+        expect(await element.sendMessage('expire please')).toBe(true);
+
+        const sessions = events.filter(e => e.name === 'sessionstart').map(e => e.detail.sessionId);
+        expect(sessions.length).toBe(2);
+        expect(sessions[0]).not.toBe(sessions[1]);
+        expect(agentTexts(element)).toEqual(['Hi', 'You said: expire please']);
+        expect(element.shadowRoot.querySelectorAll('.user-text').length).toBe(1);
+    });
+
+    it('ends the chat when the script ends the session', async () => {
+        const element = createChat();
+        listen(element);
+        await element.sendMessage('bye');
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.chat-ended')).not.toBeNull();
+        expect(events[events.length - 1].name).toBe('sessionend');
+        expect(endAgentSession).not.toHaveBeenCalled();
+        expect(saveChatTranscript).not.toHaveBeenCalled();
+    });
+
+    it('takes the script as JSON', async () => {
+        const element = createChat({ mockAgentScript: '[{"match": "hours", "reply": "We are open 9 to 5."}]' });
+        await element.sendMessage('What are your hours?');
+        expect(agentTexts(element)).toEqual(['Hi', 'We are open 9 to 5.']);
+    });
+
+    describe('voice mode', () => {
+        let recognition;
+
+        class FakeSpeechRecognition {
+            constructor() { recognition = this; }
+            start() { this.started = true; if (this.onstart) this.onstart(); }
+            stop() { this.started = false; }
+        }
+
+        beforeEach(() => { window.SpeechRecognition = FakeSpeechRecognition; });
+        afterEach(() => { delete window.SpeechRecognition; recognition = null; });
+
+        it('runs a voice turn with silent speech instead of ElevenLabs or the browser voice', async () => {
+            const element = createChat({ allowVoiceMode: true });
+            await element.open();
+            await flushPromises();
+            element.shadowRoot.querySelector('.voice-toggle').click();
+            await flushPromises();
+
+            const result = [{ transcript: 'Order status' }];
+            result.isFinal = true;
+            recognition.onresult({ resultIndex: 0, results: [result] });
+            await flushPromises();
+            element.shadowRoot.querySelector('.voice-send-button').click();
+            await flushPromises();
+            await flushPromises();
+            await flushPromises();
+
+            expect(agentTexts(element)).toEqual(['Hi', 'You said: Order status']);
+            expect(callElevenLabsTTS).not.toHaveBeenCalled();
+            // The reply has been "spoken" and the chat listens again
+            expect(element.shadowRoot.querySelector('.interrupt-button')).toBeNull();
+            expect(recognition.started).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,36 @@
+import { validateAttachment, getFileName, isImageFile, readFileAsDataUrl, formatFileSize, buildAttachmentMessage, MAX_ATTACHMENT_BYTES } from '../attachments';
+
+describe('attachments', () => {
+    it('accepts allowed file types within the size and count limits', () => {
+        expect(validateAttachment('error.PNG', 2048, 0)).toBeNull();
+        expect(validateAttachment('setup.exe', 2048, 0)).toBe('type');
+        expect(validateAttachment('noextension', 2048, 0)).toBe('type');
+        expect(validateAttachment('huge.pdf', MAX_ATTACHMENT_BYTES + 1, 0)).toBe('size');
+        expect(validateAttachment('empty.txt', 0, 0)).toBe('size');
+        expect(validateAttachment('fourth.pdf', 2048, 3)).toBe('count');
+    });
+
+    it('names pasted screenshots and recognizes images', () => {
+        expect(getFileName({ name: 'report.pdf', type: 'application/pdf' })).toBe('report.pdf');
+        expect(getFileName({ name: 'image.png', type: 'image/png' })).toMatch(/^pasted-image-\d+\.png$/);
+        expect(getFileName({ name: '', type: 'image/jpeg' }, 2)).toMatch(/^pasted-image-\d+-2\.jpg$/);
+        expect(isImageFile('photo.JPEG')).toBe(true);
+        expect(isImageFile('notes.txt')).toBe(false);
+    });
+
+    it('reads files as data URLs and formats sizes', async () => {
+        const dataUrl = await readFileAsDataUrl(new File(['hello'], 'hello.txt', { type: 'text/plain' }));
+        expect(dataUrl).toBe('data:text/plain;base64,aGVsbG8=');
+        expect(formatFileSize(500)).toBe('500 B');
+        expect(formatFileSize(2048)).toBe('2 KB');
+        expect(formatFileSize(3 * 1024 * 1024)).toBe('3.0 MB');
+    });
+
+    it('references uploaded files in the message for the agent', () => {
+        const attachments = [{ name: 'error.png', contentDocumentId: '069000000000001' }, { name: 'log.txt', contentDocumentId: '069000000000002' }];
+        expect(buildAttachmentMessage('It fails', attachments)).toBe(
+            'It fails\n\n[Attached files]\n- error.png (ContentDocumentId: 069000000000001)\n- log.txt (ContentDocumentId: 069000000000002)');
+        expect(buildAttachmentMessage('', attachments.slice(0, 1))).toBe('[Attached files]\n- error.png (ContentDocumentId: 069000000000001)');
+        expect(buildAttachmentMessage('Just text', [])).toBe('Just text');
+    });
+});
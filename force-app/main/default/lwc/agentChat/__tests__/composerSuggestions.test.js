@@ -0,0 +1,42 @@
+import { BUILT_IN_COMMANDS, parseSuggestedPrompts, parseCustomCommands, matchCommands, parseCommand, expandCommandTemplate } from '../composerSuggestions';
+
+describe('composerSuggestions', () => {
+    it('splits suggested prompts on |, keeping commas', () => {
+        expect(parseSuggestedPrompts(' Where is my order? | Yes, reset my password ||')).toEqual(['Where is my order?', 'Yes, reset my password']);
+        expect(parseSuggestedPrompts(undefined)).toEqual([]);
+    });
+
+    it('parses custom commands and skips invalid or taken names', () => {
+        const logger = { warn: jest.fn() };
+        const commands = parseCustomCommands('/Order=Status of order {input}?|refund=I want a refund|new=Hijack|bad name=x|empty=|order=Again|noseparator', logger);
+        expect(commands).toEqual([
+            { name: 'order', description: 'Status of order {input}?', template: 'Status of order {input}?', takesInput: true },
+            { name: 'refund', description: 'I want a refund', template: 'I want a refund', takesInput: false }
+        ]);
+        expect(logger.warn).toHaveBeenCalledTimes(5);
+    });
+
+    it('matches commands by prefix while only the command name is typed', () => {
+        const commands = [...BUILT_IN_COMMANDS, ...parseCustomCommands('entitlement=Show my entitlements')];
+        expect(matchCommands(commands, '/').length).toBe(6);
+        expect(matchCommands(commands, '/E').map(c => c.name)).toEqual(['end', 'export', 'entitlement']);
+        expect(matchCommands(commands, '/zzz')).toEqual([]);
+        expect(matchCommands(commands, '/end now')).toBeNull();
+        expect(matchCommands(commands, 'hello /end')).toBeNull();
+    });
+
+    it('parses typed commands with their input', () => {
+        const commands = [...BUILT_IN_COMMANDS, ...parseCustomCommands('order=Status of order {input}?')];
+        expect(parseCommand(commands, ' /order  00123 ')).toEqual({ command: commands[5], input: '00123' });
+        expect(parseCommand(commands, '/THEME').command.name).toBe('theme');
+        expect(parseCommand(commands, '/unknown')).toBeNull();
+        expect(parseCommand(commands, 'and/or')).toBeNull();
+    });
+
+    it('expands templates with or without an {input} placeholder', () => {
+        expect(expandCommandTemplate('Status of order {input}?', '00123')).toBe('Status of order 00123?');
+        expect(expandCommandTemplate('Find {input}', '')).toBe('Find');
+        expect(expandCommandTemplate('I want a refund', 'for order 5')).toBe('I want a refund for order 5');
+        expect(expandCommandTemplate('I want a refund', '')).toBe('I want a refund');
+    });
+});
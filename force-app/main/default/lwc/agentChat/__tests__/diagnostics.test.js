@@ -0,0 +1,52 @@
+import { MAX_DIAGNOSTIC_ENTRIES, redactPayload, formatPayload, addDiagnosticEntry, timeTtsService, buildDebugBundle } from '../diagnostics';
+
+describe('diagnostics', () => {
+    it('removes credentials, tokens and file contents from payloads', () => {
+        expect(redactPayload({
+            consumerKey: 'KEY', consumerSecret: 'SECRET', accessToken: 'TOKEN', message: 'Hi',
+            headers: { Authorization: 'Bearer abc.def', Accept: 'text/event-stream' },
+            files: [{ fileName: 'a.png', base64Data: 'AAAAAAAA' }],
+            note: 'sent with Bearer abc.def=='
+        })).toEqual({
+            consumerKey: '[redacted]', consumerSecret: '[redacted]', accessToken: '[redacted]', message: 'Hi',
+            headers: { Authorization: '[redacted]', Accept: 'text/event-stream' },
+            files: [{ fileName: 'a.png', base64Data: '[8 base64 characters]' }],
+            note: 'sent with Bearer [redacted]'
+        });
+        expect(redactPayload(null)).toBeNull();
+    });
+
+    it('formats payloads for display and cuts very long ones', () => {
+        expect(formatPayload({ apiKey: 'x', sequenceId: 3 })).toBe('{\n  "apiKey": "[redacted]",\n  "sequenceId": 3\n}');
+        expect(formatPayload(undefined)).toBe('');
+        const long = formatPayload({ text: 'a'.repeat(30000) });
+        expect(long.length).toBeLessThan(20100);
+        expect(long).toMatch(/more characters\)$/);
+    });
+
+    it('keeps the newest entries first', () => {
+        let entries = [];
+        for (let i = 0; i < MAX_DIAGNOSTIC_ENTRIES + 5; i++) entries = addDiagnosticEntry(entries, { id: i });
+        expect(entries).toHaveLength(MAX_DIAGNOSTIC_ENTRIES);
+        expect(entries[0].id).toBe(MAX_DIAGNOSTIC_ENTRIES + 4);
+    });
+
+    it('times speech generation without changing the service', async () => {
+        const clip = { provider: 'elevenlabs', play: jest.fn() };
+        const service = { prepare: jest.fn(() => Promise.resolve(clip)), hasAvailableProvider: jest.fn(() => true) };
+        const onTiming = jest.fn();
+        const timed = timeTtsService(service, onTiming);
+
+        expect(await timed.prepare('Hello there', { voiceId: 'v' }, ['elevenlabs'])).toBe(clip);
+        expect(service.prepare).toHaveBeenCalledWith('Hello there', { voiceId: 'v' }, ['elevenlabs']);
+        expect(onTiming).toHaveBeenCalledWith({ provider: 'elevenlabs', durationMs: expect.any(Number), characters: 11 });
+        expect(timed.hasAvailableProvider()).toBe(true);
+    });
+
+    it('builds a redacted debug bundle', () => {
+        const bundle = JSON.parse(buildDebugBundle({ sessionId: 'S1', lastRequest: { method: 'getAgentRecommendation', params: { consumerSecret: 'SECRET' } } }));
+        expect(bundle).toMatchObject({ sessionId: 'S1', lastRequest: { params: { consumerSecret: '[redacted]' } } });
+        expect(bundle.generatedAt).toEqual(expect.any(String));
+        expect(bundle.environment.userAgent).toEqual(expect.any(String));
+    });
+});
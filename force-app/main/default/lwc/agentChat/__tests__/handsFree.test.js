@@ -0,0 +1,28 @@
+import { isLikelyEcho, matchWakeWord, matchesShortcut, parseShortcut } from '../handsFree';
+
+describe('handsFree', () => {
+    it('recognizes the agent hearing itself', () => {
+        const spoken = ['Your order ships on Monday morning.'];
+        expect(isLikelyEcho('ships on Monday', spoken)).toBe(true);
+        expect(isLikelyEcho('Your order, ships!', spoken)).toBe(true);
+        expect(isLikelyEcho('cancel my order', spoken)).toBe(false);
+        expect(isLikelyEcho('cancel my order', [])).toBe(false);
+    });
+
+    it('finds the wake word and returns what followed it', () => {
+        expect(matchWakeWord('Hey agent, where is my order?', 'Hey Agent')).toBe('where is my order?');
+        expect(matchWakeWord('ok so hey agent check my case', 'hey agent')).toBe('check my case');
+        expect(matchWakeWord('Hey Agent', 'hey agent')).toBe('');
+        expect(matchWakeWord('hey agents are great', 'hey agent')).toBeNull();
+        expect(matchWakeWord('hello there', 'hey agent')).toBeNull();
+    });
+
+    it('matches shortcuts with modifiers on key down and the key alone on key up', () => {
+        expect(parseShortcut('Ctrl+Shift+M')).toEqual({ key: 'm', ctrl: true, alt: false, shift: true, meta: false });
+        expect(matchesShortcut({ type: 'keydown', key: 'M', code: 'KeyM', ctrlKey: true, shiftKey: true }, 'Ctrl+Shift+M')).toBe(true);
+        expect(matchesShortcut({ type: 'keydown', key: 'm', code: 'KeyM', ctrlKey: true }, 'Ctrl+Shift+M')).toBe(false);
+        expect(matchesShortcut({ type: 'keyup', key: 'm', code: 'KeyM' }, 'Ctrl+Shift+M')).toBe(true);
+        expect(matchesShortcut({ type: 'keydown', key: 'F8', code: 'F8' }, 'F8')).toBe(true);
+        expect(matchesShortcut({ type: 'keydown', key: ' ', code: 'Space' }, '')).toBe(false);
+    });
+});
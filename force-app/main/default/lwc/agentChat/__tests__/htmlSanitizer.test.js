@@ -0,0 +1,128 @@
+import { sanitizeHtml, hardenLinks, isSafeUrl, parseAttributeOverrides } from '../htmlSanitizer';
+
+function render(html, config) {
+    const container = document.createElement('div');
+    container.appendChild(sanitizeHtml(html, config));
+    return container;
+}
+
+function toHtml(container) {
+    // eslint-disable-next-line @lwc/lwc/no-inner-html
+    return container.innerHTML;
+}
+
+// Known XSS payloads: none of them may leave an executable element, event handler or dangerous URL behind
+const XSS_PAYLOADS = [
+    '<script>alert(1)</script>',
+    '<SCRIPT SRC=//evil.example/xss.js></SCRIPT>',
+    '<img src=x onerror=alert(1)>',
+    '<img src="javascript:alert(1)">',
+    '<svg onload=alert(1)><circle r="10"/></svg>',
+    '<svg><script>alert(1)</script></svg>',
+    '<math><mtext><table><mglyph><style><img src=x onerror=alert(1)>',
+    '<iframe src="javascript:alert(1)"></iframe>',
+    '<iframe srcdoc="<script>alert(1)</script>"></iframe>',
+    '<object data="javascript:alert(1)"></object>',
+    '<embed src="data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==">',
+    '<a href="javascript:alert(1)">click</a>',
+    '<a href="JaVaScRiPt:alert(1)">click</a>',
+    '<a href="java\tscript:alert(1)">click</a>',
+    '<a href=" &#14;  javascript:alert(1)">click</a>',
+    '<a href="jav&#x61;script:alert(1)">click</a>',
+    '<a href="vbscript:msgbox(1)">click</a>',
+    '<a href="data:text/html,<script>alert(1)</script>">click</a>',
+    '<form action="javascript:alert(1)"><button>go</button></form>',
+    '<input autofocus onfocus=alert(1)>',
+    '<details open ontoggle=alert(1)>',
+    '<body onload=alert(1)>',
+    '<div style="background:url(javascript:alert(1))">styled</div>',
+    '<p style="position:fixed;top:0;left:0;width:100%;height:100%">overlay</p>',
+    '<a href="https://example.com" onclick="alert(1)">link</a>',
+    '<meta http-equiv="refresh" content="0;url=javascript:alert(1)">',
+    '<base href="javascript:alert(1)//">',
+    '<link rel="stylesheet" href="https://evil.example/x.css">',
+    '<style>@import "https://evil.example/x.css";</style>',
+    '<noscript><p title="</noscript><img src=x onerror=alert(1)>">',
+    '<template><img src=x onerror=alert(1)></template>',
+    '<!--<img src=x onerror=alert(1)>-->',
+    '<table background="javascript:alert(1)"><tr><td>cell</td></tr></table>',
+    '<video poster="javascript:alert(1)"></video>',
+    '<img srcset="javascript:alert(1) 1x">'
+];
+
+function assertNeutralized(container) {
+    const dangerousTags = 'script,style,iframe,object,embed,svg,math,form,input,button,meta,base,link,template,noscript';
+    expect(container.querySelectorAll(dangerousTags).length).toBe(0);
+    container.querySelectorAll('*').forEach(el => {
+        Array.from(el.attributes).forEach(attr => {
+            expect(attr.name.startsWith('on')).toBe(false);
+            expect(['style', 'srcset', 'srcdoc']).not.toContain(attr.name);
+            if (['href', 'src', 'background', 'poster', 'action'].includes(attr.name)) {
+                expect(isSafeUrl(attr.value)).toBe(true);
+            }
+        });
+    });
+}
+
+describe('htmlSanitizer', () => {
+    it.each(XSS_PAYLOADS)('neutralizes %s', payload => {
+        expect.hasAssertions();
+        assertNeutralized(render(payload));
+    });
+
+    it('keeps allowlisted formatting and safe links', () => {
+        const container = render('<p>Hello <strong>there</strong> <a href="https://example.com/docs">docs</a></p><ul><li>one</li></ul>');
+        expect(toHtml(container)).toBe('<p>Hello <strong>there</strong> <a href="https://example.com/docs">docs</a></p><ul><li>one</li></ul>');
+    });
+
+    it('unwraps unknown tags but keeps their text', () => {
+        expect(toHtml(render('<marquee>moving <b>text</b></marquee>'))).toBe('moving <b>text</b>');
+    });
+
+    it('drops the content of forbidden tags', () => {
+        expect(render('before<script>alert(1)</script>after').textContent).toBe('beforeafter');
+    });
+
+    it('strips dangerous URLs but keeps the element', () => {
+        const link = render('<a href="javascript:alert(1)" title="t">x</a>').querySelector('a');
+        expect(link.hasAttribute('href')).toBe(false);
+        expect(link.getAttribute('title')).toBe('t');
+    });
+
+    it('allows relative URLs', () => {
+        expect(render('<a href="/lightning/r/Case/500000000000001/view">case</a>').querySelector('a').getAttribute('href')).toBe('/lightning/r/Case/500000000000001/view');
+    });
+
+    it('honours a custom allowlist', () => {
+        const config = { allowedTags: ['a', 'p'], allowedUrlSchemes: ['https'], allowedAttributes: { a: ['href'] } };
+        const container = render('<p><b>bold</b> <a href="http://example.com">plain</a> <a href="https://example.com">secure</a></p>', config);
+        expect(container.querySelector('b')).toBeNull();
+        const links = container.querySelectorAll('a');
+        expect(links[0].hasAttribute('href')).toBe(false);
+        expect(links[1].getAttribute('href')).toBe('https://example.com');
+    });
+
+    it('never allows forbidden tags or event handlers even when configured', () => {
+        const config = { allowedTags: ['script', 'img'], allowedAttributes: { img: ['src', 'onerror'] } };
+        const container = render('<script>alert(1)</script><img src="https://example.com/a.png" onerror="alert(1)">', config);
+        expect(container.querySelector('script')).toBeNull();
+        expect(container.querySelector('img').hasAttribute('onerror')).toBe(false);
+    });
+
+    it('parses attribute overrides, keeping namespaced attribute names whole', () => {
+        expect(parseAttributeOverrides(['a:target', 'class', 'xlink:href', 'use:xlink:href'])).toEqual({
+            a: ['target'],
+            '*': ['class', 'xlink:href'],
+            use: ['xlink:href']
+        });
+    });
+
+    it('hardens links to open in a new tab without opener', () => {
+        const container = render('<a href="https://example.com">x</a><img src="https://example.com/a.png">');
+        hardenLinks(container);
+        const link = container.querySelector('a');
+        expect(link.target).toBe('_blank');
+        expect(link.rel).toBe('noopener noreferrer');
+        expect(container.querySelector('img').referrerPolicy).toBe('no-referrer');
+    });
+});
@@ -0,0 +1,65 @@
+import { createElement } from 'lwc';
+import AgentChat from 'c/agentChat';
+import initializeAgentSession from '@salesforce/apex/AgentChatController.initializeAgentSession';
+import { LABELS, IS_RTL, formatLabel, formatTime, formatDateTime, localizePosition } from '../i18n';
+import { flushPromises } from 'test-utils';
+
+// A German user in a right-to-left layout
+jest.mock('@salesforce/i18n/locale', () => ({ default: 'de-DE' }), { virtual: true });
+jest.mock('@salesforce/i18n/timeZone', () => ({ default: 'Europe/Berlin' }), { virtual: true });
+jest.mock('@salesforce/i18n/dir', () => ({ default: 'rtl' }), { virtual: true });
+jest.mock(
+    '@salesforce/apex/AgentChatController.getChatSettings',
+    () => ({ default: jest.fn(() => Promise.resolve({ agentConfigured: true, hasAgentId: true })) }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/AgentChatController.initializeAgentSession',
+    () => ({ default: jest.fn(() => Promise.resolve('SESSION_1')) }),
+    { virtual: true }
+);
+
+describe('i18n', () => {
+    afterEach(() => {
+        while (document.body.firstChild) document.body.removeChild(document.body.firstChild);
+        jest.clearAllMocks();
+    });
+
+    it('resolves custom labels and fills their placeholders', () => {
+        expect(LABELS.readAloud).toBe('Read aloud');
+        expect(formatLabel(LABELS.pushToTalkHint, 'Alt+Space')).toBe('Hold Alt+Space to talk.');
+        expect(formatLabel('{0} of {1}', 3)).toBe('3 of {1}');
+    });
+
+    it("formats times in the user's locale and time zone", () => {
+        const date = new Date('2026-01-15T13:05:00Z');
+        expect(formatTime(date)).toBe('14:05');
+        expect(formatDateTime(date)).toBe('15.01.2026, 14:05');
+        expect(formatDateTime('not a date')).toBe('');
+    });
+
+    it('mirrors position presets for right-to-left languages', () => {
+        expect(IS_RTL).toBe(true);
+        expect(localizePosition('bottom-right')).toBe('bottom-left');
+        expect(localizePosition('top-left')).toBe('top-right');
+        expect(localizePosition('top-left', false)).toBe('top-left');
+    });
+
+    it('lays the chat out right to left', async () => {
+        const element = createElement('c-agent-chat', { is: AgentChat });
+        Object.assign(element, { agentId: '0XxTEST', historyRetentionMinutes: 0, welcomeMessage: 'Hallo', position: 'bottom-right' });
+        document.body.appendChild(element);
+
+        const container = element.shadowRoot.querySelector('.messenger-chat-container');
+        expect(container.getAttribute('dir')).toBe('rtl');
+        expect(container.classList).toContain('position-bottom-left');
+
+        element.shadowRoot.querySelector('.chat-bubble').click();
+        await flushPromises();
+        await flushPromises();
+        expect(initializeAgentSession).toHaveBeenCalled();
+        const chatWindow = element.shadowRoot.querySelector('.chat-window');
+        expect(chatWindow.style.left).toBe('30px');
+        expect(chatWindow.style.bottom).toBe('30px');
+    });
+});
@@ -0,0 +1,56 @@
+import { LOG_LEVELS, normalizeLogLevel, createLogger } from '../logger';
+
+describe('logger', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    it('accepts the known levels and is off otherwise', () => {
+        expect(LOG_LEVELS).toEqual(['off', 'error', 'warn', 'info', 'debug']);
+        expect(normalizeLogLevel(' Debug ')).toBe('debug');
+        expect(normalizeLogLevel('verbose')).toBe('off');
+        expect(normalizeLogLevel(undefined)).toBe('off');
+    });
+
+    it('writes only the enabled levels to the console and reads the level on every call', () => {
+        ['error', 'warn', 'info', 'debug'].forEach(level => jest.spyOn(console, level).mockImplementation(() => {}));
+        let level = 'off';
+        const logger = createLogger(() => level);
+        logger.error('Nothing yet');
+        expect(console.error).not.toHaveBeenCalled();
+
+        level = 'warn';
+        logger.error('Broken', 42);
+        logger.warn('Careful');
+        logger.info('Hidden');
+        expect(console.error).toHaveBeenCalledWith('[agentChat]', 'Broken', 42);
+        expect(console.warn).toHaveBeenCalledWith('[agentChat]', 'Careful');
+        expect(console.info).not.toHaveBeenCalled();
+
+        level = 'debug';
+        logger.debug('Details');
+        expect(console.debug).toHaveBeenCalledWith('[agentChat]', 'Details');
+    });
+
+    it('writes a notice once per page whatever the level', () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const logger = createLogger(() => 'off');
+        logger.notice('Clear the old key.');
+        createLogger(() => 'off').notice('Clear the old key.');
+        expect(console.warn).toHaveBeenCalledTimes(1);
+        expect(console.warn).toHaveBeenCalledWith('[agentChat]', 'Clear the old key.');
+        expect(logger.getEntries().map(({ level, message }) => ({ level, message }))).toEqual([{ level: 'warn', message: 'Clear the old key.' }]);
+    });
+
+    it('keeps the latest entries with credentials removed', () => {
+        const logger = createLogger(() => 'off');
+        logger.warn('Request failed:', new Error('Timeout'));
+        logger.debug('Params', { consumerSecret: 'abc', message: 'Hi' });
+        const entries = logger.getEntries();
+        expect(entries.map(({ level, message }) => ({ level, message }))).toEqual([
+            { level: 'warn', message: 'Request failed: Timeout' },
+            { level: 'debug', message: 'Params {"consumerSecret":"[redacted]","message":"Hi"}' }
+        ]);
+        for (let i = 0; i < 120; i++) logger.info(`Entry ${i}`);
+        expect(logger.getEntries()).toHaveLength(100);
+        expect(logger.getEntries()[99].message).toBe('Entry 119');
+    });
+});
@@ -0,0 +1,69 @@
+import { renderMarkdown, renderAgentText, addCodeCopyButtons } from '../markdownRenderer';
+import { sanitizeHtml } from '../htmlSanitizer';
+
+function render(markdown) {
+    const container = document.createElement('div');
+    container.appendChild(sanitizeHtml(renderMarkdown(markdown)));
+    return container;
+}
+
+describe('markdownRenderer', () => {
+    it('renders emphasis, inline code and links', () => {
+        const html = renderMarkdown('Use **bold**, *italic*, ~~old~~ and `a*b*c` in [docs](https://example.com) or https://salesforce.com.');
+        expect(html).toBe('<p>Use <strong>bold</strong>, <em>italic</em>, <del>old</del> and <code>a*b*c</code> in ' +
+            '<a href="https://example.com">docs</a> or <a href="https://salesforce.com">https://salesforce.com</a>.</p>');
+    });
+
+    it('leaves snake_case and arithmetic alone', () => {
+        expect(renderMarkdown('set my_field_name to 2 * 3 * 4')).toBe('<p>set my_field_name to 2 * 3 * 4</p>');
+    });
+
+    it('renders nested and ordered lists', () => {
+        const container = render('Steps:\n1. Open the case\n2. Check:\n   - status\n   - owner\n3. Save');
+        expect(container.querySelector('p').textContent).toBe('Steps:');
+        const items = container.querySelectorAll('ol > li');
+        expect(items.length).toBe(3);
+        expect(Array.from(items[1].querySelectorAll('ul > li')).map(li => li.textContent)).toEqual(['status', 'owner']);
+    });
+
+    it('renders tables with a header row', () => {
+        const container = render('| Case | Status |\n|------|:------:|\n| 001 | New |\n| 002 | Closed \\| Won |');
+        expect(Array.from(container.querySelectorAll('th')).map(th => th.textContent)).toEqual(['Case', 'Status']);
+        expect(Array.from(container.querySelectorAll('tbody tr')).map(tr => tr.textContent)).toEqual(['001New', '002Closed | Won']);
+    });
+
+    it('escapes code blocks, including unclosed fences while streaming', () => {
+        expect(renderMarkdown('```js\nif (a < b) alert("x");\n```')).toBe('<pre title="js"><code>if (a &lt; b) alert(&quot;x&quot;);</code></pre>');
+        expect(renderMarkdown('```\n<script>')).toBe('<pre><code>&lt;script&gt;</code></pre>');
+    });
+
+    it('renders headings, quotes and rules', () => {
+        expect(renderMarkdown('## Summary\n> quoted\n\n---')).toBe('<h2>Summary</h2><blockquote><p>quoted</p></blockquote><hr>');
+    });
+
+    it('keeps single line breaks inside paragraphs', () => {
+        expect(renderMarkdown('line one\nline two\n\nnext')).toBe('<p>line one<br>line two</p><p>next</p>');
+    });
+
+    it('passes HTML replies through and still sanitizes links in Markdown', () => {
+        expect(renderAgentText('<p>Already **HTML**</p>')).toBe('<p>Already **HTML**</p>');
+        const container = render('[click](javascript:alert(1)) <img src=x onerror=alert(1)>');
+        expect(container.querySelector('a').getAttribute('href')).toBeNull();
+        expect(container.querySelector('img').getAttribute('onerror')).toBeNull();
+    });
+
+    it('adds one copy button per code block', async () => {
+        const writeText = jest.fn(() => Promise.resolve());
+        Object.defineProperty(navigator, 'clipboard', { value: { writeText }, configurable: true });
+        const container = render('```\nSELECT Id FROM Case\n```');
+        addCodeCopyButtons(container);
+        addCodeCopyButtons(container);
+
+        const buttons = container.querySelectorAll('.code-copy-button');
+        expect(buttons.length).toBe(1);
+        buttons[0].click();
+        await Promise.resolve();
+        expect(writeText).toHaveBeenCalledWith('SELECT Id FROM Case');
+        expect(buttons[0].textContent).toBe('Copied');
+    });
+});
@@ -0,0 +1,79 @@
+import { DEFAULT_MOCK_SCRIPT, parseMockScript, matchesRule, buildMockTurn, createMockAgent } from '../mockAgent';
+
+const EXPIRED = { body: { exceptionType: 'AgentChatController.AgentSessionExpiredException' } };
+
+describe('mockAgent', () => {
+    it('parses scripts given as lists, objects or JSON and falls back to the demo script', () => {
+        const rules = [{ match: 'order', reply: 'Shipped' }];
+        const logger = { warn: jest.fn() };
+        expect(parseMockScript(rules)).toEqual({ delay: 0, rules });
+        expect(parseMockScript('{"delay": 200, "rules": [{"reply": "Hi"}]}')).toEqual({ delay: 200, rules: [{ reply: 'Hi' }] });
+        expect(parseMockScript('')).toBe(DEFAULT_MOCK_SCRIPT);
+        expect(parseMockScript(undefined)).toBe(DEFAULT_MOCK_SCRIPT);
+        expect(parseMockScript('not json', logger)).toBe(DEFAULT_MOCK_SCRIPT);
+        expect(parseMockScript({ reply: 'no rules' }, logger)).toBe(DEFAULT_MOCK_SCRIPT);
+        expect(logger.warn).toHaveBeenCalledTimes(2);
+    });
+
+    it('matches rules by substring or regular expression', () => {
+        expect(matchesRule({ match: 'Order' }, 'where is my order?')).toBe(true);
+        expect(matchesRule({ match: '/^hi\\b/' }, 'Hi there')).toBe(true);
+        expect(matchesRule({ match: '/^hi\\b/' }, 'this')).toBe(false);
+        expect(matchesRule({}, 'anything')).toBe(true);
+    });
+
+    it('builds agent turns with choices and an end of session', () => {
+        expect(buildMockTurn({ reply: 'You said: {message}', choices: ['Yes', { label: 'No', value: 'no' }] }, 'hello')).toEqual([
+            { type: 'Inform', text: 'You said: hello', choices: [{ label: 'Yes', value: 'Yes' }, { label: 'No', value: 'no' }] }
+        ]);
+        expect(buildMockTurn({ reply: 'Bye', endSession: true }, 'bye')).toEqual([{ type: 'Inform', text: 'Bye', choices: [] }, { type: 'EndSession' }]);
+        const messages = [{ type: 'Escalate', text: 'Transferring' }];
+        expect(buildMockTurn({ messages }, 'agent')).toBe(messages);
+    });
+
+    it('answers from the script and fails like the Agent API', async () => {
+        const agent = createMockAgent(parseMockScript([
+            { match: 'broken', error: 'Something broke' },
+            { match: 'expire', expireSession: true },
+            { match: 'bye', reply: 'Bye', endSession: true }
+        ]));
+        const sessionId = await agent.initializeAgentSession({});
+        expect(await agent.getAgentRecommendation({ sessionId, message: 'hello' })).toEqual([{ type: 'Inform', text: 'You said: hello', choices: [] }]);
+        await expect(agent.getAgentRecommendation({ sessionId, message: 'broken' })).rejects.toMatchObject({ body: { message: 'Something broke' } });
+
+        await expect(agent.getAgentRecommendation({ sessionId, message: 'expire now' })).rejects.toMatchObject(EXPIRED);
+        await expect(agent.getAgentRecommendation({ sessionId, message: 'hello' })).rejects.toMatchObject(EXPIRED);
+        // The session expires only once, a new session gets an answer
+        const newSessionId = await agent.initializeAgentSession({});
+        expect(newSessionId).not.toBe(sessionId);
+        expect((await agent.getAgentRecommendation({ sessionId: newSessionId, message: 'expire now' }))[0].text).toBe('You said: expire now');
+
+        await agent.getAgentRecommendation({ sessionId: newSessionId, message: 'bye' });
+        await expect(agent.getAgentRecommendation({ sessionId: newSessionId, message: 'hello' })).rejects.toMatchObject(EXPIRED);
+    });
+
+    it('waits the configured delay before answering', async () => {
+        jest.useFakeTimers();
+        const agent = createMockAgent(parseMockScript({ delay: 500, rules: [{ match: 'slow', reply: 'Finally', delay: 2000 }] }));
+        const sessionPromise = agent.initializeAgentSession({});
+        await jest.advanceTimersByTimeAsync(500);
+        const sessionId = await sessionPromise;
+        const reply = jest.fn();
+        agent.getAgentRecommendation({ sessionId, message: 'slow' }).then(reply);
+        await jest.advanceTimersByTimeAsync(1999);
+        expect(reply).not.toHaveBeenCalled();
+        await jest.advanceTimersByTimeAsync(1);
+        expect(reply).toHaveBeenCalledWith([{ type: 'Inform', text: 'Finally', choices: [] }]);
+        jest.useRealTimers();
+    });
+
+    it('stands in for the configuration, transcript, feedback and attachment methods', async () => {
+        const agent = createMockAgent();
+        expect(await agent.getChatSettings({ configurationName: 'Default' })).toEqual({ agentConfigured: true, hasAgentId: true, speechConfigured: false });
+        expect(await agent.submitMessageFeedback({ feedbackId: 'EXISTING' })).toBe('EXISTING');
+        expect(await agent.submitMessageFeedback({ feedbackId: null })).toMatch(/^MOCK_FEEDBACK_/);
+        const upload = await agent.uploadChatAttachment({ fileName: 'photo.jpg', base64Data: 'AAAA' });
+        expect(upload).toMatchObject({ name: 'photo.jpg', downloadUrl: 'data:image/jpeg;base64,AAAA' });
+        expect(upload.contentDocumentId).toMatch(/^MOCK_DOCUMENT_/);
+    });
+});
@@ -0,0 +1,28 @@
+import { SESSION_EXPIRED_EXCEPTION, isSessionExpiredError, getIdleState } from '../sessionTimeout';
+
+const MINUTE = 60 * 1000;
+
+describe('sessionTimeout', () => {
+    it('recognizes the typed expiry error instead of matching message text', () => {
+        expect(isSessionExpiredError({ body: { message: 'Session gone', exceptionType: SESSION_EXPIRED_EXCEPTION } })).toBe(true);
+        expect(isSessionExpiredError({ body: { message: 'Agent session is invalid or has expired. (Status: 404)' } })).toBe(false);
+        expect(isSessionExpiredError({ body: { message: 'Not found' }, status: 404 })).toBe(false);
+        // Streaming requests are made with fetch() and only have a status
+        expect(isSessionExpiredError(Object.assign(new Error('Streaming request failed (404)'), { status: 404 }))).toBe(true);
+        expect(isSessionExpiredError(Object.assign(new Error('Streaming request failed (500)'), { status: 500 }))).toBe(false);
+        expect(isSessionExpiredError(null)).toBe(false);
+    });
+
+    it('warns during the last part of the idle timeout and then expires', () => {
+        const timing = { lastUserActivityAt: 0, idleTimeoutMs: 10 * MINUTE, warningMs: MINUTE };
+        expect(getIdleState({ ...timing, now: 8 * MINUTE })).toEqual({ isWarning: false, isExpired: false, secondsLeft: 120 });
+        expect(getIdleState({ ...timing, now: 9 * MINUTE + 500 })).toEqual({ isWarning: true, isExpired: false, secondsLeft: 60 });
+        expect(getIdleState({ ...timing, now: 10 * MINUTE - 1 })).toEqual({ isWarning: true, isExpired: false, secondsLeft: 1 });
+        expect(getIdleState({ ...timing, now: 10 * MINUTE })).toEqual({ isWarning: false, isExpired: true, secondsLeft: 0 });
+    });
+
+    it('never times out when the timeout is 0 and keeps the warning within the timeout', () => {
+        expect(getIdleState({ now: 99 * MINUTE, lastUserActivityAt: 0, idleTimeoutMs: 0, warningMs: MINUTE }).isExpired).toBe(false);
+        expect(getIdleState({ now: 1, lastUserActivityAt: 0, idleTimeoutMs: 30 * 1000, warningMs: MINUTE }).isWarning).toBe(true);
+    });
+});
@@ -0,0 +1,106 @@
+import { splitIntoSpeechChunks, createSpeechJob } from '../speechPlayer';
+import { flushPromises } from 'test-utils';
+
+// Live clips (no src) are spoken directly, so the job never creates audio elements
+function fakeService() {
+    const playbacks = [];
+    const service = {
+        prepare: jest.fn(text => new Promise(resolve => { service.pending.push(() => resolve({ provider: 'fake', text })); })),
+        pending: [],
+        play: jest.fn(clip => {
+            let finish;
+            const playback = { text: clip.text, done: new Promise(resolve => { finish = resolve; }), stop: jest.fn(() => finish()) };
+            playback.finish = finish;
+            playbacks.push(playback);
+            return Promise.resolve(playback);
+        }),
+        playbacks
+    };
+    return service;
+}
+
+describe('speechPlayer', () => {
+    it('splits text into sentence chunks, keeping the first one short', () => {
+        expect(splitIntoSpeechChunks('Hello there! How are you? I am fine. Thanks.', 40))
+            .toEqual(['Hello there!', 'How are you? I am fine. Thanks.']);
+        expect(splitIntoSpeechChunks('It costs 3.50 dollars. Ok.')).toEqual(['It costs 3.50 dollars.', 'Ok.']);
+        expect(splitIntoSpeechChunks('你好。今天天气很好。')).toEqual(['你好。', '今天天气很好。']);
+    });
+
+    it('splits overlong sentences at clause boundaries', () => {
+        const chunks = splitIntoSpeechChunks('first part of the sentence, second part of the sentence', 30);
+        expect(chunks).toEqual(['first part of the sentence,', 'second part of the sentence']);
+    });
+
+    it('requests a few chunks ahead and plays them in order', async () => {
+        const service = fakeService();
+        const job = createSpeechJob({ service, options: {}, order: [] });
+        job.append(['one', 'two', 'three', 'four']);
+        job.finish();
+        const done = job.play();
+        expect(service.prepare.mock.calls.map(call => call[0])).toEqual(['one', 'two', 'three']);
+
+        service.pending.forEach(resolve => resolve());
+        await flushPromises();
+        expect(service.playbacks.map(p => p.text)).toEqual(['one']);
+
+        service.playbacks[0].finish();
+        await flushPromises();
+        expect(service.prepare).toHaveBeenCalledWith('four', {}, []);
+        expect(service.playbacks.map(p => p.text)).toEqual(['one', 'two']);
+
+        service.pending[3]();
+        service.playbacks[1].finish();
+        await flushPromises();
+        service.playbacks[2].finish();
+        await flushPromises();
+        service.playbacks[3].finish();
+        await expect(done).resolves.toBeUndefined();
+    });
+
+    it('waits for more chunks until a streaming reply is finished', async () => {
+        const service = fakeService();
+        const job = createSpeechJob({ service, options: {}, order: [] });
+        let ended = false;
+        job.play().then(() => { ended = true; });
+        job.append(['First.']);
+        service.pending[0]();
+        await flushPromises();
+        service.playbacks[0].finish();
+        await flushPromises();
+        expect(ended).toBe(false);
+
+        job.finish();
+        await flushPromises();
+        expect(ended).toBe(true);
+    });
+
+    it('stops playback and requests no further chunks when stopped', async () => {
+        const service = fakeService();
+        const job = createSpeechJob({ service, options: {}, order: [] });
+        job.append(['a', 'b', 'c', 'd', 'e']);
+        const done = job.play();
+        service.pending[0]();
+        await flushPromises();
+        job.stop();
+        service.playbacks[0].finish();
+        service.pending.slice(1).forEach(resolve => resolve());
+        await done;
+        expect(service.playbacks[0].stop).toHaveBeenCalled();
+        expect(service.prepare).toHaveBeenCalledTimes(3);
+        expect(service.playbacks).toHaveLength(1);
+    });
+
+    it('uses cached clips instead of requesting them again', async () => {
+        const service = fakeService();
+        const clips = new Map([['cached', { provider: 'fake', text: 'cached' }]]);
+        const cache = { get: text => clips.get(text) || null, set: (text, clip) => clips.set(text, clip) };
+        const job = createSpeechJob({ service, options: {}, order: [], cache });
+        job.append(['cached', 'new']);
+        job.finish();
+        job.play();
+        await flushPromises();
+        expect(service.prepare.mock.calls.map(call => call[0])).toEqual(['new']);
+        expect(service.playbacks.map(p => p.text)).toEqual(['cached']);
+    });
+});
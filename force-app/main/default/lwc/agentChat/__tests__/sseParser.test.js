@@ -0,0 +1,31 @@
+import { createSseParser } from '../sseParser';
+
+function parse(chunks) {
+    const events = [];
+    const parser = createSseParser(event => events.push(event));
+    chunks.forEach(chunk => parser.push(chunk));
+    parser.flush();
+    return events;
+}
+
+describe('sseParser', () => {
+    it('parses events split across arbitrary chunks', () => {
+        const events = parse(['data: {"a"', ':1}\n', '\ndata: second\n\n']);
+        expect(events.map(e => e.data)).toEqual(['{"a":1}', 'second']);
+    });
+
+    it('joins multi-line data and keeps event names and ids', () => {
+        const events = parse(['event: update\nid: 7\ndata: one\ndata: two\n\n']);
+        expect(events).toEqual([{ event: 'update', data: 'one\ntwo', id: '7' }]);
+    });
+
+    it('handles CRLF line endings split between chunks', () => {
+        const events = parse(['data: first\r', '\n\r\ndata: second\r\n\r\n']);
+        expect(events.map(e => e.data)).toEqual(['first', 'second']);
+    });
+
+    it('ignores comments and dispatches a trailing event on flush', () => {
+        const events = parse([': keep-alive\n\ndata: last']);
+        expect(events.map(e => e.data)).toEqual(['last']);
+    });
+});
@@ -0,0 +1,37 @@
+import { buildThemeStyle, sanitizeImageUrl, parseThemePreference, isDarkTheme, nextThemeMode } from '../theme';
+
+describe('theme', () => {
+    it('exposes valid brand tokens as custom properties', () => {
+        expect(buildThemeStyle({ primaryColor: '#0b5cab', userBubbleColor: 'rgb(11, 92, 171)', agentBubbleTextColor: 'navy', fontFamily: "'Open Sans', sans-serif", cornerRadius: 8 }))
+            .toBe("--agent-chat-primary: #0b5cab; --agent-chat-user-bubble: rgb(11, 92, 171); --agent-chat-agent-text: navy; --agent-chat-font: 'Open Sans', sans-serif; --agent-chat-radius: 8px");
+        expect(buildThemeStyle({})).toBe('');
+        expect(buildThemeStyle({ cornerRadius: 0 })).toBe('--agent-chat-radius: 0px');
+        expect(buildThemeStyle({ cornerRadius: 100 })).toBe('--agent-chat-radius: 40px');
+    });
+
+    it('ignores values that could inject other declarations', () => {
+        const logger = { warn: jest.fn() };
+        expect(buildThemeStyle({ primaryColor: 'red; background: url(https://evil.example)', fontFamily: 'Arial; position: fixed', cornerRadius: 'abc' }, logger)).toBe('');
+        expect(logger.warn).toHaveBeenCalledTimes(2);
+    });
+
+    it('only allows http(s) and relative image URLs', () => {
+        expect(sanitizeImageUrl(' /resource/AgentAvatar ')).toBe('/resource/AgentAvatar');
+        expect(sanitizeImageUrl('https://cdn.example.com/bot.png')).toBe('https://cdn.example.com/bot.png');
+        expect(sanitizeImageUrl('data:image/svg+xml,<svg onload="alert(1)"/>')).toBeNull();
+        expect(sanitizeImageUrl('ftp://files.example.com/bot.png')).toBeNull();
+        expect(sanitizeImageUrl('')).toBeNull();
+    });
+
+    it('reads old true/false preferences and resolves the system theme', () => {
+        expect(parseThemePreference('true', 'light')).toBe('dark');
+        expect(parseThemePreference('false', 'dark')).toBe('light');
+        expect(parseThemePreference('system', 'light')).toBe('system');
+        expect(parseThemePreference(null, 'system')).toBe('system');
+        expect(parseThemePreference(null, undefined)).toBe('light');
+        expect(isDarkTheme('system', true)).toBe(true);
+        expect(isDarkTheme('system', false)).toBe(false);
+        expect(isDarkTheme('dark', false)).toBe(true);
+        expect(['light', 'dark', 'system'].map(nextThemeMode)).toEqual(['dark', 'system', 'light']);
+    });
+});
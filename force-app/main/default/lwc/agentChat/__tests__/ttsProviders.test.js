@@ -0,0 +1,84 @@
+import { createTtsService, createElevenLabsProvider, createBrowserProvider, createSilentProvider, pickBrowserVoice } from '../ttsProviders';
+
+function fakeProvider(name, { available = true, fails = false } = {}) {
+    return {
+        name,
+        isAvailable: jest.fn(() => available),
+        speak: jest.fn(() => (fails ? Promise.reject(new Error(`${name} down`)) : Promise.resolve({ done: Promise.resolve(), stop: jest.fn() })))
+    };
+}
+
+describe('ttsProviders', () => {
+    it('uses the first available provider in the configured order', async () => {
+        const first = fakeProvider('first', { available: false });
+        const second = fakeProvider('second');
+        const third = fakeProvider('third');
+        const speech = await createTtsService([first, second, third]).speak('Hi', {}, ['third', 'first', 'second']);
+        expect(speech.provider).toBe('third');
+        expect(first.speak).not.toHaveBeenCalled();
+    });
+
+    it('fails over to the next provider and tries the failed one last for a while', async () => {
+        const primary = fakeProvider('primary', { fails: true });
+        const fallback = fakeProvider('fallback');
+        const logger = { warn: jest.fn() };
+        const service = createTtsService([primary, fallback], logger);
+
+        expect((await service.speak('One', {})).provider).toBe('fallback');
+        expect((await service.speak('Two', {})).provider).toBe('fallback');
+        expect(primary.speak).toHaveBeenCalledTimes(1);
+        expect(logger.warn).toHaveBeenCalledTimes(1);
+    });
+
+    it('rejects when no provider is available or all of them fail', async () => {
+        await expect(createTtsService([fakeProvider('a', { available: false })]).speak('Hi', {})).rejects.toThrow('No text-to-speech provider');
+        await expect(createTtsService([fakeProvider('a', { fails: true })]).speak('Hi', {})).rejects.toThrow('a down');
+    });
+
+    it('finishes silent speech right away', async () => {
+        const speech = await createTtsService([createSilentProvider()]).speak('Hi', {}, ['silent']);
+        expect(speech.provider).toBe('silent');
+        await expect(speech.done).resolves.toBeUndefined();
+    });
+
+    it('asks Apex for ElevenLabs audio by configuration name, never with an API key', async () => {
+        const generateSpeech = jest.fn(() => Promise.resolve('data:audio/mpeg;base64,AAAA'));
+        const provider = createElevenLabsProvider(generateSpeech);
+        expect(provider.isAvailable({ configurationName: 'Default' })).toBe(false);
+        const options = { configurationName: 'Support', elevenLabsConfigured: true, elevenLabsVoiceId: 'VOICE', language: 'de-DE' };
+        expect(provider.isAvailable(options)).toBe(true);
+        expect(await provider.synthesize('Hallo', options)).toBe('data:audio/mpeg;base64,AAAA');
+        expect(generateSpeech).toHaveBeenCalledWith({ text: 'Hallo', configurationName: 'Support', voiceId: 'VOICE', languageCode: 'de-DE' });
+    });
+
+    it('rejects browser speech that never starts', async () => {
+        jest.useFakeTimers();
+        window.SpeechSynthesisUtterance = jest.fn();
+        window.speechSynthesis = { speak: jest.fn(), cancel: jest.fn(), getVoices: () => [] };
+        try {
+            const speech = createBrowserProvider().speak('Hi', {});
+            jest.advanceTimersByTime(5000);
+            await expect(speech).rejects.toThrow('did not start');
+            expect(window.speechSynthesis.cancel).toHaveBeenCalled();
+        } finally {
+            jest.useRealTimers();
+            delete window.speechSynthesis;
+            delete window.SpeechSynthesisUtterance;
+        }
+    });
+
+    it('ignores unknown provider names', () => {
+        const service = createTtsService([fakeProvider('browser')]);
+        expect(service.hasAvailableProvider({}, ['polly'])).toBe(false);
+        expect(service.hasAvailableProvider({}, ['polly', 'browser'])).toBe(true);
+    });
+
+    it('picks browser voices by name, then by language', () => {
+        const voices = [{ name: 'Google Deutsch', lang: 'de-DE' }, { name: 'Samantha', lang: 'en-US' }, { name: 'Daniel', lang: 'en-GB' }];
+        expect(pickBrowserVoice(voices, 'samantha', 'de-DE').name).toBe('Samantha');
+        expect(pickBrowserVoice(voices, 'deutsch').name).toBe('Google Deutsch');
+        expect(pickBrowserVoice(voices, null, 'en-GB').name).toBe('Daniel');
+        expect(pickBrowserVoice(voices, null, 'de-AT').name).toBe('Google Deutsch');
+        expect(pickBrowserVoice(voices, null, 'fr-FR')).toBeNull();
+    });
+});
@@ -0,0 +1,33 @@
+import { clampSize, clampPosition, findSnapPreset, resizeRect, isMobileViewport } from '../windowLayout';
+
+const VIEWPORT = { width: 1280, height: 800 };
+
+describe('windowLayout', () => {
+    it('keeps sizes within the limits and the viewport', () => {
+        expect(clampSize({ width: 100, height: 2000 }, VIEWPORT)).toEqual({ width: 300, height: 780 });
+        expect(clampSize({ width: 2000, height: 500 }, VIEWPORT)).toEqual({ width: 800, height: 500 });
+    });
+
+    it('moves windows back on screen', () => {
+        expect(clampPosition({ x: -50, y: 700, width: 380, height: 580 }, VIEWPORT)).toEqual({ x: 0, y: 220 });
+        expect(clampPosition({ x: 1200, y: 20, width: 380, height: 580 }, VIEWPORT)).toEqual({ x: 900, y: 20 });
+    });
+
+    it('snaps to the corner preset the window was dropped near', () => {
+        expect(findSnapPreset({ x: 5, y: 200, width: 380, height: 580 }, VIEWPORT)).toBe('bottom-left');
+        expect(findSnapPreset({ x: 880, y: 40, width: 380, height: 580 }, VIEWPORT)).toBe('top-right');
+        expect(findSnapPreset({ x: 400, y: 40, width: 380, height: 580 }, VIEWPORT)).toBeNull();
+    });
+
+    it('resizes from the dragged edge and keeps the opposite one in place', () => {
+        const rect = { x: 500, y: 100, width: 380, height: 580 };
+        expect(resizeRect(rect, 'nw', -100, -50, VIEWPORT)).toEqual({ x: 400, y: 50, width: 480, height: 630 });
+        expect(resizeRect(rect, 'e', -500, 0, VIEWPORT)).toEqual({ x: 500, y: 100, width: 300, height: 580 });
+        expect(resizeRect(rect, 's', 0, 400, VIEWPORT)).toEqual({ x: 500, y: 100, width: 380, height: 700 });
+    });
+
+    it('uses the mobile layout on narrow viewports', () => {
+        expect(isMobileViewport({ width: 375, height: 700 })).toBe(true);
+        expect(isMobileViewport(VIEWPORT)).toBe(false);
+    });
+});
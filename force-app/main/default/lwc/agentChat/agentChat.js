@@ -1,40 +1,140 @@
-import { LightningElement, track, api } from 'lwc';
+import { LightningElement, track, api, wire } from 'lwc';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import { getRecord } from 'lightning/uiRecordApi';
+import USER_ID from '@salesforce/user/Id';
+import USER_LOCALE from '@salesforce/i18n/locale';
 import initializeAgentSession from '@salesforce/apex/AgentChatController.initializeAgentSession'; // Corrected controller name if needed
 import getAgentRecommendation from '@salesforce/apex/AgentChatController.getAgentRecommendation';
 import endAgentSession from '@salesforce/apex/AgentChatController.endAgentSession';
+import getChatSettings from '@salesforce/apex/AgentChatController.getChatSettings';
+import saveChatTranscript from '@salesforce/apex/AgentChatController.saveChatTranscript';
+import addMessageToConversation from '@salesforce/apex/AgentChatController.addMessageToConversation';
+import submitMessageFeedback from '@salesforce/apex/AgentChatController.submitMessageFeedback';
+import uploadChatAttachment from '@salesforce/apex/AgentChatController.uploadChatAttachment';
 import callElevenLabsTTS from '@salesforce/apex/ElevenLabsTTSController.generateSpeech';
+import { sanitizeHtml, hardenLinks, parseAttributeOverrides } from './htmlSanitizer';
+import { createSseParser } from './sseParser';
+import { buildTranscriptEntries, formatTranscript, htmlToPlainText, TRANSCRIPT_FORMATS } from './transcriptFormatter';
+import { parseContextVariableConfig, buildContextVariables } from './contextVariables';
+import { renderAgentText, addCodeCopyButtons } from './markdownRenderer';
+import { createTtsService, createElevenLabsProvider, createBrowserProvider, createSilentProvider } from './ttsProviders';
+import { splitIntoSpeechChunks, createSpeechJob } from './speechPlayer';
+import { isLikelyEcho, matchWakeWord, matchesShortcut, isEditableTarget } from './handsFree';
+import { LABELS, IS_RTL, formatLabel, formatTime, localizePosition } from './i18n';
+import { DEFAULT_WINDOW_SIZE, clampSize, clampPosition, findSnapPreset, resizeRect, isMobileViewport } from './windowLayout';
+import { THEME_MODES, SYSTEM_DARK_QUERY, buildThemeStyle, sanitizeImageUrl, parseThemePreference, isDarkTheme, nextThemeMode } from './theme';
+import { MAX_ATTACHMENTS, MAX_ATTACHMENT_BYTES, ACCEPTED_FILE_TYPES, getFileName, isImageFile, validateAttachment, readFileAsDataUrl, formatFileSize, buildAttachmentMessage } from './attachments';
+import { parseMockScript, createMockAgent } from './mockAgent';
+import { isSessionExpiredError, getIdleState } from './sessionTimeout';
+import { createLogger } from './logger';
+import { formatPayload, addDiagnosticEntry, timeTtsService, buildDebugBundle } from './diagnostics';
+import { BUILT_IN_COMMANDS, parseSuggestedPrompts, parseCustomCommands, matchCommands, parseCommand, expandCommandTemplate } from './composerSuggestions';
+
+// Apex methods behind the chat; mock agent mode swaps these for the scripted ones from mockAgent.js
+const AGENT_API = { getChatSettings, initializeAgentSession, getAgentRecommendation, endAgentSession, saveChatTranscript, addMessageToConversation, submitMessageFeedback, uploadChatAttachment };
 
 // Constants
 const USER_SENDER = 'user';
 const AGENT_SENDER = 'agent';
 const SYSTEM_SENDER = 'system';
+const HANDOFF_SENDER = 'handoff';
 const DEBOUNCE_DELAY = 300;
 const TEXTAREA_MAX_HEIGHT = 100;
-const TYPING_INDICATOR_TEXT = 'Agent is thinking...';
-const CONNECTING_TEXT = 'Connecting to Agentforce...';
-const RECONNECTING_TEXT = 'Reconnecting...';
-const CONNECTION_ERROR_TEXT = "Sorry, I couldn't connect right now. Please try again later.";
+const TYPING_INDICATOR_TEXT = LABELS.typingIndicator;
+const CONNECTING_TEXT = LABELS.connecting;
+const RECONNECTING_TEXT = LABELS.sessionExpiredReconnecting;
+const CONNECTION_ERROR_TEXT = LABELS.connectionError;
 const DEFAULT_VOICE_ID = '21m00Tcm4TlvDq8ikWAM'; // Default ElevenLabs Voice ID (Rachel)
+const DEFAULT_SPEECH_LANGUAGE = 'en-US';
+const DEFAULT_TTS_PROVIDERS = 'elevenlabs,browser';
+const MAX_CACHED_SPEECH_MESSAGES = 20;
+const MIN_BARGE_IN_WORDS = 2; // Shorter sounds while the agent speaks are too often noise or echo
+const ECHO_GUARD_MS = 2000; // Recognition results can arrive a little after the agent's audio has ended
+const WAKE_WORD_WINDOW_MS = 8000; // After the wake word alone, the next utterance is taken without it
+const CONVERSATION_STORAGE_KEY = 'agentforceChatConversation';
+const AGENT_SESSION_IDLE_TIMEOUT_MS = 15 * 60 * 1000; // Assume the server has dropped sessions idle longer than this
+const IDLE_CHECK_INTERVAL_MS = 1000;
+const SESSION_RESUMED_TEXT = LABELS.sessionResumed;
+const NO_ANSWER_TEXT = LABELS.noAnswer;
+const HANDOFF_TEXT = LABELS.handoff;
+const END_SESSION_MESSAGE_TYPES = ['EndSession', 'SessionEnded'];
+const STREAM_RENDER_INTERVAL_MS = 50; // Throttle for re-rendering the streaming bubble
+const MESSAGE_STATUS = { SENDING: 'sending', DELIVERED: 'delivered', FAILED: 'failed' };
+const MESSAGE_STATUS_LABELS = { sending: LABELS.statusSending, delivered: LABELS.statusDelivered, failed: LABELS.statusFailed };
+const MAX_SEND_RETRIES = 3;
+const SEND_RETRY_BASE_DELAY_MS = 1000; // Doubled after every attempt
+// Errors worth retrying as-is, because the agent never got the message: throttling, unavailable and dropped connections.
+// After a timeout or a gateway error the agent may still answer, so the user resends those themselves.
+const TRANSIENT_ERROR_PATTERN = /\(Status: (429|503)\)|Failed to fetch|NetworkError|Load failed|Disconnected|Unable to tunnel/i;
+const TRANSIENT_STATUS_CODES = [429, 503];
+const KEYBOARD_MOVE_STEP = 20; // Pixels per arrow key press when moving the window, four times that with Shift
+const MOVE_KEY_OFFSETS = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+const WINDOW_LAYOUT_STORAGE_KEY = 'agentforceChatWindowLayout';
+const RESIZE_DIRECTIONS = ['n', 'e', 's', 'w', 'ne', 'nw', 'se', 'sw'];
+const THEME_STORAGE_KEY = 'agentforceChatDarkMode'; // Name kept so preferences saved as true/false still apply
+// What the header toggle switches to next
+const THEME_TOGGLE = {
+    light: { icon: 'utility:daylight', label: LABELS.switchToLightMode }, dark: { icon: 'utility:dark_mode', label: LABELS.switchToDarkMode },
+    system: { icon: 'utility:desktop', label: LABELS.useSystemTheme } };
+// Values match the Reason__c picklist of Agent_Chat_Feedback__c
+const FEEDBACK_REASONS = [
+    { value: 'Incorrect', label: LABELS.feedbackReasonIncorrect }, { value: 'Not Helpful', label: LABELS.feedbackReasonNotHelpful },
+    { value: 'Incomplete', label: LABELS.feedbackReasonIncomplete }, { value: 'Off Topic', label: LABELS.feedbackReasonOffTopic },
+    { value: 'Other', label: LABELS.feedbackReasonOther }];
 
 export default class MessengerChat extends LightningElement {
     // --- Component Properties (from metadata) ---
     @api agentName = 'Agentforce';
-    @api agentId;
-    @api connectedAppConsumerKey;
-    @api connectedAppConsumerSecret;
+    @api agentId; // Blank = the Agent ID of the chat configuration
+    @api configurationName = 'Default'; // Agent Chat Configuration (Custom Metadata) with the credentials, see AgentChatConfiguration.cls
     @api defaultDarkMode = false;
+    @api defaultTheme; // 'light', 'dark' or 'system' (follows prefers-color-scheme), blank = defaultDarkMode decides
+    @api brandPrimaryColor; // Brand tokens, see theme.js; blank = the Salesforce theme
+    @api userBubbleColor;
+    @api userBubbleTextColor;
+    @api agentBubbleColor;
+    @api agentBubbleTextColor;
+    @api fontFamily;
+    @api cornerRadius; // Pixels
+    @api agentAvatarUrl; // Image URL, e.g. /resource/AgentAvatar
+    @api launcherIconUrl;
     @api welcomeMessage = 'Hello! How can I assist you today?';
-    @api allowVoiceMode = true;
+    // On unless turned off. A getter and setter, because a public Boolean field can't default to true
+    @api
+    get allowVoiceMode() { return this._allowVoiceMode; }
+    set allowVoiceMode(value) { this._allowVoiceMode = value; }
+    _allowVoiceMode = true;
     @api position = 'bottom-right';
     @api headerText = 'Agentforce Support';
-    @api elevenLabsApiKey;
     @api elevenLabsVoiceId = DEFAULT_VOICE_ID;
+    @api voiceLanguage; // BCP 47 tag (e.g. de-DE) for speech recognition and TTS, blank = the user's Salesforce locale
+    @api voiceAutoSendDelay = 2; // Seconds before a recognized transcript is sent, 0 = always wait for the user
+    @api ttsProviders = DEFAULT_TTS_PROVIDERS; // Text-to-speech providers in order of preference: elevenlabs, browser
+    @api ttsVoiceName; // Browser voice name (e.g. "Google UK English Female"), blank = first voice for the language
+    @api speechRate = 100; // Percent of normal speed, applies to every provider
+    @api speechPitch = 100; // Percent of normal pitch, browser voices only
+    @api handsFreeMode = false; // Keep the microphone open while the agent speaks so the user can interrupt by talking
+    @api voiceWakeWord; // Hands-free only: ignore speech that doesn't contain this phrase, e.g. "Hey Agent"
+    @api pushToTalkShortcut; // Hold this key (e.g. "Alt+Space") to talk, in or out of voice mode
+    @api historyRetentionMinutes = 60; // 0 disables conversation persistence
+    @api allowedHtmlTags; // Comma-separated overrides for the agent HTML sanitizer, blank = defaults
+    @api allowedHtmlAttributes;
+    @api allowedUrlSchemes;
+    @api streamingMockEndpoint; // Development only: stream replies from this endpoint instead of calling the agent through Apex
+    @api objectApiName;
+    @api transcriptSaveMode = 'sessionEnd'; // 'none', 'sessionEnd' or 'perMessage'
+    @api allowAttachments = false; // App Builder applies the metadata default (true)
+    @api idleTimeoutMinutes = 10; // End chats without user activity after this long, 0 = never
+    @api idleWarningSeconds = 60; // Length of the "Are you still there?" countdown before that
+    @api logLevel = 'off'; // Console output: off, error, warn, info or debug
+    @api enableDiagnostics = false; // Diagnostics drawer for admins and support, see diagnostics.js
+    @api mockAgentMode = false; // Development, demos and tests: scripted replies instead of the Agent API, see mockAgent.js
 
     // --- Reactive State Variables ---
     @track messages = [];
     @track currentMessageText = '';
     @track isDarkMode = false;
+    @track themeMode = THEME_MODES.LIGHT; // The user's choice; isDarkMode is what it resolves to
     @track showChatBubble = true;
     @track showChatWindow = false;
     @track chatHasEnded = false;
@@ -45,13 +145,38 @@ export default class MessengerChat extends LightningElement {
     @track componentState = 'minimized';
     @track chatWindowStyle = '';
     @track showWelcomeBanner = true; // NEW state for welcome banner
+    @track isMobileLayout = false; // Full-screen window on narrow viewports
+    @track isResizing = false;
+    @track pendingAttachments = []; // Read and previewed, uploaded when the message is sent
+    @track attachmentError = '';
+    @track isUploadingAttachments = false;
+    @track isFileDragOver = false;
+    @track slashMenuCommands = []; // Commands matching what's typed after "/", the menu is open while this isn't empty
+    @track activeCommandIndex = 0;
+    @track showIdleWarning = false;
+    @track idleSecondsLeft = 0;
+    @track endedForInactivity = false;
+    @track showDiagnostics = false;
+    @track diagnosticTurns = []; // { id, startedAt, durationMs, sequenceId, error }, newest first
+    @track speechTimings = []; // { id, provider, durationMs, characters }, newest first
+    @track lastSequenceId = null;
+    @track lastRequest = null; // { method, params }
+    @track lastResponse = null;
 
     // --- Voice Mode State ---
     @track isVoiceModeAvailable = false;
+    @track isSpeechOutputAvailable = false; // Replies can be played back, even without speech recognition
     @track isVoiceModeActive = false;
     @track isListeningForInput = false;
     @track isAgentSpeaking = false;
     @track voiceStatusText = '';
+    @track voiceInterimTranscript = ''; // Live text while the user is still speaking
+    @track voiceTranscript = ''; // Final transcript under review before it's sent
+    @track isReviewingTranscript = false;
+    @track isPushToTalkActive = false;
+
+    // --- Accessibility State ---
+    @track liveAnnouncement = ''; // Read out by screen readers through the polite live region
 
     // --- Internal Component State ---
     sessionId = null;
@@ -60,28 +185,303 @@ export default class MessengerChat extends LightningElement {
     isSessionEnding = false;
     initialWelcomeMessageSent = false;
     lastMessageId = 0;
+    lastAttachmentId = 0;
     textareaRef = null;
     messageContainerRef = null;
-    currentAudio = null;
+    speechJob = null; // Reply currently being spoken, see speechPlayer.js
+    speakingMessageId = null;
+    speechCache = new Map(); // messageId -> { signature, clips }, oldest first
+    lastSpokenText = ''; // For the echo guard
+    lastSpokenAt = 0;
+    wakeWordHeardAt = 0;
+    pushToTalkUtterance = false; // The current utterance came from push-to-talk and is sent without review
+    logger = createLogger(() => this.logLevel);
+    ttsService = timeTtsService(createTtsService([createElevenLabsProvider(callElevenLabsTTS), createBrowserProvider(), createSilentProvider()], this.logger), timing => this.recordSpeechTiming(timing));
+    lastDiagnosticId = 0;
     recognition = null;
+    systemDarkQuery = null; // MediaQueryList for prefers-color-scheme: dark
     isDragging = false;
     dragStartX = 0; dragStartY = 0; windowStartX = 0; windowStartY = 0;
+    windowPlacement = {}; // { position } for a corner preset or { x, y } where the user put the window
+    windowSize = null; // { width, height } once the user resized the window
+    resizeState = null; // { direction, startX, startY, rect } while a resize handle is dragged
     resizeTimeout;
+    lastActivityAt = 0; // Last exchange with the agent API
+    isRestoredSessionUnconfirmed = false; // A session restored from storage until the agent answers in it
+    lastUserActivityAt = 0; // Last time the user typed, clicked or spoke in the chat
+    idleCheckInterval;
+    speechQueue = [];
+    voiceAutoSendTimeout;
+    contextRecordValues = {}; // Field values of the current record for field: context variables
+    _recordId;
+    _contextVariables;
+    contextVariableDefinitions = [];
+    _suggestedPrompts;
+    suggestedPromptList = [];
+    _slashCommands;
+    commands = BUILT_IN_COMMANDS; // Built-in followed by custom slash commands
+    _mockAgentScript;
+    mockAgent = null; // Created on first use so the script and mode can be set in any order
+    chatSettings = null; // What the chat configuration supports, see AgentChatController.getChatSettings()
+    chatSettingsPromise = null;
+    hasLegacyCredentials = false;
+    pendingInitialization = null; // Lets open()/sendMessage() wait for a session that is still starting
+    outboundQueue = []; // User messages waiting for the agent to finish the current turn: { messageId, text, resolve }
+    labels = LABELS; // Custom labels for the template
+    pendingFocus = null; // Selector of the element to focus once it's rendered and enabled
     // outsideClickListener; // REMOVED
 
+    // --- Public API ---
+    // Host pages drive the chat through these methods and listen for sessionstart, messagesent,
+    // agentresponse, sessionend and error events on the element.
+    @api
+    async open() {
+        if (this.chatHasEnded) this.resetChatUI();
+        if (!this.showChatWindow) this.handleChatBubbleClick();
+        await this.pendingInitialization;
+        return this.isInitialized;
+    }
+
+    @api
+    minimize() { if (this.showChatWindow) this.handleMinimizeToBubble(); }
+
+    // Puts text in the input without sending it, e.g. a suggested question the user can edit
+    @api
+    async prefillMessage(text) {
+        await this.open();
+        this.currentMessageText = text || '';
+        if (this.textareaRef) { this.textareaRef.value = this.currentMessageText; this.textareaRef.focus(); this.autoExpandTextarea(); }
+    }
+
+    // Queued behind any message still being answered. Resolves to true once delivered, false if it could not be sent.
+    @api
+    async sendMessage(text) {
+        const textToSend = (text || '').trim();
+        if (!textToSend || !(await this.open()) || this.chatHasEnded) return false;
+        return this.sendUserMessage(textToSend, textToSend);
+    }
+
+    @api
+    async endSession() { await this.endChatSessionInternal(true); }
+
+    // Returns transcript entries ({ sender, text, thinkingProcess, sentAt }), or a string when a format from TRANSCRIPT_FORMATS is given
+    @api
+    getTranscript(format) {
+        const entries = buildTranscriptEntries(this.messages);
+        if (!format) return entries;
+        return formatTranscript(entries, format, { title: this.headerText, agentName: this.agentName, sessionId: this.sessionId, recordId: this.recordId });
+    }
+
+    dispatchChatEvent(name, detail) { this.dispatchEvent(new CustomEvent(name, { detail })); }
+
+    // --- Record Context ---
+    @api
+    get recordId() { return this._recordId; }
+    set recordId(value) {
+        // Moving to another record: drop the previous record's field values until the wire delivers the new ones
+        if (value !== this._recordId) this.contextRecordValues = {};
+        this._recordId = value;
+    }
+
+    // Comma-separated "VariableName=source" list, see contextVariables.js. Parsed once so invalid entries are reported once.
+    @api
+    get contextVariables() { return this._contextVariables; }
+    set contextVariables(value) {
+        this._contextVariables = value;
+        this.contextVariableDefinitions = parseContextVariableConfig(value, this.logger);
+    }
+
+    // Undefined when no record fields are configured, which keeps the wire from firing
+    get contextRecordFields() {
+        if (!this.objectApiName) return undefined;
+        const fields = this.contextVariableDefinitions.filter(d => d.field).map(d => `${this.objectApiName}.${d.field}`);
+        return fields.length ? fields : undefined;
+    }
+
+    @wire(getRecord, { recordId: '$recordId', optionalFields: '$contextRecordFields' })
+    wiredContextRecord({ data, error }) {
+        if (data) {
+            this.contextRecordValues = Object.keys(data.fields || {}).reduce((values, field) => ({ ...values, [field]: data.fields[field].value }), {});
+        } else if (error) {
+            this.logger.warn('Could not load record fields for context variables:', error);
+            this.contextRecordValues = {};
+        }
+    }
+
+    // Recomputed on every call so each message carries the current record, page and field values.
+    // The page URL is only read when a variable is configured with it.
+    get contextVariablesPayload() {
+        const variables = buildContextVariables(this.contextVariableDefinitions, {
+            recordId: this.recordId, objectApiName: this.objectApiName, userId: USER_ID, userLocale: USER_LOCALE,
+            pageUrl: () => window.location.href, fields: this.contextRecordValues
+        });
+        return variables.length ? JSON.stringify(variables) : null;
+    }
+
+    // --- Suggested Prompts and Slash Commands ---
+    // "|"-separated prompts shown as chips under the welcome message and agent replies
+    @api
+    get suggestedPrompts() { return this._suggestedPrompts; }
+    set suggestedPrompts(value) {
+        this._suggestedPrompts = value;
+        this.suggestedPromptList = parseSuggestedPrompts(value);
+    }
+
+    // "|"-separated "name=prompt template" list added to the built-in commands, see composerSuggestions.js
+    @api
+    get slashCommands() { return this._slashCommands; }
+    set slashCommands(value) {
+        this._slashCommands = value;
+        this.commands = [...BUILT_IN_COMMANDS, ...parseCustomCommands(value, this.logger)];
+    }
+
+    // /voice is only offered where voice mode is
+    get availableCommands() { return this.showVoiceModeOption ? this.commands : this.commands.filter(command => command.name !== 'voice'); }
+
+    handleSuggestedPromptClick(event) { this.sendMessage(event.currentTarget.dataset.prompt); }
+
+    updateSlashMenu(text) {
+        const matches = matchCommands(this.availableCommands, text) || [];
+        this.slashMenuCommands = matches;
+        this.activeCommandIndex = 0;
+        if (matches.length) this.announceActiveCommand();
+    }
+
+    closeSlashMenu() { this.slashMenuCommands = []; }
+
+    // Arrow keys move through the menu, Enter or Tab picks the highlighted command, Escape closes it
+    handleSlashMenuKeyDown(event) {
+        const count = this.slashMenuCommands.length;
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            this.activeCommandIndex = (this.activeCommandIndex + (event.key === 'ArrowDown' ? 1 : count - 1)) % count;
+            this.announceActiveCommand();
+        } else if ((event.key === 'Enter' && !event.shiftKey) || event.key === 'Tab') {
+            this.selectCommand(this.slashMenuCommands[this.activeCommandIndex]);
+        } else if (event.key === 'Escape') {
+            this.closeSlashMenu();
+        } else {
+            return false;
+        }
+        event.preventDefault();
+        return true;
+    }
+
+    // mousedown rather than click keeps the focus in the textarea
+    handleSlashOptionMouseDown(event) {
+        event.preventDefault();
+        this.selectCommand(this.slashMenuCommands[Number(event.currentTarget.dataset.index)]);
+    }
+
+    announceActiveCommand() {
+        const command = this.slashMenuCommands[this.activeCommandIndex];
+        if (command) this.announce(formatLabel(LABELS.commandOption, command.name, command.description));
+    }
+
+    // Commands whose template has {input} wait for the user to type it, everything else runs right away
+    selectCommand(command) {
+        if (!command) return;
+        this.closeSlashMenu();
+        if (command.takesInput) { this.setComposerText(`/${command.name} `); return; }
+        this.setComposerText('');
+        this.runCommand(command, '');
+    }
+
+    runCommand(command, input) {
+        this.logger.debug(`Running slash command /${command.name}`);
+        if (!command.builtIn) { this.sendMessage(expandCommandTemplate(command.template, input)); return; }
+        if (command.name === 'new') this.handleClearHistory();
+        else if (command.name === 'end') this.showEndChatConfirmation();
+        else if (command.name === 'export') this.exportTranscript('markdown');
+        else if (command.name === 'voice') this.handleToggleVoiceMode();
+        else if (command.name === 'theme') this.handleToggleTheme();
+    }
+
+    setComposerText(text) {
+        this.currentMessageText = text;
+        if (!this.textareaRef) return;
+        this.textareaRef.value = text;
+        this.textareaRef.focus();
+        this.autoExpandTextarea();
+    }
+
+    // --- Mock Agent Mode ---
+    // Rules as JSON or an object, see mockAgent.js; blank = a demo script
+    @api
+    get mockAgentScript() { return this._mockAgentScript; }
+    set mockAgentScript(value) {
+        this._mockAgentScript = value;
+        this.mockAgent = null;
+    }
+
+    getAgentApi() {
+        if (!this.mockAgentMode) return AGENT_API;
+        if (!this.mockAgent) this.mockAgent = createMockAgent(parseMockScript(this.mockAgentScript, this.logger));
+        return this.mockAgent;
+    }
+
+    // --- Chat Configuration ---
+    // Credentials live in the Agent Chat Configuration and stay on the server; the browser only learns what is set up
+    loadChatSettings() {
+        if (!this.chatSettingsPromise) {
+            this.chatSettingsPromise = this.getAgentApi().getChatSettings({ configurationName: this.configurationName }).then(settings => {
+                this.chatSettings = settings || {};
+                this.checkVoiceSupport();
+                return this.chatSettings;
+            }).catch(error => {
+                this.chatSettingsPromise = null; // Try again on the next start
+                throw error;
+            });
+        }
+        return this.chatSettingsPromise;
+    }
+
+    // Resolves to the reason a chat can't start, or null
+    async checkChatConfiguration() {
+        try {
+            const settings = await this.loadChatSettings();
+            return settings.agentConfigured && (this.agentId || settings.hasAgentId) ? null : LABELS.configIncomplete;
+        } catch (error) {
+            this.logger.error('Could not load the chat configuration:', error);
+            return this.getErrorMessage(error);
+        }
+    }
+
+    // Deprecated credential properties, still declared so existing pages keep working. Their values are dropped
+    // without being stored or sent; scripts/apex/migrateChatConfiguration.apex moves them into a configuration.
+    @api get connectedAppConsumerKey() { return undefined; }
+    set connectedAppConsumerKey(value) { this.dropLegacyCredential('connectedAppConsumerKey', value); }
+    @api get connectedAppConsumerSecret() { return undefined; }
+    set connectedAppConsumerSecret(value) { this.dropLegacyCredential('connectedAppConsumerSecret', value); }
+    @api get elevenLabsApiKey() { return undefined; }
+    set elevenLabsApiKey(value) { this.dropLegacyCredential('elevenLabsApiKey', value); }
+
+    dropLegacyCredential(name, value) {
+        if (!value) return;
+        this.hasLegacyCredentials = true;
+        // A notice, not a warning: the default log level would hide it while the value stays published in the page metadata
+        this.logger.notice(`${name} is no longer used, but its value is still published with this page. Move it into an Agent Chat Configuration and clear the property in App Builder.`);
+    }
+
     // --- Lifecycle Hooks ---
     connectedCallback() {
-        this.loadThemePreference();
         this.componentState = 'minimized';
         this.showWelcomeBanner = true; // Show banner initially
         this.checkVoiceSupport();
+        this.loadChatSettings().catch(() => {}); // Reported when the chat starts, see checkChatConfiguration()
         this.addWindowListeners();
-        this.updateWindowPositionStyle(this.position);
+        this.loadThemePreference(); // After the listeners, "follow system" needs the media query
+        this.isMobileLayout = isMobileViewport(this.viewportSize);
+        this.applySavedWindowLayout();
+        this.restoreConversationState();
+        this.startIdleCheck();
     }
 
     renderedCallback() {
         this.textareaRef = this.refs.textarea;
         this.messageContainerRef = this.refs.messageContainer;
+        // textarea has no value binding in templates; fill the transcript editor once each time it appears
+        const transcriptEditor = this.refs.voiceTranscriptEditor;
+        if (transcriptEditor && !transcriptEditor.dataset.filled) { transcriptEditor.value = this.voiceTranscript; transcriptEditor.dataset.filled = 'true'; }
         if (this.showChatWindow) {
             this.scrollToBottom();
             this.renderAgentMessagesWithHTML();
@@ -90,51 +490,66 @@ export default class MessengerChat extends LightningElement {
              const windowEl = this.template.querySelector('.chat-window');
              if(windowEl) windowEl.classList.add('loaded');
         }
+        this.applyPendingFocus();
     }
 
     disconnectedCallback() {
         this.removeWindowListeners();
-        this.endChatSessionInternal(false);
+        clearInterval(this.idleCheckInterval);
+        // A persisted conversation outlives the page: keep its agent session alive and leave the stored history alone
+        if (this.isPersistenceEnabled) { if (this.sessionId && !this.chatHasEnded) this.saveConversationState(); }
+        else if (this.sessionId) this.endChatSessionInternal(false);
         this.stopAudioPlayback();
         this.stopVoiceRecognition();
         // if (this.outsideClickListener) document.removeEventListener('click', this.outsideClickListener); // REMOVED
     }
 
     // --- Initialization and Session Management ---
-    async initializeChatSession() {
+    async initializeChatSession(preserveHistory = false) {
         if (this.isInitializing || this.isInitialized) return;
-        if (!this.agentId || !this.connectedAppConsumerKey || !this.connectedAppConsumerSecret) {
-            this.showConfigError('Configuration incomplete. Please provide Agent ID, Consumer Key, and Consumer Secret.');
+        this.isInitializing = true;
+        const configError = await this.checkChatConfiguration();
+        if (configError) {
+            this.isInitializing = false;
+            this.showConfigError(configError);
             return;
         }
-        console.log('Initializing Agentforce session...');
+        this.logger.info('Initializing Agentforce session...');
+        if (this.mockAgentMode) this.logger.warn('Mock agent mode is on: replies are scripted, no agent is called.');
         this.isInitializing = true; this.isInitialized = false; this.componentState = 'initializing'; this.sessionId = null;
-        this.clearMessages();
+        if (!preserveHistory) this.clearMessages();
         this.addSystemMessage(CONNECTING_TEXT, 'init_connect');
 
         try {
-            const result = await initializeAgentSession({
+            const result = await this.getAgentApi().initializeAgentSession({
                 agentId: this.agentId,
-                consumerKey: this.connectedAppConsumerKey,
-                consumerSecret: this.connectedAppConsumerSecret
+                configurationName: this.configurationName,
+                contextVariables: this.contextVariablesPayload
             });
             if (result) {
-                console.log('Session initialized successfully. Session ID:', result);
-                this.sessionId = result; this.isInitialized = true;
+                this.logger.info('Session initialized successfully. Session ID:', result);
+                this.sessionId = result; this.isInitialized = true; this.isRestoredSessionUnconfirmed = false; this.lastActivityAt = Date.now(); this.lastUserActivityAt = Math.max(this.lastUserActivityAt, this.lastActivityAt);
                 this.removeSystemMessageById('init_connect'); this.componentState = 'active';
-                if (!this.initialWelcomeMessageSent && this.welcomeMessage) {
+                this.dispatchChatEvent('sessionstart', { sessionId: result, resumed: preserveHistory && this.hasConversationHistory });
+                if (preserveHistory && this.hasConversationHistory) {
+                     this.initialWelcomeMessageSent = true;
+                     this.saveConversationState();
+                } else if (!this.initialWelcomeMessageSent && this.welcomeMessage) {
                      this.addAgentMessage(this.welcomeMessage, true);
                      this.initialWelcomeMessageSent = true;
                 } else if (!this.initialWelcomeMessageSent) {
-                    console.log('No welcome message configured, sending "Hello" to agent.');
-                    this.getUserAgentResponse('Hello');
+                    this.logger.info('No welcome message configured, sending "Hello" to agent.');
+                    // Messages queued while connecting go out after the greeting
+                    this.getUserAgentResponse('Hello').then(() => this.processOutboundQueue());
                     this.initialWelcomeMessageSent = true;
                 }
-            } else { throw new Error('Session initialization returned no Session ID.'); }
+                this.processOutboundQueue();
+            } else { throw new Error(LABELS.noSessionId); }
         } catch (error) {
-            console.error('Error initializing Agentforce session:', error);
+            this.logger.error('Error initializing Agentforce session:', error);
             this.removeSystemMessageById('init_connect');
             this.showInitializationError(this.getErrorMessage(error));
+            this.dispatchChatEvent('error', { source: 'initialization', message: this.getErrorMessage(error) });
              this.componentState = 'error';
         } finally { this.isInitializing = false; }
     }
@@ -146,21 +561,27 @@ export default class MessengerChat extends LightningElement {
 
     async endChatSessionInternal(showUserMessage) {
         if (this.isSessionEnding || !this.sessionId) { this.resetChatUI(); return; }
-        console.log('Ending chat session:', this.sessionId);
-        this.isSessionEnding = true; this.stopAudioPlayback(); this.stopVoiceRecognition();
+        this.logger.info('Ending chat session:', this.sessionId);
+        const endingSessionId = this.sessionId;
+        this.isSessionEnding = true; this.stopAudioPlayback(); this.stopVoiceRecognition(); this.clearOutboundQueue();
         if (this.isVoiceModeActive) this.toggleVoiceInput(); // Exit voice mode UI
-        if (showUserMessage) this.addSystemMessage('Ending conversation...');
+        if (showUserMessage) this.addSystemMessage(LABELS.endingConversation);
+        await this.saveTranscript();
 
         try {
-            await endAgentSession({ sessionId: this.sessionId, consumerKey: this.connectedAppConsumerKey, consumerSecret: this.connectedAppConsumerSecret });
-            console.log('Agent session ended successfully via API.');
+            await this.getAgentApi().endAgentSession({ sessionId: this.sessionId, configurationName: this.configurationName });
+            this.logger.info('Agent session ended successfully via API.');
         } catch (error) {
-            console.error('Error ending agent session via API:', error);
-            this.showToast('Error', 'Could not formally end the agent session: ' + this.getErrorMessage(error), 'error');
+            this.logger.error('Error ending agent session via API:', error);
+            this.showToast(LABELS.errorTitle, formatLabel(LABELS.endSessionFailed, this.getErrorMessage(error)), 'error');
+            this.dispatchChatEvent('error', { source: 'endSession', message: this.getErrorMessage(error) });
         } finally {
             this.sessionId = null; this.isInitialized = false; this.isSessionEnding = false; this.initialWelcomeMessageSent = false;
+            this.clearConversationState();
+            this.dispatchChatEvent('sessionend', { sessionId: endingSessionId });
             if (showUserMessage) {
                 this.chatHasEnded = true; this.showChatWindow = false; this.showChatBubble = false; this.componentState = 'ended';
+                this.announce(LABELS.chatEnded); this.focusAfterRender('.start-new-chat-button');
             } else { this.resetChatUI(); }
         }
     }
@@ -168,9 +589,13 @@ export default class MessengerChat extends LightningElement {
     resetChatUI() {
         this.showChatWindow = false; this.showChatBubble = true; this.chatHasEnded = false;
         // this.isExpanded = false; // REMOVED
+        this.clearOutboundQueue(); this.speechCache.clear();
         this.messages = []; this.componentState = 'minimized';
+        this.pendingAttachments = []; this.attachmentError = ''; this.slashMenuCommands = [];
+        this.showIdleWarning = false; this.endedForInactivity = false;
         this.showWelcomeBanner = true; // Show banner again when minimized
-        this.updateWindowPositionStyle(this.position);
+        this.applySavedWindowLayout();
+        this.clearConversationState();
          const chatWindow = this.template.querySelector('.chat-window');
          if (chatWindow) {
              chatWindow.classList.remove('dragging', 'loaded'); // Removed 'expanded'
@@ -178,58 +603,335 @@ export default class MessengerChat extends LightningElement {
          }
     }
 
-    startNewChat() { this.resetChatUI(); }
+    startNewChat() { this.resetChatUI(); this.focusAfterRender('.chat-bubble'); }
 
     // --- Message Handling ---
-    handleMessageChange(event) { this.currentMessageText = event.target.value; this.autoExpandTextarea(); }
-    handleKeyPress(event) { if (event.key === 'Enter' && !event.shiftKey) { event.preventDefault(); this.sendMessage(); } this.autoExpandTextarea(); }
+    handleMessageChange(event) { this.currentMessageText = event.target.value; this.markUserActivity(); this.updateSlashMenu(this.currentMessageText); this.autoExpandTextarea(); }
+    handleKeyPress(event) {
+        if (this.showSlashMenu && this.handleSlashMenuKeyDown(event)) return;
+        if (event.key === 'Enter' && !event.shiftKey) { event.preventDefault(); this.handleSendClick(); }
+        this.autoExpandTextarea();
+    }
 
-    sendMessage() {
+    async handleSendClick() {
         const textToSend = this.currentMessageText.trim();
-        if (!textToSend || this.isInputDisabled) return;
-        console.log('Sending message:', textToSend);
-        this.addUserMessage(textToSend);
-        this.getUserAgentResponse(textToSend);
+        if ((!textToSend && !this.hasPendingAttachments) || this.isInputDisabled) return;
+        // "/name input" runs the command; anything else starting with "/" is sent as typed
+        const slashCommand = this.hasPendingAttachments ? null : parseCommand(this.availableCommands, textToSend);
+        if (slashCommand) {
+            this.closeSlashMenu(); this.setComposerText('');
+            this.runCommand(slashCommand.command, slashCommand.input);
+            return;
+        }
+        let attachments = [];
+        if (this.hasPendingAttachments) {
+            attachments = await this.uploadPendingAttachments();
+            if (!attachments) return; // The text and attachments stay in the input so the user can try again
+        }
+        this.sendUserMessage(textToSend, buildAttachmentMessage(textToSend, attachments), attachments);
         this.currentMessageText = '';
         if (this.textareaRef) { this.textareaRef.value = ''; this.textareaRef.style.height = 'auto'; }
     }
 
-    async getUserAgentResponse(messageText) {
-        if (this.isAgentTyping || !this.sessionId) return;
+    // Shared by the input, quick replies, voice and the public sendMessage(); displayText is shown, value goes to the agent.
+    // Resolves to true once the agent has answered, false if the message failed.
+    sendUserMessage(displayText, value, attachments = null) {
+        this.logger.debug('Sending message:', value);
+        this.markUserActivity();
+        const messageId = this.addMessage(displayText, USER_SENDER, null, false, false, false, null, MESSAGE_STATUS.SENDING, attachments);
+        this.messages = this.messages.map(m => (m.id === messageId ? { ...m, outboundText: value } : m));
+        this.dispatchChatEvent('messagesent', { sessionId: this.sessionId, text: value, attachments: attachments || [] });
+        return this.enqueueMessage(messageId, value);
+    }
+
+    // --- Outbound Queue ---
+    // Messages are sent one at a time, in the order they were typed
+    enqueueMessage(messageId, text) {
+        return new Promise(resolve => {
+            this.outboundQueue.push({ messageId, text, resolve });
+            this.processOutboundQueue();
+        });
+    }
+
+    async processOutboundQueue() {
+        // Picked up again when the current turn finishes or the session (re)connects
+        if (this.isAgentTyping || !this.isInitialized || !this.sessionId || !this.outboundQueue.length) return;
+        const item = this.outboundQueue.shift();
+        const delivered = await this.getUserAgentResponse(item.text, item.messageId);
+        item.resolve(delivered);
+        this.processOutboundQueue();
+    }
+
+    clearOutboundQueue() {
+        this.outboundQueue.forEach(item => { this.setMessageStatus(item.messageId, MESSAGE_STATUS.FAILED); item.resolve(false); });
+        this.outboundQueue = [];
+    }
+
+    setMessageStatus(messageId, status) {
+        if (!messageId) return;
+        this.messages = this.messages.map(m => (m.id === messageId ? { ...m, ...this.getStatusFields(status) } : m));
+        this.saveConversationState();
+        if (status === MESSAGE_STATUS.FAILED) this.announce(LABELS.messageNotDelivered);
+    }
+
+    getStatusFields(status) {
+        return { status, statusLabel: MESSAGE_STATUS_LABELS[status] || '', isSending: status === MESSAGE_STATUS.SENDING, isFailed: status === MESSAGE_STATUS.FAILED };
+    }
+
+    handleRetryClick(event) {
+        const message = this.messages.find(m => m.id === event.currentTarget.dataset.messageId);
+        if (!message || !message.isFailed || this.chatHasEnded) return;
+        this.logger.debug('Retrying message:', message.id);
+        this.setMessageStatus(message.id, MESSAGE_STATUS.SENDING);
+        this.enqueueMessage(message.id, message.outboundText || message.text);
+        // The failure may have dropped the session, reconnect so the queue can drain
+        if (!this.isInitialized && !this.isInitializing) this.pendingInitialization = this.initializeChatSession(true);
+    }
+
+    isTransientError(error) {
+        if (!error || error.streamStarted) return false; // Part of the reply is already on screen, resending would duplicate it
+        if (!error.body && TRANSIENT_STATUS_CODES.includes(error.status)) return true; // fetch() errors; Apex errors always carry a body
+        return TRANSIENT_ERROR_PATTERN.test(error.body?.message || error.message || '');
+    }
+
+    // Sends one message to the agent. messageId (the user's message) gets its delivery status updated; the greeting has none.
+    // isResend marks the single retry after the session was re-initialized, so an expired session can't loop.
+    async getUserAgentResponse(messageText, messageId = null, isResend = false) {
+        if (this.isAgentTyping || !this.sessionId) return false;
         this.isAgentTyping = true;
         const typingMsgId = this.addSystemMessage(TYPING_INDICATOR_TEXT, null, true);
+        let delivered = false;
 
         try {
-            const response = await getAgentRecommendation({ sessionId: this.sessionId, message: messageText, consumerKey: this.connectedAppConsumerKey, consumerSecret: this.connectedAppConsumerSecret });
-            this.removeSystemMessageById(typingMsgId);
-            if (response) {
-                console.log('Agent response received.');
-                this.addAgentMessage(response, true);
-                if (this.isVoiceModeActive) this.speakAgentResponse(response);
-            } else {
-                 console.log('Agent returned an empty response.');
-                 this.addAgentMessage("I'm sorry, I could not find an answer for that.", false);
-                 if (this.isVoiceModeActive) this.speakAgentResponse("I'm sorry, I could not find an answer for that.");
-            }
+            await this.requestAgentResponseWithRetry(messageText, typingMsgId);
+            delivered = true;
+            this.isRestoredSessionUnconfirmed = false;
         } catch (error) {
-            console.error('Error getting agent recommendation:', error);
+            this.logger.error('Error getting agent recommendation:', error);
             this.removeSystemMessageById(typingMsgId);
             const errorMsg = this.getErrorMessage(error);
-             if (error.body?.message?.includes('expired') || error.body?.message?.includes('invalid') || error.status === 404 || error.message?.includes('404')) {
-                 console.warn('Session likely expired. Attempting to re-initialize.');
-                 this.addSystemMessage('Session expired. Reconnecting...');
+             if (isSessionExpiredError(error) && !isResend) {
+                 this.logger.warn('Session likely expired. Attempting to re-initialize.');
+                 // The Agent API has no keep-alive, so an expired session is only replaced here, when the user sends again.
+                 // Whether a restored session is still alive is only a guess from its timestamp, this is the server's answer
+                 const wasRestored = this.isRestoredSessionUnconfirmed;
+                 this.isRestoredSessionUnconfirmed = false;
+                 if (!wasRestored) this.addSystemMessage(RECONNECTING_TEXT);
                  this.isInitialized = false; this.sessionId = null;
-                 await this.initializeChatSession();
+                 await this.initializeChatSession(true);
                  if(this.isInitialized) {
-                     console.log('Re-initialization successful, resending message.');
-                     this.getUserAgentResponse(messageText);
-                 } else { this.addSystemMessage("Failed to reconnect. Please start a new chat."); }
-             } else { this.addSystemMessage(`Error: ${errorMsg}`, null, false, true); }
+                     this.logger.info('Re-initialization successful, resending message.');
+                     // The conversation stays on screen, but the new session doesn't know it
+                     this.addSystemMessage(wasRestored ? SESSION_RESUMED_TEXT : LABELS.sessionRenewed);
+                     this.isAgentTyping = false; // Release the lock held by this call so the resend isn't dropped
+                     return this.getUserAgentResponse(messageText, messageId, true);
+                 }
+                 this.addSystemMessage(LABELS.reconnectFailed);
+             } else {
+                 this.addSystemMessage(formatLabel(LABELS.errorPrefix, errorMsg), null, false, true);
+                 this.dispatchChatEvent('error', { source: 'response', message: errorMsg });
+             }
         } finally { this.isAgentTyping = false; }
+        this.setMessageStatus(messageId, delivered ? MESSAGE_STATUS.DELIVERED : MESSAGE_STATUS.FAILED);
+        return delivered;
+    }
+
+    // Retries transient failures with exponential backoff, other errors are thrown right away
+    async requestAgentResponseWithRetry(messageText, typingMsgId, attempt = 0) {
+        try {
+            await this.requestAgentResponse(messageText, typingMsgId);
+        } catch (error) {
+            if (attempt >= MAX_SEND_RETRIES || !this.isTransientError(error)) throw error;
+            const delay = SEND_RETRY_BASE_DELAY_MS * 2 ** attempt;
+            this.logger.warn(`Transient error sending message, retry ${attempt + 1} of ${MAX_SEND_RETRIES} in ${delay} ms:`, this.getErrorMessage(error));
+            // eslint-disable-next-line @lwc/lwc/no-async-operation -- backoff delay, the session is checked again after it
+            await new Promise(resolve => setTimeout(resolve, delay));
+            if (!this.sessionId) throw error; // The chat was ended while waiting
+            await this.requestAgentResponseWithRetry(messageText, typingMsgId, attempt + 1);
+        }
+    }
+
+    async requestAgentResponse(messageText, typingMsgId) {
+        const startedAt = Date.now();
+        this.lastSequenceId = null;
+        try {
+            if (this.isStreamingEnabled) await this.streamAgentResponse(messageText, typingMsgId);
+            else await this.fetchAgentResponse(messageText, typingMsgId);
+            this.recordTurn(startedAt);
+        } catch (error) {
+            this.recordTurn(startedAt, error);
+            throw error;
+        }
+    }
+
+    async fetchAgentResponse(messageText, typingMsgId) {
+        const params = { sessionId: this.sessionId, message: messageText, configurationName: this.configurationName, contextVariables: this.contextVariablesPayload };
+        this.recordRequest('getAgentRecommendation', params);
+        const response = await this.getAgentApi().getAgentRecommendation(params);
+        this.lastActivityAt = Date.now();
+        this.recordResponse(response);
+        if (Array.isArray(response) && response.length) this.lastSequenceId = response[0].sequenceId ?? null;
+        this.removeSystemMessageById(typingMsgId);
+        const agentMessages = Array.isArray(response) ? response : [];
+        this.dispatchChatEvent('agentresponse', { sessionId: this.sessionId, messages: agentMessages });
+        if (agentMessages.length) {
+            this.logger.info(`Agent response received (${agentMessages.length} message(s)).`);
+            this.handleAgentMessages(agentMessages);
+        } else {
+             this.logger.info('Agent returned an empty response.');
+             this.queueSpeech(NO_ANSWER_TEXT, this.addAgentMessage(NO_ANSWER_TEXT, false));
+        }
+    }
+
+    // Renders every message of one agent turn in order. EndSession is handled last so the rest of the turn stays visible.
+    handleAgentMessages(agentMessages) {
+        const spokenParts = []; // [text, messageId]
+        let endsSession = false;
+        agentMessages.forEach(agentMessage => {
+            const choices = (agentMessage.choices || []).map((choice, index) => ({ id: `choice_${index}`, label: choice.label, value: choice.value || choice.label }));
+            if (agentMessage.type === 'Escalate') {
+                const text = agentMessage.text || HANDOFF_TEXT;
+                spokenParts.push([text, this.addMessage(text, HANDOFF_SENDER)]);
+            } else if (END_SESSION_MESSAGE_TYPES.includes(agentMessage.type)) {
+                if (agentMessage.text) spokenParts.push([agentMessage.text, this.addAgentMessage(agentMessage.text, true)]);
+                endsSession = true;
+            } else {
+                const messageId = this.addMessage(agentMessage.text, AGENT_SENDER, null, false, false, true, choices);
+                if (agentMessage.text) spokenParts.push([agentMessage.text, messageId]);
+            }
+        });
+        if (endsSession) {
+            this.logger.info('Agent ended the session.');
+            this.endChatSessionInternal(true);
+        } else {
+            spokenParts.forEach(([text, messageId]) => this.queueSpeech(text, messageId));
+        }
+    }
+
+    // --- Streaming Responses ---
+    // Development only: the Agent API is called through Apex, which can't relay a stream,
+    // and an access token must never be handed to the browser
+    get isStreamingEnabled() { return !this.mockAgentMode && Boolean(this.streamingMockEndpoint); }
+
+    async streamAgentResponse(messageText, typingMsgId) {
+        const request = { endpoint: this.streamingMockEndpoint, headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream' }, body: JSON.stringify({ sessionId: this.sessionId, message: messageText, variables: JSON.parse(this.contextVariablesPayload || '[]') }) };
+        this.recordRequest('stream', { endpoint: request.endpoint, headers: request.headers, body: JSON.parse(request.body) });
+        const response = await fetch(request.endpoint, { method: 'POST', headers: request.headers, body: request.body });
+        if (!response.ok || !response.body) {
+            this.recordResponse({ status: response.status });
+            // status is picked up by the session-expired check in getUserAgentResponse()
+            const error = new Error(`Streaming request failed (${response.status})`); error.status = response.status;
+            throw error;
+        }
+        const stream = { messageId: null, rawText: '', informMessage: null, otherMessages: [], speech: null, spokenLength: 0, lastRenderAt: 0, typingMsgId, events: [] };
+        const parser = createSseParser(event => this.handleStreamEvent(event, stream));
+        try {
+            await this.readStream(response.body.getReader(), new TextDecoder(), parser);
+        } catch (error) {
+            // The agent has already received the message, so this must not be retried
+            error.streamStarted = true;
+            throw error;
+        } finally {
+            this.recordResponse({ status: response.status, events: stream.events });
+        }
+        this.lastActivityAt = Date.now();
+        this.finishStreamingResponse(stream);
+    }
+
+    async readStream(reader, decoder, parser) {
+        const { done, value } = await reader.read();
+        if (done) { parser.push(decoder.decode()); parser.flush(); return; }
+        parser.push(decoder.decode(value, { stream: true }));
+        await this.readStream(reader, decoder, parser);
+    }
+
+    handleStreamEvent(event, stream) {
+        let payload;
+        try { payload = JSON.parse(event.data); } catch (e) { this.logger.warn('Ignoring non-JSON stream event:', event.data); return; }
+        stream.events.push(payload);
+        const message = payload.message && typeof payload.message === 'object' ? payload.message : payload;
+        const text = typeof message.message === 'string' ? message.message : message.text;
+        switch (message.type) {
+            case 'TextChunk': this.appendStreamText(stream, text || ''); break;
+            case 'ProgressIndicator':
+                if (text) this.messages = this.messages.map(m => (m.id === stream.typingMsgId ? { ...m, text } : m));
+                break;
+            case 'EndOfTurn': break;
+            case 'Inform':
+                // The final Inform repeats the full text of the chunks; keep it as the authoritative version
+                if (!stream.informMessage && stream.messageId) { stream.informMessage = { ...message, text }; break; }
+                stream.otherMessages.push({ ...message, text });
+                break;
+            default: stream.otherMessages.push({ ...message, text });
+        }
+    }
+
+    appendStreamText(stream, chunk) {
+        if (!chunk) return;
+        stream.rawText += chunk;
+        if (!stream.messageId) {
+            this.removeSystemMessageById(stream.typingMsgId);
+            // Placeholder text, the real content is set by updateStreamingMessage()
+            stream.messageId = this.addMessage(' ', AGENT_SENDER, null, false, false, true);
+        }
+        const now = Date.now();
+        if (now - stream.lastRenderAt >= STREAM_RENDER_INTERVAL_MS) { stream.lastRenderAt = now; this.updateStreamingMessage(stream, stream.rawText, true); }
+        this.queueStreamedSpeech(stream, stream.rawText, false);
+    }
+
+    updateStreamingMessage(stream, rawText, isPartial) {
+        const { text, thinking } = this.splitThinking(rawText);
+        // Hide a tag that is still being streamed ("<str") so it doesn't flash as text
+        const visibleText = isPartial ? text.replace(/<[^>]*$/, '') : text;
+        this.messages = this.messages.map(m => (m.id === stream.messageId
+            ? { ...m, text: visibleText, thinkingProcess: thinking || null, hasThinkingProcess: Boolean(thinking), isStreaming: isPartial, renderVersion: (m.renderVersion || 1) + 1 }
+            : m));
+        this.scrollToBottom();
+    }
+
+    splitThinking(rawText) {
+        let thinking = '';
+        let text = rawText.replace(/<think>([\s\S]*?)<\/think>/gi, (match, content) => { thinking += content; return ''; });
+        // An unclosed <think> means the thought process is still streaming
+        const openIndex = text.search(/<think>/i);
+        if (openIndex !== -1) { thinking += text.slice(openIndex + '<think>'.length); text = text.slice(0, openIndex); }
+        return { text: text.trim(), thinking: thinking.trim() };
+    }
+
+    // Hands complete sentences to the speech pipeline while the reply is still streaming, the rest once it's final
+    queueStreamedSpeech(stream, rawText, isFinal) {
+        if (!stream.speech) stream.speech = this.queueSpeech(null, stream.messageId);
+        if (!stream.speech) return;
+        const pending = this.toSpeechText(rawText).slice(stream.spokenLength);
+        const ready = isFinal ? pending : (pending.match(/^[\s\S]*[.!?](?=\s)/) || [''])[0];
+        if (ready.trim()) { stream.speech.append(splitIntoSpeechChunks(ready)); stream.spokenLength += ready.length; }
+        if (isFinal) stream.speech.finish();
     }
 
-    addMessage(text, sender, id = null, isTyping = false, isError = false, isRawHtml = false) {
-        if (!text && !isTyping) return;
+    finishStreamingResponse(stream) {
+        this.removeSystemMessageById(stream.typingMsgId);
+        const informMessage = stream.messageId ? (stream.informMessage || { type: 'Inform', text: stream.rawText }) : null;
+        this.dispatchChatEvent('agentresponse', { sessionId: this.sessionId, messages: (informMessage ? [informMessage] : []).concat(stream.otherMessages) });
+        if (!stream.messageId) {
+            if (stream.otherMessages.length) this.handleAgentMessages(stream.otherMessages);
+            else this.queueSpeech(NO_ANSWER_TEXT, this.addAgentMessage(NO_ANSWER_TEXT, false));
+            return;
+        }
+        const finalText = stream.informMessage?.text || stream.rawText;
+        this.updateStreamingMessage(stream, finalText, false);
+        const choices = (stream.informMessage?.choices || []).map((choice, index) => ({ id: `choice_${index}`, label: choice.label || choice, value: choice.value || choice.label || choice }));
+        if (choices.length) this.messages = this.messages.map(m => (m.id === stream.messageId ? { ...m, choices, hasChoices: true, choicesDisabled: false } : m));
+        this.saveConversationState();
+        this.recordTranscriptMessage(this.messages.find(m => m.id === stream.messageId));
+        this.announceMessage(this.messages.find(m => m.id === stream.messageId));
+        this.queueStreamedSpeech(stream, finalText, true);
+        if (stream.otherMessages.length) this.handleAgentMessages(stream.otherMessages);
+    }
+
+    addMessage(text, sender, id = null, isTyping = false, isError = false, isRawHtml = false, choices = null, status = null, attachments = null) {
+        const hasChoices = Array.isArray(choices) && choices.length > 0;
+        const hasAttachments = Array.isArray(attachments) && attachments.length > 0;
+        if (!text && !isTyping && !hasChoices && !hasAttachments) return null;
         const messageId = id || `msg_${++this.lastMessageId}`;
         const timestamp = this.getTimestamp();
         let cssClass = `message ${sender}-message`;
@@ -237,10 +939,13 @@ export default class MessengerChat extends LightningElement {
         if (isError) cssClass += ' error-message';
 
         const messageObj = {
-            id: messageId, sender: sender, text: text, timestamp: timestamp, cssClass: cssClass,
+            id: messageId, sender: sender, text: text, timestamp: timestamp, createdAt: new Date().toISOString(), cssClass: cssClass,
             isUserMessage: sender === USER_SENDER, isAgentMessage: sender === AGENT_SENDER, isSystemMessage: sender === SYSTEM_SENDER,
-            isTypingMessage: isTyping, isErrorMessage: isError, rawHtml: isRawHtml && sender === AGENT_SENDER && !isTyping,
-            thinkingProcess: null, hasThinkingProcess: false };
+            isHandoffMessage: sender === HANDOFF_SENDER,
+            isTypingMessage: isTyping, isErrorMessage: isError, rawHtml: Boolean(text) && isRawHtml && sender === AGENT_SENDER && !isTyping,
+            thinkingProcess: null, hasThinkingProcess: false, choices: hasChoices ? choices : [], hasChoices: hasChoices, choicesDisabled: false,
+            attachments: hasAttachments ? attachments : [], hasAttachments: hasAttachments,
+            ...this.getStatusFields(status) };
 
          if (messageObj.isAgentMessage && !messageObj.isTypingMessage && messageObj.text) {
              const thinkTagRegex = /<think>([\s\S]*?)<\/think>/i;
@@ -249,53 +954,72 @@ export default class MessengerChat extends LightningElement {
                  messageObj.thinkingProcess = match[1].trim();
                  messageObj.hasThinkingProcess = true;
                  messageObj.text = messageObj.text.replace(thinkTagRegex, '').trim();
-                 console.log(`Extracted thinking process for message ${messageId}`);
+                 this.logger.debug(`Extracted thinking process for message ${messageId}`);
              }
          }
         this.messages = [...this.messages, messageObj];
         this.scrollToBottom();
+        if (!isTyping) { this.saveConversationState(); this.recordTranscriptMessage(messageObj); }
+        this.announceMessage(messageObj);
         return messageId;
     }
-    addUserMessage(text) { this.addMessage(text, USER_SENDER); }
-    addAgentMessage(text, isRawHtml = false) { this.addMessage(text, AGENT_SENDER, null, false, false, isRawHtml); }
+    addUserMessage(text) { return this.addMessage(text, USER_SENDER); }
+    addAgentMessage(text, isRawHtml = false) { return this.addMessage(text, AGENT_SENDER, null, false, false, isRawHtml); }
     addSystemMessage(text, id = null, isTyping = false, isError = false) { return this.addMessage(text, SYSTEM_SENDER, id, isTyping, isError); }
-    removeSystemMessageById(id) { if (!id) return; this.messages = this.messages.filter(m => m.id !== id); }
+    handleQuickReplyClick(event) {
+        const { messageId, value } = event.currentTarget.dataset;
+        if (!value || this.isInputDisabled) return;
+        // A choice list can be answered once, later turns may change what the options mean
+        this.messages = this.messages.map(m => (m.id === messageId ? { ...m, choicesDisabled: true } : m));
+        this.sendUserMessage(event.currentTarget.textContent.trim() || value, value);
+    }
+    removeSystemMessageById(id) { if (!id) return; this.messages = this.messages.filter(m => m.id !== id); this.saveConversationState(); }
     clearMessages() { this.messages = []; this.lastMessageId = 0; }
-    getTimestamp() { return new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', hour12: false }); }
+    getTimestamp() { return formatTime(new Date()); }
 
     renderAgentMessagesWithHTML() {
         this.messages.forEach(message => {
             if (message.rawHtml && message.isAgentMessage) {
                 const container = this.template.querySelector(`.lwc-manual-render[data-id="${message.id}"]`);
-                if (container && !container.dataset.rendered) {
+                // renderVersion changes while a streamed message grows
+                const version = String(message.renderVersion || 1);
+                if (container && container.dataset.rendered !== version) {
                     try {
-                        let sanitizedHtml = message.text.replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '');
-                        container.innerHTML = sanitizedHtml;
-                        container.dataset.rendered = 'true';
+                        while (container.firstChild) container.removeChild(container.firstChild);
+                        container.appendChild(sanitizeHtml(renderAgentText(message.text), this.sanitizerConfig));
+                        container.dataset.rendered = version;
                          this.enhanceRenderedHTML(container);
-                    } catch (e) { console.error(`Error rendering HTML for message ${message.id}:`, e); container.textContent = '[Error displaying content]'; }
+                    } catch (e) { this.logger.error(`Error rendering HTML for message ${message.id}:`, e); container.textContent = '[Error displaying content]'; }
                 }
             }
         });
     }
-     enhanceRenderedHTML(container) {
-         const links = container.querySelectorAll('a');
-         links.forEach(link => { link.target = '_blank'; link.rel = 'noopener noreferrer'; });
+     enhanceRenderedHTML(container) { hardenLinks(container, this.sanitizerConfig); addCodeCopyButtons(container, this.logger); }
+     get sanitizerConfig() {
+         const parseList = (value) => (value ? String(value).split(',').map(v => v.trim()).filter(Boolean) : null);
+         const config = {};
+         const tags = parseList(this.allowedHtmlTags); const attributes = parseList(this.allowedHtmlAttributes); const schemes = parseList(this.allowedUrlSchemes);
+         if (tags) config.allowedTags = tags;
+         if (schemes) config.allowedUrlSchemes = schemes;
+         if (attributes) config.allowedAttributes = parseAttributeOverrides(attributes);
+         return config;
      }
 
     // --- UI Event Handlers ---
     handleChatBubbleClick() {
-        console.log('Chat bubble clicked');
+        this.logger.debug('Chat bubble clicked');
         this.showChatBubble = false;
         this.showChatWindow = true;
         this.showWelcomeBanner = false; // Hide banner when chat opens
-        this.componentState = 'initializing';
-        requestAnimationFrame(() => { this.textareaRef?.focus(); });
-        this.initializeChatSession();
+        this.componentState = this.isInitialized ? 'active' : 'initializing';
+        this.markUserActivity();
+        this.focusAfterRender('.message-textarea');
+        this.pendingInitialization = this.initializeChatSession(this.hasConversationHistory);
+        this.saveConversationState();
     }
 
     handleMinimizeToBubble() {
-        console.log('Minimizing to bubble');
+        this.logger.debug('Minimizing to bubble');
         this.showChatWindow = false;
         this.showChatBubble = true;
         // this.showOptionsMenu = false; // REMOVED
@@ -304,13 +1028,15 @@ export default class MessengerChat extends LightningElement {
         this.stopAudioPlayback();
         this.stopVoiceRecognition();
          if (this.isVoiceModeActive) this.toggleVoiceInput();
+        this.saveConversationState();
+        this.focusAfterRender('.chat-bubble');
     }
 
     // handleToggleExpand() { // REMOVED
     // }
 
     handleToggleTheme() {
-        this.isDarkMode = !this.isDarkMode;
+        this.themeMode = nextThemeMode(this.themeMode);
         this.updateTheme();
         this.saveThemePreference();
         // this.showOptionsMenu = false; // REMOVED
@@ -326,22 +1052,332 @@ export default class MessengerChat extends LightningElement {
     showEndChatConfirmation() {
         this.stopAudioPlayback();
         this.showEndChatModal = true;
+        this.focusAfterRender('.modal-cancel-button');
         // this.showOptionsMenu = false; // REMOVED
     }
 
-    cancelEndChat() { this.showEndChatModal = false; }
+    cancelEndChat() { this.showEndChatModal = false; this.focusAfterRender('.end-chat'); }
+
+    // Keeps Tab inside the confirmation dialog; Escape cancels it
+    handleModalKeyDown(event) {
+        if (event.key === 'Escape') { event.preventDefault(); this.cancelEndChat(); return; }
+        if (event.key !== 'Tab') return;
+        const buttons = [...this.template.querySelectorAll('.slds-modal button')];
+        const index = buttons.indexOf(this.template.activeElement);
+        const next = event.shiftKey ? (index <= 0 ? buttons.length - 1 : index - 1) : (index + 1) % buttons.length;
+        event.preventDefault();
+        buttons[next].focus();
+    }
 
     dismissWelcomeBanner() { this.showWelcomeBanner = false; } // NEW handler for banner close
 
+    async handleClearHistory() {
+        // Starting over server-side too, otherwise the agent would still answer from the old context
+        this.stopAudioPlayback();
+        await this.endChatSessionInternal(false);
+        this.handleChatBubbleClick();
+    }
+
+    // --- Transcripts ---
+    async saveTranscript() {
+        if (this.transcriptSaveMode === 'none' || !this.sessionId) return;
+        const entries = buildTranscriptEntries(this.messages);
+        if (!entries.length) return;
+        try {
+            await this.getAgentApi().saveChatTranscript({ sessionId: this.sessionId, recordId: this.recordId, objectApiName: this.objectApiName, agentName: this.agentName, messages: JSON.stringify(entries) });
+            this.logger.info('Chat transcript saved.');
+        } catch (error) {
+            this.logger.error('Error saving chat transcript:', error);
+            this.showToast(LABELS.transcriptNotSaved, this.getErrorMessage(error), 'warning');
+        }
+    }
+
+    // Per-message saving; streamed messages are recorded once they are complete
+    recordTranscriptMessage(message) {
+        if (this.transcriptSaveMode !== 'perMessage' || !this.sessionId || !message || message.isStreaming) return;
+        if (!message.isUserMessage && !message.isAgentMessage) return;
+        const [entry] = buildTranscriptEntries([message]);
+        if (!entry) return;
+        this.getAgentApi().addMessageToConversation({ sessionId: this.sessionId, recordId: this.recordId, message: entry.text, isFromUser: message.isUserMessage, thinkingProcess: message.thinkingProcess })
+            .catch(error => this.logger.error('Error saving chat message to transcript:', error));
+    }
+
+    handleTranscriptExport(event) { this.exportTranscript(event.detail.value); }
+
+    exportTranscript(format) {
+        const formatInfo = TRANSCRIPT_FORMATS[format];
+        if (!formatInfo) return;
+        const entries = buildTranscriptEntries(this.messages);
+        if (!entries.length) { this.showToast(LABELS.nothingToExport, LABELS.conversationEmpty, 'info'); return; }
+        const content = formatTranscript(entries, format, { title: this.headerText, agentName: this.agentName, sessionId: this.sessionId, recordId: this.recordId });
+        const stamp = new Date().toISOString().slice(0, 16).replace(/[:T]/g, '-');
+        const link = document.createElement('a');
+        link.href = `data:${formatInfo.mimeType};charset=utf-8,${encodeURIComponent(content)}`;
+        link.download = `chat-transcript-${stamp}.${formatInfo.extension}`;
+        link.click();
+    }
+
+    // --- Attachments ---
+    get hasPendingAttachments() { return this.pendingAttachments.length > 0; }
+    get acceptedFileTypes() { return ACCEPTED_FILE_TYPES; }
+    get chatInputAreaClasses() { return `chat-input-area${this.isFileDragOver ? ' file-drag-over' : ''}`; }
+    handleAttachClick() { const input = this.template.querySelector('.attachment-input'); if (input) input.click(); }
+    handleAttachmentInputChange(event) { this.addAttachments([...event.target.files]); event.target.value = ''; }
+    handlePaste(event) {
+        const files = [...(event.clipboardData?.files || [])];
+        if (!this.allowAttachments || !files.length) return; // Plain text is pasted as usual
+        event.preventDefault();
+        this.addAttachments(files);
+    }
+    handleFileDragOver(event) {
+        if (!this.allowAttachments || this.isInputDisabled || ![...(event.dataTransfer?.types || [])].includes('Files')) return;
+        event.preventDefault();
+        this.isFileDragOver = true;
+    }
+    handleFileDragLeave() { this.isFileDragOver = false; }
+    handleFileDrop(event) {
+        if (!this.isFileDragOver) return;
+        event.preventDefault();
+        this.isFileDragOver = false;
+        this.addAttachments([...(event.dataTransfer?.files || [])]);
+    }
+    handleRemoveAttachment(event) {
+        const attachmentId = event.currentTarget.dataset.attachmentId;
+        this.pendingAttachments = this.pendingAttachments.filter(a => a.id !== attachmentId);
+        this.attachmentError = '';
+        this.focusAfterRender('.message-textarea');
+    }
+
+    // Files over the limits are skipped with an error, the others are read for the preview and the upload
+    async addAttachments(files) {
+        this.attachmentError = '';
+        const accepted = [];
+        files.forEach((file, index) => {
+            const name = getFileName(file, index);
+            const problem = validateAttachment(name, file.size, this.pendingAttachments.length + accepted.length);
+            if (problem) this.attachmentError = this.getAttachmentErrorText(problem, name);
+            else accepted.push({ file, name });
+        });
+        try {
+            const read = await Promise.all(accepted.map(async ({ file, name }) => ({ id: `attachment_${++this.lastAttachmentId}`, name, size: file.size, sizeLabel: formatFileSize(file.size),
+                isImage: isImageFile(name), removeLabel: formatLabel(LABELS.removeAttachment, name), dataUrl: await readFileAsDataUrl(file) })));
+            this.pendingAttachments = [...this.pendingAttachments, ...read];
+        } catch (error) {
+            this.logger.error('Error reading attachment:', error);
+            this.attachmentError = formatLabel(LABELS.attachmentUploadFailed, this.getErrorMessage(error));
+        }
+    }
+
+    getAttachmentErrorText(problem, name) {
+        if (problem === 'count') return formatLabel(LABELS.tooManyAttachments, MAX_ATTACHMENTS);
+        if (problem === 'size') return formatLabel(LABELS.attachmentTooLarge, name, formatFileSize(MAX_ATTACHMENT_BYTES));
+        return formatLabel(LABELS.attachmentTypeNotAllowed, name, ACCEPTED_FILE_TYPES.replace(/,/g, ', '));
+    }
+
+    // Uploads as Salesforce Files shared with the record page; resolves to the uploaded attachments or null on failure
+    async uploadPendingAttachments() {
+        this.isUploadingAttachments = true;
+        this.attachmentError = '';
+        try {
+            const uploaded = await Promise.all(this.pendingAttachments.map(attachment =>
+                this.getAgentApi().uploadChatAttachment({ sessionId: this.sessionId, recordId: this.recordId, fileName: attachment.name, base64Data: attachment.dataUrl.split(',')[1] })
+                    .then(result => ({ ...result, size: attachment.size, isImage: attachment.isImage }))));
+            this.pendingAttachments = [];
+            return uploaded;
+        } catch (error) {
+            this.logger.error('Error uploading attachments:', error);
+            this.attachmentError = formatLabel(LABELS.attachmentUploadFailed, this.getErrorMessage(error));
+            return null;
+        } finally {
+            this.isUploadingAttachments = false;
+        }
+    }
+
+    // --- Message Feedback ---
+    handleFeedbackClick(event) {
+        const { messageId, rating } = event.currentTarget.dataset;
+        if (rating === 'up') { this.submitFeedback(messageId, 'up'); return; }
+        // A thumbs down asks for an optional reason first
+        this.messages = this.messages.map(m => (m.id === messageId ? { ...m, isFeedbackFormOpen: true } : m));
+        this.focusAfterRender(`.feedback-reason[data-message-id="${messageId}"]`);
+        this.scrollToBottom();
+    }
+    handleFeedbackSubmit(event) {
+        const messageId = event.currentTarget.dataset.messageId;
+        const reason = this.template.querySelector(`.feedback-reason[data-message-id="${messageId}"]`);
+        const comment = this.template.querySelector(`.feedback-comment[data-message-id="${messageId}"]`);
+        this.submitFeedback(messageId, 'down', reason ? reason.value : '', comment ? comment.value.trim() : '');
+    }
+    handleFeedbackCancel(event) {
+        const messageId = event.currentTarget.dataset.messageId;
+        this.messages = this.messages.map(m => (m.id === messageId ? { ...m, isFeedbackFormOpen: false } : m));
+        this.focusAfterRender(`.feedback-button[data-message-id="${messageId}"][data-rating="down"]`);
+    }
+
+    // Stores the rating with the reply and the prompt it answered; rating a reply again updates the same record
+    async submitFeedback(messageId, rating, reason = '', comment = '') {
+        const index = this.messages.findIndex(m => m.id === messageId);
+        const message = this.messages[index];
+        if (!message || !this.sessionId) return;
+        const prompt = this.messages.slice(0, index).reverse().find(m => m.isUserMessage);
+        const feedback = { sessionId: this.sessionId, messageId, rating, reason, comment, messageText: this.getPlainText(message), userPrompt: prompt ? prompt.text : '' };
+        this.messages = this.messages.map(m => (m.id === messageId ? { ...m, feedback: rating, isFeedbackFormOpen: false } : m));
+        this.saveConversationState();
+        this.announce(LABELS.feedbackThanks);
+        this.dispatchChatEvent('feedback', feedback);
+        try {
+            const feedbackId = await this.getAgentApi().submitMessageFeedback({ feedbackId: message.feedbackId || null, sessionId: this.sessionId, recordId: this.recordId, rating, reason,
+                comment, messageText: feedback.messageText, userPrompt: feedback.userPrompt });
+            this.messages = this.messages.map(m => (m.id === messageId ? { ...m, feedbackId } : m));
+            this.saveConversationState();
+        } catch (error) {
+            this.logger.error('Error saving message feedback:', error);
+            this.showToast(LABELS.feedbackNotSaved, this.getErrorMessage(error), 'warning');
+        }
+    }
+
+    // --- Conversation Persistence ---
+    get isPersistenceEnabled() { return Number(this.historyRetentionMinutes) > 0; }
+    // Per user, so the next user of a shared browser doesn't get this conversation or its session
+    get conversationStorageKey() { return `${CONVERSATION_STORAGE_KEY}_${USER_ID}_${this.agentId || 'default'}`; }
+    get hasConversationHistory() { return this.messages.some(m => m.isUserMessage || m.isAgentMessage); }
+
+    saveConversationState() {
+        if (!this.isPersistenceEnabled || this.chatHasEnded || this.isSessionEnding) return;
+        const state = {
+            savedAt: Date.now(), lastActivityAt: this.lastActivityAt, sessionId: this.sessionId, lastMessageId: this.lastMessageId,
+            messages: this.messages.filter(m => !m.isTypingMessage), isOpen: this.showChatWindow };
+        try { localStorage.setItem(this.conversationStorageKey, JSON.stringify(state)); }
+        catch (e) { this.logger.warn('Could not save conversation to localStorage.', e); }
+    }
+
+    loadConversationState() {
+        try {
+            const state = JSON.parse(localStorage.getItem(this.conversationStorageKey));
+            if (!state || !Array.isArray(state.messages)) return null;
+            if (Date.now() - state.savedAt > Number(this.historyRetentionMinutes) * 60 * 1000) {
+                this.logger.info('Saved conversation is older than the retention window, discarding.');
+                this.clearConversationState();
+                return null;
+            }
+            return state;
+        } catch (e) { this.logger.warn('Could not read saved conversation from localStorage.', e); return null; }
+    }
+
+    clearConversationState() { try { localStorage.removeItem(this.conversationStorageKey); } catch (e) { this.logger.warn('Could not clear saved conversation.', e); } }
+
+    restoreConversationState() {
+        if (!this.isPersistenceEnabled) return;
+        const state = this.loadConversationState();
+        if (!state) return;
+        this.logger.info('Restoring saved conversation.');
+        // A message that was still sending when the page unloaded never got an answer, offer a retry instead
+        this.messages = state.messages.map(m => (m.isSending ? { ...m, ...this.getStatusFields(MESSAGE_STATUS.FAILED) } : m));
+        this.lastMessageId = state.lastMessageId || 0;
+        this.initialWelcomeMessageSent = this.hasConversationHistory;
+        const sessionAlive = state.sessionId && Date.now() - (state.lastActivityAt || state.savedAt) < AGENT_SESSION_IDLE_TIMEOUT_MS;
+        if (sessionAlive) {
+            this.sessionId = state.sessionId; this.isInitialized = true; this.lastActivityAt = state.lastActivityAt; this.lastUserActivityAt = Date.now();
+            this.isRestoredSessionUnconfirmed = true;
+        } else if (state.sessionId) {
+            this.logger.info('Saved agent session has expired, a new one will be started.');
+            this.addSystemMessage(SESSION_RESUMED_TEXT);
+        }
+        if (state.isOpen) {
+            this.showChatBubble = false; this.showChatWindow = true; this.showWelcomeBanner = false;
+            this.componentState = sessionAlive ? 'active' : 'initializing';
+            if (!sessionAlive) this.pendingInitialization = this.initializeChatSession(true);
+        }
+    }
+
+    // --- Idle Timeout ---
+    startIdleCheck() {
+        clearInterval(this.idleCheckInterval);
+        // eslint-disable-next-line @lwc/lwc/no-async-operation -- cleared in disconnectedCallback()
+        this.idleCheckInterval = setInterval(() => this.checkIdle(), IDLE_CHECK_INTERVAL_MS);
+    }
+
+    markUserActivity() {
+        this.lastUserActivityAt = Date.now();
+        if (this.showIdleWarning) this.showIdleWarning = false;
+    }
+
+    handleChatWindowActivity() { this.markUserActivity(); }
+    handleIdleContinue() { this.markUserActivity(); this.focusAfterRender('.message-textarea'); }
+
+    checkIdle() {
+        if (!this.sessionId || !this.isInitialized || this.isSessionEnding || this.chatHasEnded) return;
+        const now = Date.now();
+        if (this.isAgentTyping || this.isAgentSpeaking) this.lastUserActivityAt = now; // Waiting for the agent isn't idling
+        const idle = getIdleState({ now, lastUserActivityAt: this.lastUserActivityAt, idleTimeoutMs: Number(this.idleTimeoutMinutes) * 60 * 1000, warningMs: Number(this.idleWarningSeconds) * 1000 });
+        if (idle.isExpired) { this.endIdleChat(); return; }
+        if (idle.isWarning && !this.showIdleWarning && this.showChatWindow) {
+            this.announce(`${LABELS.idleWarningTitle} ${formatLabel(LABELS.idleWarning, idle.secondsLeft)}`);
+            this.focusAfterRender('.idle-continue-button');
+        }
+        this.showIdleWarning = idle.isWarning && this.showChatWindow;
+        this.idleSecondsLeft = idle.secondsLeft;
+    }
+
+    // A minimized chat just ends; an open one shows why it was closed
+    endIdleChat() {
+        this.logger.info('Ending chat session after inactivity.');
+        this.showIdleWarning = false;
+        this.endedForInactivity = this.showChatWindow;
+        this.endChatSessionInternal(this.showChatWindow);
+    }
+
+    // --- Diagnostics ---
+    nextDiagnosticId() { this.lastDiagnosticId += 1; return this.lastDiagnosticId; }
+
+    recordTurn(startedAt, error) {
+        const durationMs = Date.now() - startedAt;
+        this.diagnosticTurns = addDiagnosticEntry(this.diagnosticTurns, { id: this.nextDiagnosticId(), startedAt: new Date(startedAt).toISOString(), durationMs,
+            sequenceId: this.lastSequenceId, error: error ? this.getErrorMessage(error) : null });
+        this.logger.debug(`Agent turn took ${durationMs} ms`, error ? '(failed)' : '');
+    }
+
+    recordSpeechTiming({ provider, durationMs, characters }) {
+        this.speechTimings = addDiagnosticEntry(this.speechTimings, { id: this.nextDiagnosticId(), provider, durationMs, characters });
+        this.logger.debug(`Speech from ${provider} generated in ${durationMs} ms (${characters} characters)`);
+    }
+
+    // Payloads are kept as they were sent; formatPayload() and buildDebugBundle() redact them
+    recordRequest(method, params) { this.lastRequest = { method, params }; this.lastResponse = null; }
+    recordResponse(response) { this.lastResponse = response; }
+
+    handleToggleDiagnostics() { this.showDiagnostics = !this.showDiagnostics; }
+
+    get debugBundle() {
+        return buildDebugBundle({
+            config: { agentName: this.agentName, agentId: this.agentId, configurationName: this.configurationName, hasLegacyCredentials: this.hasLegacyCredentials, streamingMockEndpoint: this.streamingMockEndpoint, mockAgentMode: this.mockAgentMode, allowVoiceMode: this.allowVoiceMode,
+                ttsProviders: this.ttsProviders, logLevel: this.logLevel, idleTimeoutMinutes: this.idleTimeoutMinutes, locale: USER_LOCALE },
+            sessionId: this.sessionId, sequenceId: this.lastSequenceId, turns: this.diagnosticTurns, speechTimings: this.speechTimings,
+            lastRequest: this.lastRequest, lastResponse: this.lastResponse, logEntries: this.logger.getEntries()
+        });
+    }
+
+    async handleCopyDebugBundle() {
+        try {
+            await navigator.clipboard.writeText(this.debugBundle);
+            this.announce(LABELS.debugBundleCopied);
+            this.showToast(LABELS.debugBundleCopied, LABELS.debugBundleCopiedDetail, 'success');
+        } catch (error) {
+            this.logger.warn('Could not copy the debug bundle:', error);
+            this.showToast(LABELS.debugBundleNotCopied, this.getErrorMessage(error), 'warning');
+        }
+    }
+
     // --- Voice Mode Handling ---
     checkVoiceSupport() {
-        this.isVoiceModeAvailable = ('SpeechRecognition' in window || 'webkitSpeechRecognition' in window) && ('speechSynthesis' in window);
-         if (!this.isVoiceModeAvailable) console.warn('Voice Recognition or Speech Synthesis not supported.');
+        this.isSpeechOutputAvailable = this.ttsService.hasAvailableProvider(this.ttsOptions, this.ttsProviderOrder);
+        this.isVoiceModeAvailable = ('SpeechRecognition' in window || 'webkitSpeechRecognition' in window) && this.isSpeechOutputAvailable;
+         if (!this.isVoiceModeAvailable) this.logger.warn('Voice Recognition or a text-to-speech provider is not available.');
     }
 
     handleToggleVoiceMode() {
          if (!this.isVoiceModeAvailable) {
-             this.showToast('Not Supported', 'Voice mode is not available in your browser.', 'warning');
+             this.showToast(LABELS.notSupportedTitle, LABELS.voiceNotAvailable, 'warning');
              return;
          }
         this.toggleVoiceInput();
@@ -350,120 +1386,430 @@ export default class MessengerChat extends LightningElement {
 
     toggleVoiceInput() {
          if (this.isVoiceModeActive) {
-             console.log('Turning Voice Mode OFF');
-             this.isVoiceModeActive = false; this.isListeningForInput = false; this.isAgentSpeaking = false; this.voiceStatusText = '';
+             this.logger.debug('Turning Voice Mode OFF');
+             this.isVoiceModeActive = false; this.isListeningForInput = false; this.isAgentSpeaking = false; this.voiceStatusText = ''; this.clearSpeechQueue();
+             this.resetVoiceTranscript();
              this.stopAudioPlayback(); this.stopVoiceRecognition();
              if (this.textareaRef) this.textareaRef.disabled = false;
          } else {
-             console.log('Turning Voice Mode ON');
+             this.logger.debug('Turning Voice Mode ON');
              this.isVoiceModeActive = true; this.isAgentSpeaking = false;
              if (this.textareaRef) this.textareaRef.disabled = true;
              this.startVoiceRecognition();
          }
     }
 
+    // After a recognition ended or failed, so the browser has released the microphone. startVoiceRecognition() checks
+    // again whether voice mode is still on.
+    restartVoiceRecognitionLater(delayMs) {
+        // eslint-disable-next-line @lwc/lwc/no-async-operation -- the restart is a no-op once voice mode is off
+        setTimeout(() => this.startVoiceRecognition(), delayMs);
+    }
+
     startVoiceRecognition() {
-        if (!this.isVoiceModeAvailable || !this.isVoiceModeActive || this.isListeningForInput) return;
+        if (!this.isVoiceModeAvailable || !this.isVoiceModeActive || this.isListeningForInput || this.isReviewingTranscript) return;
         const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
         if (!this.recognition) {
             this.recognition = new SpeechRecognition();
-            this.recognition.continuous = false; this.recognition.interimResults = false; this.recognition.lang = 'en-US';
-            this.recognition.onstart = () => { console.log('Voice recognition started.'); this.isListeningForInput = true; this.voiceStatusText = 'Listening...'; };
-            this.recognition.onresult = (event) => {
-                 const transcript = event.results[event.results.length - 1][0].transcript.trim();
-                 console.log('Voice result (final):', transcript);
-                 if (transcript) {
-                     this.isListeningForInput = false; this.voiceStatusText = 'Processing...';
-                     this.addUserMessage(transcript); this.getUserAgentResponse(transcript);
-                 } else {
-                       this.voiceStatusText = 'Did not hear anything.';
-                       setTimeout(() => this.startVoiceRecognition(), 500);
-                 }
+            this.recognition.continuous = false; this.recognition.interimResults = true;
+            this.recognition.onstart = () => {
+                this.logger.debug('Voice recognition started.'); this.isListeningForInput = true;
+                if (!this.isAgentSpeaking) this.voiceStatusText = this.listeningStatusText;
             };
+            this.recognition.onresult = (event) => this.handleRecognitionResult(event);
             this.recognition.onerror = (event) => {
-                console.error('Speech recognition error:', event.error, event.message);
+                this.logger.error('Speech recognition error:', event.error, event.message);
                 this.isListeningForInput = false;
-                 let errorMsg = 'Voice recognition error';
-                 if (event.error === 'no-speech') { errorMsg = 'No speech detected. Try again.'; setTimeout(() => this.startVoiceRecognition(), 500); }
-                 else if (event.error === 'audio-capture') { errorMsg = 'Microphone error. Check permissions.'; this.toggleVoiceInput(); }
-                 else if (event.error === 'not-allowed') { errorMsg = 'Microphone access denied.'; this.toggleVoiceInput(); }
-                 else { errorMsg = `Error: ${event.error}`; }
+                 let errorMsg;
+                 if (event.error === 'no-speech') { errorMsg = LABELS.noSpeechDetected; this.restartVoiceRecognitionLater(500); }
+                 else if (event.error === 'audio-capture') { errorMsg = LABELS.microphoneError; this.toggleVoiceInput(); }
+                 else if (event.error === 'not-allowed') { errorMsg = LABELS.microphoneDenied; this.toggleVoiceInput(); }
+                 else { errorMsg = formatLabel(LABELS.errorPrefix, event.error); }
                  this.voiceStatusText = errorMsg;
             };
             this.recognition.onend = () => {
-                console.log('Voice recognition ended.'); this.isListeningForInput = false;
-                if (this.isVoiceModeActive && !this.isAgentSpeaking && !this.isAgentTyping) {
-                     console.log('Recognition ended, restarting listening...');
-                     setTimeout(() => this.startVoiceRecognition(), 100);
-                 } else { console.log('Recognition ended, not restarting.'); }
+                this.logger.debug('Voice recognition ended.'); this.isListeningForInput = false;
+                if (!this.isPushToTalkActive) this.pushToTalkUtterance = false;
+                const isTurnOver = this.handsFreeMode || (!this.isAgentSpeaking && !this.isAgentTyping);
+                if (this.isVoiceModeActive && isTurnOver && !this.isReviewingTranscript) {
+                     this.logger.debug('Recognition ended, restarting listening...');
+                     this.restartVoiceRecognitionLater(100);
+                 } else { this.logger.debug('Recognition ended, not restarting.'); }
             };
         }
+         this.recognition.lang = this.speechLanguage; // Re-applied on every start so a changed setting takes effect
          try { this.recognition.start(); }
          catch (e) {
-              console.warn('Recognition start attempted but may have already been active:', e.message);
-              if(!this.isListeningForInput) { this.isListeningForInput = true; this.voiceStatusText = 'Listening...'; }
+              this.logger.warn('Recognition start attempted but may have already been active:', e.message);
+              if(!this.isListeningForInput) { this.isListeningForInput = true; this.voiceStatusText = this.listeningStatusText; }
          }
     }
 
+    handleRecognitionResult(event) {
+        this.markUserActivity();
+        let interim = ''; let final = '';
+        for (let i = event.resultIndex || 0; i < event.results.length; i++) {
+            const result = event.results[i];
+            if (result.isFinal) final += result[0].transcript; else interim += result[0].transcript;
+        }
+        if (!final) {
+            // While the agent speaks, only show what is clearly the user talking over it
+            if (this.isAgentSpeaking && this.handsFreeMode) { if (!this.isBargeIn(interim)) return; this.bargeIn(); }
+            this.voiceInterimTranscript = interim.trim();
+            return;
+        }
+        const transcript = final.trim();
+        this.logger.debug('Voice result (final):', transcript);
+        this.voiceInterimTranscript = '';
+        const isPushToTalk = this.pushToTalkUtterance;
+        this.pushToTalkUtterance = false;
+        if (this.handsFreeMode && !isPushToTalk && transcript && (this.isAgentSpeaking ? !this.isBargeIn(transcript) : this.isEcho(transcript))) {
+            this.logger.debug('Ignoring the agent\'s own speech or background noise:', transcript);
+            return;
+        }
+        if (!transcript) {
+            this.voiceStatusText = LABELS.didNotHear;
+            this.restartVoiceRecognitionLater(500);
+            return;
+        }
+        if (isPushToTalk || this.handsFreeMode) { this.sendHandsFreeTranscript(isPushToTalk ? transcript : this.applyWakeWord(transcript)); return; }
+        this.isListeningForInput = false; this.isReviewingTranscript = true; this.voiceTranscript = transcript;
+        this.voiceStatusText = LABELS.reviewMessage;
+        this.stopVoiceRecognition();
+        this.startVoiceAutoSend();
+    }
+
+    // --- Hands-free and push-to-talk ---
+    // Hands-free turns and push-to-talk utterances skip the review step, the user isn't looking at the screen
+    sendHandsFreeTranscript(message) {
+        if (!message) return;
+        if (this.isAgentSpeaking) this.bargeIn();
+        this.voiceStatusText = LABELS.processing;
+        this.sendUserMessage(message, message);
+    }
+
+    isEcho(transcript) {
+        const spokenTexts = [this.speechJob ? this.speechJob.text : ''];
+        if (Date.now() - this.lastSpokenAt < ECHO_GUARD_MS) spokenTexts.push(this.lastSpokenText);
+        return isLikelyEcho(transcript, spokenTexts);
+    }
+
+    isBargeIn(interimTranscript) {
+        const text = (interimTranscript || '').trim();
+        if (text.split(/\s+/).length < MIN_BARGE_IN_WORDS || this.isEcho(text)) return false;
+        return !this.voiceWakeWord || matchWakeWord(text, this.voiceWakeWord) !== null || this.isWakeWordWindowOpen;
+    }
+
+    bargeIn() {
+        this.logger.debug('User started talking, interrupting agent speech.');
+        this.clearSpeechQueue(); this.stopAudioPlayback();
+        this.isAgentSpeaking = false; this.voiceStatusText = LABELS.listening;
+    }
+
+    // Returns the message to send, or null when the utterance wasn't meant for the agent
+    applyWakeWord(transcript) {
+        if (!this.voiceWakeWord) return transcript;
+        const message = matchWakeWord(transcript, this.voiceWakeWord);
+        if (message === null) {
+            if (!this.isWakeWordWindowOpen) { this.logger.debug('No wake word, ignoring:', transcript); return null; }
+            this.wakeWordHeardAt = 0;
+            return transcript;
+        }
+        if (!message) { this.wakeWordHeardAt = Date.now(); this.voiceStatusText = LABELS.listening; return null; }
+        this.wakeWordHeardAt = 0;
+        return message;
+    }
+
+    get isWakeWordWindowOpen() { return Date.now() - this.wakeWordHeardAt < WAKE_WORD_WINDOW_MS; }
+
+    get listeningStatusText() {
+        return this.handsFreeMode && this.voiceWakeWord && !this.isPushToTalkActive ? formatLabel(LABELS.sayWakeWord, this.voiceWakeWord) : LABELS.listening;
+    }
+
+    handleWindowKeyDown = (event) => {
+        if (event.repeat || !this.showChatWindow || !this.isVoiceModeAvailable || !matchesShortcut(event, this.pushToTalkShortcut)) return;
+        if (this.isTypingOutsideChat(event)) return; // The key belongs to the host page's field
+        event.preventDefault();
+        this.isPushToTalkActive = true; this.pushToTalkUtterance = true;
+        this.resetVoiceTranscript();
+        if (this.isAgentSpeaking) this.bargeIn();
+        if (this.isVoiceModeActive) this.startVoiceRecognition();
+        else this.toggleVoiceInput();
+    }
+
+    // Inside the chat the shortcut always works, elsewhere only while no editable element has focus
+    isTypingOutsideChat(event) {
+        const path = typeof event.composedPath === 'function' ? event.composedPath() : [];
+        return isEditableTarget(event) && !path.includes(this.template.host);
+    }
+
+    handleWindowKeyUp = (event) => {
+        if (!this.isPushToTalkActive || !matchesShortcut(event, this.pushToTalkShortcut)) return;
+        this.isPushToTalkActive = false;
+        this.stopVoiceRecognition(); // The final result for what was said follows
+    }
+
+    get voiceModeHint() {
+        const hints = [];
+        if (this.handsFreeMode) hints.push(this.voiceWakeWord ? formatLabel(LABELS.handsFreeWakeWordHint, this.voiceWakeWord) : LABELS.handsFreeHint);
+        if (this.pushToTalkShortcut) hints.push(formatLabel(LABELS.pushToTalkHint, this.pushToTalkShortcut));
+        return hints.join(' ');
+    }
+
+    startVoiceAutoSend() {
+        clearTimeout(this.voiceAutoSendTimeout);
+        const delaySeconds = Number(this.voiceAutoSendDelay);
+        if (!(delaySeconds > 0)) return;
+        // eslint-disable-next-line @lwc/lwc/no-async-operation -- cleared when the transcript is edited, sent or discarded
+        this.voiceAutoSendTimeout = setTimeout(() => this.handleVoiceTranscriptSend(), delaySeconds * 1000);
+    }
+
+    // Editing the transcript means the user wants to fix it first, so it's no longer sent automatically
+    handleVoiceTranscriptChange(event) {
+        clearTimeout(this.voiceAutoSendTimeout); this.voiceAutoSendTimeout = null;
+        this.voiceTranscript = event.target.value;
+    }
+
+    handleVoiceTranscriptSend() {
+        const transcript = (this.voiceTranscript || '').trim();
+        this.resetVoiceTranscript();
+        if (!transcript || !this.isVoiceModeActive) return;
+        this.voiceStatusText = LABELS.processing;
+        this.sendUserMessage(transcript, transcript);
+    }
+
+    handleVoiceTranscriptDiscard() {
+        this.resetVoiceTranscript();
+        this.voiceStatusText = '';
+        this.startVoiceRecognition();
+    }
+
+    resetVoiceTranscript() {
+        clearTimeout(this.voiceAutoSendTimeout); this.voiceAutoSendTimeout = null;
+        this.isReviewingTranscript = false; this.voiceTranscript = ''; this.voiceInterimTranscript = '';
+    }
+
     stopVoiceRecognition() {
         if (this.recognition) {
-            try { this.recognition.stop(); console.log('Voice recognition stopped.'); }
-            catch (e) { console.warn('Error stopping voice recognition:', e); }
+            try { this.recognition.stop(); this.logger.debug('Voice recognition stopped.'); }
+            catch (e) { this.logger.warn('Error stopping voice recognition:', e); }
             this.isListeningForInput = false;
         }
     }
 
-    async speakAgentResponse(responseText) {
-        if (!this.isVoiceModeActive || !this.elevenLabsApiKey) return;
-        this.isAgentSpeaking = true; this.voiceStatusText = 'Agent is speaking...'; this.stopVoiceRecognition();
-        const cleanText = this.stripHtml(responseText).replace(/<think>[\s\S]*?<\/think>/i, '').trim();
-        if (!cleanText) { console.log('No text content to speak after cleaning.'); this.onSpeechEnd(); return; }
-        console.log('Requesting speech from ElevenLabs for:', cleanText.substring(0, 50) + '...');
+    // Speaks a reply right away, in voice mode and from a message's play button
+    speakAgentResponse(responseText, messageId = null) {
+        const job = this.createSpeechJob(messageId);
+        job.append(splitIntoSpeechChunks(this.toSpeechText(responseText)));
+        job.finish();
+        this.playSpeechJob(job);
+    }
+
+    createSpeechJob(messageId) {
+        return createSpeechJob({ service: this.ttsService, options: this.ttsOptions, order: this.ttsProviderOrder, messageId, cache: this.getSpeechCache(messageId) });
+    }
 
-        try {
-            this.stopAudioPlayback();
-            const dataUri = await callElevenLabsTTS({ text: cleanText, elevenLabsApiKey: this.elevenLabsApiKey, voiceId: this.elevenLabsVoiceId || DEFAULT_VOICE_ID });
-            if (dataUri) {
-                console.log('Received audio Data URI from ElevenLabs.');
-                this.currentAudio = new Audio(dataUri);
-                this.currentAudio.addEventListener('ended', this.onSpeechEnd.bind(this));
-                this.currentAudio.addEventListener('error', this.onSpeechError.bind(this));
-                this.currentAudio.play().catch(e => { console.error('Error playing ElevenLabs audio:', e); this.onSpeechError(); });
-            } else { throw new Error('ElevenLabs returned empty audio data.'); }
-        } catch (error) {
-            console.error('Error generating/playing ElevenLabs speech:', error);
-            this.showToast('TTS Error', 'Could not play agent response: ' + this.getErrorMessage(error), 'error');
-            this.onSpeechError();
+    playSpeechJob(job) {
+        this.stopAudioPlayback();
+        this.isAgentSpeaking = true; this.speakingMessageId = job.messageId;
+        // Hands-free keeps listening so the user can talk over the agent
+        if (this.isVoiceModeActive) { this.voiceStatusText = LABELS.agentSpeaking; if (!this.handsFreeMode) this.stopVoiceRecognition(); else this.startVoiceRecognition(); }
+        this.speechJob = job;
+        // Only the current job may move on, a stopped one resolves as well
+        job.play()
+            .then(() => { if (this.speechJob === job) this.onSpeechEnd(); })
+            .catch(error => {
+                if (this.speechJob !== job) return;
+                this.logger.error('Error generating/playing agent speech:', error);
+                this.showToast(LABELS.ttsErrorTitle, formatLabel(LABELS.ttsError, this.getErrorMessage(error)), 'error');
+                this.onSpeechError();
+            });
+    }
+
+    toSpeechText(text) { return this.stripHtml(renderAgentText(this.splitThinking(text || '').text)).trim(); }
+
+    // Audio is kept per message and regenerated when the voice settings change
+    getSpeechCache(messageId) {
+        if (!messageId) return null;
+        const signature = JSON.stringify([this.ttsOptions, this.ttsProviderOrder]);
+        let entry = this.speechCache.get(messageId);
+        if (!entry || entry.signature !== signature) {
+            entry = { signature, clips: new Map() }; // chunk text -> clip
+            this.speechCache.delete(messageId);
+            this.speechCache.set(messageId, entry);
+            if (this.speechCache.size > MAX_CACHED_SPEECH_MESSAGES) this.speechCache.delete(this.speechCache.keys().next().value);
         }
+        return { get: (text) => entry.clips.get(text) || null, set: (text, clip) => entry.clips.set(text, clip) };
+    }
+
+    handleSpeakMessageClick(event) {
+        const messageId = event.currentTarget.dataset.messageId;
+        const wasPlaying = this.speakingMessageId === messageId;
+        this.clearSpeechQueue(); this.stopAudioPlayback();
+        if (wasPlaying) { this.onSpeechEnd(); return; }
+        const message = this.messages.find(m => m.id === messageId);
+        if (message) this.speakAgentResponse(message.text, messageId);
+    }
+
+    // Shared by all providers; each one ignores what it doesn't support
+    get ttsOptions() {
+        const percent = (value, fallback) => { const number = Number(value); return (Number.isFinite(number) && number > 0 ? number : fallback) / 100; };
+        return {
+            language: this.speechLanguage, voiceName: this.ttsVoiceName,
+            rate: percent(this.speechRate, 100), pitch: percent(this.speechPitch, 100),
+            configurationName: this.configurationName, elevenLabsConfigured: Boolean(this.chatSettings?.speechConfigured), elevenLabsVoiceId: this.elevenLabsVoiceId || DEFAULT_VOICE_ID
+        };
+    }
+    get ttsProviderOrder() {
+        if (this.mockAgentMode) return ['silent']; // No audio and no ElevenLabs callouts
+        return String(this.ttsProviders || DEFAULT_TTS_PROVIDERS).split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+    }
+
+    // Voice mode reads replies one after another. Without text the job stays open for a streaming reply.
+    queueSpeech(text, messageId = null) {
+        if (!this.isVoiceModeActive) return null;
+        const job = this.createSpeechJob(messageId);
+        if (text) { job.append(splitIntoSpeechChunks(this.toSpeechText(text))); job.finish(); }
+        if (this.isAgentSpeaking) this.speechQueue.push(job);
+        else this.playSpeechJob(job);
+        return job;
     }
 
     onSpeechEnd() {
-        console.log('Speech playback ended.'); this.currentAudio = null; this.isAgentSpeaking = false;
+        this.logger.debug('Speech playback ended.'); this.rememberSpokenText(this.speechJob); this.speechJob = null; this.speakingMessageId = null; this.isAgentSpeaking = false;
+        if (this.isVoiceModeActive && this.speechQueue.length) { this.playSpeechJob(this.speechQueue.shift()); return; }
         if (this.isVoiceModeActive) this.startVoiceRecognition();
     }
     onSpeechError() {
-        console.error('Speech playback or generation error occurred.'); this.currentAudio = null; this.isAgentSpeaking = false; this.voiceStatusText = 'Audio playback error.';
-        if (this.isVoiceModeActive) setTimeout(() => this.startVoiceRecognition(), 1000);
+        this.logger.error('Speech playback or generation error occurred.'); this.speechJob = null; this.speakingMessageId = null; this.isAgentSpeaking = false; this.clearSpeechQueue();
+        if (!this.isVoiceModeActive) return;
+        this.voiceStatusText = LABELS.audioPlaybackError;
+        this.restartVoiceRecognitionLater(1000);
     }
     stopAudioPlayback() {
-        if (this.currentAudio) {
-             try {
-                 this.currentAudio.removeEventListener('ended', this.onSpeechEnd);
-                 this.currentAudio.removeEventListener('error', this.onSpeechError);
-                 this.currentAudio.pause(); this.currentAudio.src = ''; this.currentAudio = null;
-                 console.log('Stopped previous audio playback.');
-             } catch (e) { console.error('Error stopping audio:', e); }
+        if (this.speechJob) {
+             const job = this.speechJob;
+             this.rememberSpokenText(job);
+             this.speechJob = null; this.speakingMessageId = null;
+             try { job.stop(); this.logger.debug('Stopped previous audio playback.'); }
+             catch (e) { this.logger.error('Error stopping audio:', e); }
         }
         if ('speechSynthesis' in window) window.speechSynthesis.cancel();
     }
+    rememberSpokenText(job) { if (job) { this.lastSpokenText = job.text; this.lastSpokenAt = Date.now(); } }
+    // Queued replies may already be requesting audio
+    clearSpeechQueue() { this.speechQueue.forEach(job => job.stop()); this.speechQueue = []; }
     interruptAgentSpeech() {
-        console.log('User interrupted agent speech.'); this.stopAudioPlayback(); this.onSpeechEnd();
+        this.logger.debug('User interrupted agent speech.'); this.clearSpeechQueue(); this.stopAudioPlayback(); this.onSpeechEnd();
+    }
+
+    // --- Keyboard Window Moving ---
+    // Arrow keys move the window, with Alt they resize it; Home puts it back in its preset corner at the default size
+    handleMoveKeyDown(event) {
+        if (event.key === 'Home') { event.preventDefault(); this.windowSize = null; this.updateWindowPositionStyle(this.position); this.saveWindowLayout(); return; }
+        const offset = MOVE_KEY_OFFSETS[event.key];
+        const rect = this.currentWindowRect;
+        if (!offset || !rect) return;
+        event.preventDefault();
+        const step = event.shiftKey ? KEYBOARD_MOVE_STEP * 4 : KEYBOARD_MOVE_STEP;
+        if (event.altKey) {
+            const resized = resizeRect(rect, 'se', offset[0] * step, offset[1] * step, this.viewportSize);
+            this.windowSize = { width: resized.width, height: resized.height };
+            this.updateWindowPositionStyle(null, resized.x, resized.y);
+        } else {
+            // Kept on screen, the window can't be moved back with the keyboard once it's gone
+            const position = clampPosition({ ...rect, x: rect.x + offset[0] * step, y: rect.y + offset[1] * step }, this.viewportSize);
+            this.updateWindowPositionStyle(null, position.x, position.y);
+        }
+        this.saveWindowLayout();
+    }
+
+    // --- Window Resizing ---
+    handleResizeMouseDown(event) {
+        if (event.button !== 0) return;
+        event.preventDefault();
+        this.startResize(event.currentTarget.dataset.direction, event.clientX, event.clientY);
+        window.addEventListener('mousemove', this.handleResizeMouseMove);
+        window.addEventListener('mouseup', this.handleResizeMouseUp);
+    }
+    handleResizeTouchStart(event) {
+        if (event.touches.length !== 1) return;
+        event.preventDefault();
+        this.startResize(event.currentTarget.dataset.direction, event.touches[0].clientX, event.touches[0].clientY);
+        window.addEventListener('touchmove', this.handleResizeTouchMove, { passive: false });
+        window.addEventListener('touchend', this.handleResizeTouchEnd);
+        window.addEventListener('touchcancel', this.handleResizeTouchEnd);
+    }
+    handleResizeMouseMove = (event) => { this.resizeTo(event.clientX, event.clientY); };
+    handleResizeMouseUp = () => {
+        this.finishResize();
+        window.removeEventListener('mousemove', this.handleResizeMouseMove); window.removeEventListener('mouseup', this.handleResizeMouseUp);
+    };
+    handleResizeTouchMove = (event) => {
+        if (event.touches.length !== 1) return; event.preventDefault();
+        this.resizeTo(event.touches[0].clientX, event.touches[0].clientY);
+    };
+    handleResizeTouchEnd = () => {
+        this.finishResize();
+        window.removeEventListener('touchmove', this.handleResizeTouchMove); window.removeEventListener('touchend', this.handleResizeTouchEnd); window.removeEventListener('touchcancel', this.handleResizeTouchEnd);
+    };
+    startResize(direction, clientX, clientY) {
+        const rect = this.currentWindowRect;
+        if (!rect) return;
+        this.resizeState = { direction, startX: clientX, startY: clientY, rect };
+        this.isResizing = true;
+    }
+    resizeTo(clientX, clientY) {
+        if (!this.resizeState) return;
+        const { direction, startX, startY, rect } = this.resizeState;
+        const resized = resizeRect(rect, direction, clientX - startX, clientY - startY, this.viewportSize);
+        this.windowSize = { width: resized.width, height: resized.height };
+        this.updateWindowPositionStyle(null, resized.x, resized.y);
+    }
+    finishResize() {
+        if (!this.resizeState) return;
+        this.resizeState = null; this.isResizing = false;
+        this.saveWindowLayout();
+    }
+
+    // --- Window Layout Persistence ---
+    // Position and size are a per-user preference, kept like the theme and independent of the conversation
+    get windowLayoutStorageKey() { return `${WINDOW_LAYOUT_STORAGE_KEY}_${USER_ID}`; }
+    saveWindowLayout() {
+        try { localStorage.setItem(this.windowLayoutStorageKey, JSON.stringify({ ...this.windowPlacement, ...this.windowSize })); }
+        catch (e) { this.logger.warn('Could not save window layout to localStorage.', e); }
+    }
+    applySavedWindowLayout() {
+        let layout = null;
+        try { layout = JSON.parse(localStorage.getItem(this.windowLayoutStorageKey)); }
+        catch (e) { this.logger.warn('Could not read window layout from localStorage.', e); }
+        this.windowSize = layout && layout.width > 0 && layout.height > 0 ? clampSize(layout, this.viewportSize) : null;
+        if (layout && layout.position) this.updateWindowPositionStyle(layout.position);
+        else if (layout && Number.isFinite(layout.x) && Number.isFinite(layout.y)) this.fitWindowToViewport(layout);
+        else this.updateWindowPositionStyle(this.position);
+    }
+    // Keeps a window the user placed on screen, e.g. after the browser window got smaller
+    fitWindowToViewport(placement = this.windowPlacement) {
+        const viewport = this.viewportSize;
+        this.isMobileLayout = isMobileViewport(viewport);
+        if (this.windowSize) this.windowSize = clampSize(this.windowSize, viewport);
+        if (placement.position || !Number.isFinite(placement.x)) { this.updateWindowPositionStyle(placement.position || this.position); return; }
+        const size = this.windowSize || DEFAULT_WINDOW_SIZE;
+        const position = clampPosition({ x: placement.x, y: placement.y, ...size }, viewport);
+        this.updateWindowPositionStyle(null, position.x, position.y);
+    }
+    get viewportSize() { return { width: window.innerWidth, height: window.innerHeight }; }
+    get currentWindowRect() {
+        const chatWindow = this.template.querySelector('.chat-window');
+        if (!chatWindow) return null;
+        const rect = chatWindow.getBoundingClientRect();
+        return { x: rect.left, y: rect.top, width: rect.width, height: rect.height };
     }
 
     // --- Drag and Drop Functionality ---
     handleHeaderMouseDown(event) {
         // if (this.isExpanded || event.button !== 0) return; // REMOVED isExpanded check
-        if (event.button !== 0) return; // Only left-click
+        if (event.button !== 0 || this.isMobileLayout) return; // Only left-click, the mobile layout is full-screen
         event.preventDefault();
         this.isDragging = true;
         const chatWindow = this.template.querySelector('.chat-window');
@@ -476,7 +1822,7 @@ export default class MessengerChat extends LightningElement {
     }
     handleHeaderTouchStart(event) {
         // if (this.isExpanded || event.touches.length !== 1) return; // REMOVED isExpanded check
-        if (event.touches.length !== 1) return;
+        if (event.touches.length !== 1 || this.isMobileLayout) return;
         event.preventDefault();
         this.isDragging = true;
         const chatWindow = this.template.querySelector('.chat-window');
@@ -503,7 +1849,7 @@ export default class MessengerChat extends LightningElement {
          const touch = event.touches[0]; const deltaX = touch.clientX - this.dragStartX; const deltaY = touch.clientY - this.dragStartY;
          this.template.querySelector('.chat-window').style.transform = `translate(${deltaX}px, ${deltaY}px)`;
      };
-    handleWindowTouchEnd = (event) => {
+    handleWindowTouchEnd = () => {
         if (!this.isDragging) return; this.finalizeDrag();
         window.removeEventListener('touchmove', this.handleWindowTouchMove); window.removeEventListener('touchend', this.handleWindowTouchEnd); window.removeEventListener('touchcancel', this.handleWindowTouchEnd);
     };
@@ -514,65 +1860,174 @@ export default class MessengerChat extends LightningElement {
             const match = transform.match(/translate\(\s*(-?\d+(\.?\d*)?)px,\s*(-?\d+(\.?\d*)?)px\)/);
             if (match) { finalX += parseFloat(match[1]); finalY += parseFloat(match[3]); }
         }
-        chatWindow.style.transform = ''; this.updateWindowPositionStyle(null, finalX, finalY);
-        this.windowStartX = finalX; this.windowStartY = finalY;
+        chatWindow.style.transform = '';
+        // Dropped near a corner it snaps to that preset, anywhere else it's kept fully on screen
+        const { width, height } = chatWindow.getBoundingClientRect();
+        const rect = { x: finalX, y: finalY, width, height };
+        const snapPreset = findSnapPreset(rect, this.viewportSize);
+        if (snapPreset) this.updateWindowPositionStyle(localizePosition(snapPreset));
+        else { const position = clampPosition(rect, this.viewportSize); this.updateWindowPositionStyle(null, position.x, position.y); }
+        this.saveWindowLayout();
     }
      updateWindowPositionStyle(positionName, x, y) {
          const style = {};
-         if (x !== undefined && y !== undefined) { style.left = `${x}px`; style.top = `${y}px`; style.right = 'auto'; style.bottom = 'auto'; }
+         const isFree = x !== undefined && y !== undefined;
+         this.windowPlacement = isFree ? { x, y } : { position: positionName };
+         if (isFree) { style.left = `${x}px`; style.top = `${y}px`; style.right = 'auto'; style.bottom = 'auto'; }
          else if (positionName) {
               const defaults = { 'bottom-right': { bottom: '30px', right: '30px', left: 'auto', top: 'auto' }, 'bottom-left': { bottom: '30px', left: '30px', right: 'auto', top: 'auto' }, 'top-right': { top: '30px', right: '30px', left: 'auto', bottom: 'auto' }, 'top-left': { top: '30px', left: '30px', right: 'auto', bottom: 'auto' } };
-              Object.assign(style, defaults[positionName] || defaults['bottom-right']);
+              Object.assign(style, defaults[localizePosition(defaults[positionName] ? positionName : 'bottom-right')]);
          }
+         if (this.windowSize) { style.width = `${this.windowSize.width}px`; style.height = `${this.windowSize.height}px`; }
          this.chatWindowStyle = Object.entries(style).map(([k, v]) => `${k}:${v}`).join(';');
      }
 
+    // --- Accessibility ---
+    // Cleared first so the same text is read out again
+    announce(text) { this.liveAnnouncement = ''; Promise.resolve().then(() => { this.liveAnnouncement = text; }); }
+    // Finished agent replies and status messages are read out, the user's own messages and partial streams aren't
+    announceMessage(message) {
+        if (!message || message.isUserMessage || message.isStreaming || !message.text || !message.text.trim()) return;
+        const text = message.rawHtml ? htmlToPlainText(message.text) : message.text;
+        this.announce(message.isAgentMessage ? formatLabel(LABELS.agentSays, this.agentName, text) : text);
+    }
+    focusAfterRender(selector) { this.pendingFocus = selector; }
+    applyPendingFocus() {
+        const target = this.pendingFocus && this.template.querySelector(this.pendingFocus);
+        if (!target || target.disabled) return; // Tried again after the next render, e.g. once the input is enabled
+        this.pendingFocus = null;
+        target.focus();
+    }
+
     // --- Utility Functions ---
-    addWindowListeners() { window.addEventListener('resize', this.handleWindowResize); }
+    addWindowListeners() {
+        window.addEventListener('resize', this.handleWindowResize);
+        window.addEventListener('keydown', this.handleWindowKeyDown); window.addEventListener('keyup', this.handleWindowKeyUp);
+        if (typeof window.matchMedia === 'function') { this.systemDarkQuery = window.matchMedia(SYSTEM_DARK_QUERY); this.systemDarkQuery.addEventListener('change', this.handleSystemThemeChange); }
+    }
     removeWindowListeners() {
         window.removeEventListener('resize', this.handleWindowResize);
+        window.removeEventListener('keydown', this.handleWindowKeyDown); window.removeEventListener('keyup', this.handleWindowKeyUp);
+        if (this.systemDarkQuery) { this.systemDarkQuery.removeEventListener('change', this.handleSystemThemeChange); this.systemDarkQuery = null; }
         window.removeEventListener('mousemove', this.handleWindowMouseMove); window.removeEventListener('mouseup', this.handleWindowMouseUp);
         window.removeEventListener('touchmove', this.handleWindowTouchMove); window.removeEventListener('touchend', this.handleWindowTouchEnd); window.removeEventListener('touchcancel', this.handleWindowTouchEnd);
+        window.removeEventListener('mousemove', this.handleResizeMouseMove); window.removeEventListener('mouseup', this.handleResizeMouseUp);
+        window.removeEventListener('touchmove', this.handleResizeTouchMove); window.removeEventListener('touchend', this.handleResizeTouchEnd); window.removeEventListener('touchcancel', this.handleResizeTouchEnd);
         // if (this.outsideClickListener) document.removeEventListener('click', this.outsideClickListener); // REMOVED
     }
-    handleWindowResize = () => { clearTimeout(this.resizeTimeout); this.resizeTimeout = setTimeout(() => {}, DEBOUNCE_DELAY); } // Removed resize logic for simplicity
+    handleWindowResize = () => {
+        clearTimeout(this.resizeTimeout);
+        // eslint-disable-next-line @lwc/lwc/no-async-operation -- debounce, replaced on every resize event
+        this.resizeTimeout = setTimeout(() => this.fitWindowToViewport(), DEBOUNCE_DELAY);
+    }
     scrollToBottom() { Promise.resolve().then(() => { if (this.messageContainerRef) this.messageContainerRef.scrollTop = this.messageContainerRef.scrollHeight; }); }
     autoExpandTextarea() {
         if (!this.textareaRef) return; this.textareaRef.style.height = 'auto'; const scrollHeight = this.textareaRef.scrollHeight;
         const newHeight = Math.min(scrollHeight, TEXTAREA_MAX_HEIGHT); this.textareaRef.style.height = `${newHeight}px`;
     }
     loadThemePreference() {
-        try { const savedTheme = localStorage.getItem('agentforceChatDarkMode'); this.isDarkMode = savedTheme !== null ? savedTheme === 'true' : this.defaultDarkMode; this.updateTheme(); }
-        catch (e) { console.warn('Could not access localStorage for theme preference.', e); this.isDarkMode = this.defaultDarkMode; this.updateTheme(); }
+        let savedTheme = null;
+        try { savedTheme = localStorage.getItem(THEME_STORAGE_KEY); } catch (e) { this.logger.warn('Could not access localStorage for theme preference.', e); }
+        this.themeMode = parseThemePreference(savedTheme, this.defaultTheme || (this.defaultDarkMode ? THEME_MODES.DARK : THEME_MODES.LIGHT));
+        this.updateTheme();
+    }
+    saveThemePreference() { try { localStorage.setItem(THEME_STORAGE_KEY, this.themeMode); } catch (e) { this.logger.warn('Could not save theme preference to localStorage.', e); } }
+    updateTheme() {
+        this.isDarkMode = isDarkTheme(this.themeMode, this.systemDarkQuery && this.systemDarkQuery.matches);
+        const chatWindow = this.template.querySelector('.chat-window'); if (chatWindow) chatWindow.classList.toggle('dark-mode', this.isDarkMode);
     }
-    saveThemePreference() { try { localStorage.setItem('agentforceChatDarkMode', this.isDarkMode); } catch (e) { console.warn('Could not save theme preference to localStorage.', e); } }
-    updateTheme() { const chatWindow = this.template.querySelector('.chat-window'); if (chatWindow) chatWindow.classList.toggle('dark-mode', this.isDarkMode); }
+    // Live switch when the OS theme changes while "follow system" is selected
+    handleSystemThemeChange = () => { if (this.themeMode === THEME_MODES.SYSTEM) this.updateTheme(); }
     showToast(title, message, variant = 'info', mode = 'dismissable') { this.dispatchEvent(new ShowToastEvent({ title, message, variant, mode })); }
-    showConfigError(message) { this.clearMessages(); this.addSystemMessage(`Configuration Error: ${message}`, 'config_error', false, true); this.componentState = 'error'; this.showChatWindow = true; this.showChatBubble = false; }
-    showInitializationError(message) { this.removeSystemMessageById('init_connect'); this.addSystemMessage(`Connection Failed: ${message}`, 'init_error', false, true); this.addSystemMessage(CONNECTION_ERROR_TEXT, 'init_fail_info', false, true); this.componentState = 'error'; }
-    getErrorMessage(error) { console.log('Raw error:', JSON.stringify(error)); if (!error) return 'Unknown error'; if (error.body && typeof error.body.message === 'string') return error.body.message; if (typeof error.message === 'string') return error.message; if (error.body && typeof error.body === 'string') return error.body; if (typeof error.statusText === 'string' && error.status) return `(${error.status}) ${error.statusText}`; return JSON.stringify(error); }
-    stripHtml(html) { if (!html) return ''; try { const doc = new DOMParser().parseFromString(html, 'text/html'); return doc.body.textContent || ""; } catch (e) { console.error('Error stripping HTML:', e); return html.replace(/<[^>]*>?/gm, ''); } }
+    showConfigError(message) { this.clearMessages(); this.addSystemMessage(formatLabel(LABELS.configErrorPrefix, message), 'config_error', false, true); this.componentState = 'error'; this.showChatWindow = true; this.showChatBubble = false; }
+    showInitializationError(message) { this.removeSystemMessageById('init_connect'); this.addSystemMessage(formatLabel(LABELS.connectionFailedPrefix, message), 'init_error', false, true); this.addSystemMessage(CONNECTION_ERROR_TEXT, 'init_fail_info', false, true); this.componentState = 'error'; }
+    // The raw error goes to the debug log and the diagnostics drawer, users only see its message
+    getErrorMessage(error) {
+        if (!error) return LABELS.unknownError;
+        if (error.body && typeof error.body.message === 'string') return error.body.message;
+        if (typeof error.message === 'string') return error.message;
+        if (error.body && typeof error.body === 'string') return error.body;
+        if (typeof error.statusText === 'string' && error.status) return `(${error.status}) ${error.statusText}`;
+        this.logger.debug('Unrecognized error:', error);
+        return LABELS.unknownError;
+    }
+    getPlainText(message) { return message.rawHtml ? htmlToPlainText(message.text) : (message.text || '').trim(); }
+    stripHtml(html) { if (!html) return ''; try { const doc = new DOMParser().parseFromString(html, 'text/html'); return doc.body.textContent || ""; } catch (e) { this.logger.error('Error stripping HTML:', e); return html.replace(/<[^>]*>?/gm, ''); } }
 
     // --- Getters for Template ---
-    get containerClasses() { return `messenger-chat-container position-${this.position}`; }
+    get containerClasses() { return `messenger-chat-container position-${localizePosition(this.position)}${IS_RTL ? ' rtl' : ''}`; }
+    get textDirection() { return IS_RTL ? 'rtl' : 'ltr'; }
+    get transcriptMenuAlignment() { return IS_RTL ? 'left' : 'right'; }
     get chatWindowClasses() {
         let classes = 'chat-window';
         // if (this.isExpanded) classes += ' expanded'; // REMOVED
         if (this.isDarkMode) classes += ' dark-mode';
         if (this.isDragging) classes += ' dragging';
+        if (this.isResizing) classes += ' resizing';
+        if (this.isMobileLayout) classes += ' mobile';
         if (this.showChatWindow && this.isInitialized) classes += ' loaded';
         return classes;
     }
+    get windowStyle() { return this.isMobileLayout ? '' : this.chatWindowStyle; } // The mobile layout fills the screen
+    get resizeHandles() { return RESIZE_DIRECTIONS.map(direction => ({ direction, className: `resize-handle resize-${direction}` })); }
+    get idleWarningText() { return formatLabel(LABELS.idleWarning, this.idleSecondsLeft); }
+    get chatEndedText() { return this.endedForInactivity ? formatLabel(LABELS.endedForInactivity, this.idleTimeoutMinutes) : LABELS.thankYou; }
     get chatEndedClasses() { return `chat-ended ${this.isDarkMode ? 'dark-mode' : ''}`; }
-    get isInputDisabled() { return this.isAgentTyping || this.isVoiceModeActive || this.isInitializing || !this.isInitialized || this.chatHasEnded; }
-    get isSendDisabled() { return !this.currentMessageText.trim() || this.isInputDisabled; }
-    get formattedMessages() { return this.messages.map(m => ({ ...m, key: m.id })); }
+    // Not disabled while the agent is answering: new messages are queued
+    get isInputDisabled() { return this.isVoiceModeActive || this.isInitializing || !this.isInitialized || this.chatHasEnded || this.isUploadingAttachments; }
+    get isSendDisabled() { return (!this.currentMessageText.trim() && !this.hasPendingAttachments) || this.isInputDisabled; }
+    get formattedMessages() {
+        let hasUserPrompt = false; // Only replies to the user can be rated, not the greeting
+        return this.messages.map(m => {
+            const isSpeechPlaying = m.id === this.speakingMessageId;
+            const isComplete = !m.isTypingMessage && !m.isStreaming && Boolean(m.text && m.text.trim());
+            hasUserPrompt = hasUserPrompt || m.isUserMessage;
+            return { ...m, key: m.id, canPlaySpeech: this.showSpeechPlayback && isComplete,
+                isSpeechPlaying, speechButtonIcon: isSpeechPlaying ? 'utility:stop' : 'utility:volume_high', speechButtonLabel: isSpeechPlaying ? LABELS.stopReadingAloud : LABELS.readAloud, speechButtonPressed: String(isSpeechPlaying),
+                canRate: m.isAgentMessage && isComplete && hasUserPrompt && Boolean(this.sessionId),
+                ratedUp: String(m.feedback === 'up'), ratedDown: String(m.feedback === 'down'),
+                thumbsUpClass: `feedback-button${m.feedback === 'up' ? ' selected' : ''}`, thumbsDownClass: `feedback-button${m.feedback === 'down' ? ' selected' : ''}` };
+        });
+    }
+    get feedbackReasons() { return FEEDBACK_REASONS; }
+    // After the welcome message and completed agent replies, unless the reply offers its own quick replies
+    get showSuggestedPrompts() {
+        const last = this.messages[this.messages.length - 1];
+        return this.suggestedPromptList.length > 0 && Boolean(last) && last.isAgentMessage && !last.isStreaming && !(last.hasChoices && !last.choicesDisabled)
+            && !this.isAgentTyping && !this.isInputDisabled;
+    }
+    get suggestedPromptChips() { return this.suggestedPromptList.map((prompt, index) => ({ key: `prompt-${index}`, prompt })); }
+    get showSlashMenu() { return this.slashMenuCommands.length > 0 && !this.isInputDisabled; }
+    get slashMenuExpanded() { return String(this.showSlashMenu); }
+    get slashMenuOptions() {
+        return this.slashMenuCommands.map((command, index) => ({ ...command, index, label: `/${command.name}`, selected: String(index === this.activeCommandIndex),
+            className: `slash-command-option${index === this.activeCommandIndex ? ' active' : ''}` }));
+    }
+    get showSpeechPlayback() { return this.allowVoiceMode && this.isSpeechOutputAvailable; }
+    get diagnosticsExpanded() { return String(this.showDiagnostics); }
+    get diagnosticsSessionId() { return this.sessionId || LABELS.notAvailable; }
+    get diagnosticsSequenceId() { return this.lastSequenceId ?? LABELS.notAvailable; }
+    get diagnosticsTurnRows() {
+        return this.diagnosticTurns.map(turn => ({ ...turn, duration: formatLabel(LABELS.milliseconds, turn.durationMs), sequence: turn.sequenceId ?? LABELS.notAvailable,
+            result: turn.error || LABELS.turnSucceeded, resultClass: `diagnostics-result${turn.error ? ' failed' : ''}` }));
+    }
+    get diagnosticsSpeechRows() { return this.speechTimings.map(timing => ({ ...timing, duration: formatLabel(LABELS.milliseconds, timing.durationMs) })); }
+    get hasDiagnosticTurns() { return this.diagnosticTurns.length > 0; }
+    get hasSpeechTimings() { return this.speechTimings.length > 0; }
+    get lastRequestText() { return formatPayload(this.lastRequest) || LABELS.notAvailable; }
+    get lastResponseText() { return formatPayload(this.lastResponse) || LABELS.notAvailable; }
 
     // Header Icon Getters
-    get themeIcon() { return this.isDarkMode ? 'utility:daylight' : 'utility:dark_mode'; }
-    get themeTooltip() { return this.isDarkMode ? 'Switch to Light Mode' : 'Switch to Dark Mode'; }
+    get themeIcon() { return THEME_TOGGLE[nextThemeMode(this.themeMode)].icon; }
+    get themeTooltip() { return THEME_TOGGLE[nextThemeMode(this.themeMode)].label; }
+    get themeStyle() {
+        return buildThemeStyle({ primaryColor: this.brandPrimaryColor, userBubbleColor: this.userBubbleColor, userBubbleTextColor: this.userBubbleTextColor,
+            agentBubbleColor: this.agentBubbleColor, agentBubbleTextColor: this.agentBubbleTextColor, fontFamily: this.fontFamily, cornerRadius: this.cornerRadius }, this.logger);
+    }
+    get agentAvatarSrc() { return sanitizeImageUrl(this.agentAvatarUrl); }
+    get launcherIconSrc() { return sanitizeImageUrl(this.launcherIconUrl); }
     get voiceIcon() { return this.isVoiceModeActive ? 'utility:text_format' : 'utility:mic'; } // Swapped icons
-    get voiceTooltip() { return this.isVoiceModeActive ? 'Switch to Text Input' : 'Switch to Voice Input'; }
+    get voiceTooltip() { return this.isVoiceModeActive ? LABELS.switchToTextInput : LABELS.switchToVoiceInput; }
     get showVoiceModeOption() { return this.allowVoiceMode && this.isVoiceModeAvailable; } // Keep logic for conditional rendering
 
     // Voice Visualizer Getters
@@ -583,6 +2038,12 @@ export default class MessengerChat extends LightningElement {
         if (this.isAgentSpeaking) classes += ' speaking';
         return classes;
     }
+    get speechLanguage() { return (this.voiceLanguage || USER_LOCALE || DEFAULT_SPEECH_LANGUAGE).replace(/_/g, '-'); }
+    get hasVoiceInterimTranscript() { return this.isListeningForInput && Boolean(this.voiceInterimTranscript); }
+    get voiceAutoSendNotice() {
+        const delaySeconds = Number(this.voiceAutoSendDelay);
+        return this.voiceAutoSendTimeout && delaySeconds > 0 ? formatLabel(LABELS.autoSendNotice, delaySeconds) : '';
+    }
     get voiceInputIcon() { return this.isAgentSpeaking ? 'utility:volume_high' : 'utility:mic'; }
 
     // Thinking Process Toggle
@@ -593,6 +2054,7 @@ export default class MessengerChat extends LightningElement {
          if (contentElement && iconElement) {
              const isExpanded = contentElement.classList.toggle('expanded');
              iconElement.classList.toggle('expanded', isExpanded);
+             event.currentTarget.setAttribute('aria-expanded', String(isExpanded));
              this.scrollToBottom();
          }
      }
@@ -0,0 +1,68 @@
+/**
+ * @description Files attached to chat messages: type and size limits, reading files for upload and the reference
+ * added to the message the agent receives. Uploaded attachments are { name, contentDocumentId, contentVersionId,
+ * downloadUrl, size, isImage }.
+ */
+
+export const MAX_ATTACHMENTS = 3; // Per message
+export const MAX_ATTACHMENT_BYTES = 3 * 1024 * 1024; // Stays within the Apex heap limit once base64 encoded
+export const ACCEPTED_FILE_TYPES = '.png,.jpg,.jpeg,.gif,.webp,.pdf,.txt,.csv,.log,.doc,.docx,.xls,.xlsx';
+const IMAGE_EXTENSIONS = ['png', 'jpg', 'jpeg', 'gif', 'webp'];
+const PASTED_IMAGE_NAME = 'pasted-image';
+
+export function getExtension(fileName) {
+    const match = /\.([^.]+)$/.exec(fileName || '');
+    return match ? match[1].toLowerCase() : '';
+}
+
+export function isImageFile(fileName) {
+    return IMAGE_EXTENSIONS.includes(getExtension(fileName));
+}
+
+/**
+ * @description Name for a file; pasted screenshots come without a useful one ('image.png' or none).
+ */
+export function getFileName(file, index = 0) {
+    if (file.name && file.name !== 'image.png') return file.name;
+    const extension = (file.type || '').startsWith('image/') ? file.type.slice(6).replace('jpeg', 'jpg') : 'png';
+    return `${PASTED_IMAGE_NAME}-${Date.now()}${index ? `-${index}` : ''}.${extension}`;
+}
+
+/**
+ * @description Checks a file against the limits.
+ * @return {string|null} 'type', 'size' or 'count' for a file that can't be attached, null if it can.
+ */
+export function validateAttachment(fileName, size, attachedCount) {
+    if (attachedCount >= MAX_ATTACHMENTS) return 'count';
+    if (!ACCEPTED_FILE_TYPES.split(',').includes(`.${getExtension(fileName)}`)) return 'type';
+    if (!size || size > MAX_ATTACHMENT_BYTES) return 'size';
+    return null;
+}
+
+/**
+ * @description Reads a file as a data URL; the part after the comma is the base64 content sent to Apex.
+ */
+export function readFileAsDataUrl(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(file);
+    });
+}
+
+export function formatFileSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * @description The text sent to the agent: the user's message followed by the uploaded files, so agent actions can
+ * look them up by ContentDocument ID.
+ */
+export function buildAttachmentMessage(text, attachments) {
+    if (!attachments || !attachments.length) return text;
+    const lines = attachments.map(attachment => `- ${attachment.name} (ContentDocumentId: ${attachment.contentDocumentId})`);
+    return `${text || ''}\n\n[Attached files]\n${lines.join('\n')}`.trim();
+}
@@ -0,0 +1,70 @@
+/**
+ * @description Suggested prompts and slash commands for the message composer.
+ * Both are configured as "|"-separated lists because prompts commonly contain commas:
+ * prompts "Where is my order?|Reset my password", commands "name=template", e.g. "refund=I want a refund for order {input}".
+ * {input} is replaced with whatever is typed after the command; without it the input is appended.
+ */
+import { LABELS } from './i18n';
+import { SILENT_LOGGER } from './logger';
+
+const INPUT_PLACEHOLDER = '{input}';
+const COMMAND_NAME_PATTERN = /^[a-z0-9_-]+$/i;
+
+export const BUILT_IN_COMMANDS = Object.freeze([
+    { name: 'new', description: LABELS.commandNew, builtIn: true },
+    { name: 'end', description: LABELS.commandEnd, builtIn: true },
+    { name: 'export', description: LABELS.commandExport, builtIn: true },
+    { name: 'voice', description: LABELS.commandVoice, builtIn: true },
+    { name: 'theme', description: LABELS.commandTheme, builtIn: true }
+]);
+
+export function parseSuggestedPrompts(value) {
+    return (value || '').split('|').map(prompt => prompt.trim()).filter(Boolean);
+}
+
+/**
+ * @description Parses admin-defined commands. Invalid names and names of built-in commands are skipped with a warning.
+ * @param {object} logger Receives the warnings, see createLogger().
+ * @return {Array} { name, description, template, takesInput }
+ */
+export function parseCustomCommands(value, logger = SILENT_LOGGER) {
+    const commands = [];
+    parseSuggestedPrompts(value).forEach(entry => {
+        const separator = entry.indexOf('=');
+        const name = (separator > 0 ? entry.slice(0, separator) : '').trim().replace(/^\//, '').toLowerCase();
+        const template = entry.slice(separator + 1).trim();
+        if (!COMMAND_NAME_PATTERN.test(name) || !template) {
+            logger.warn(`Ignoring slash command "${entry}". Expected name=prompt template.`);
+        } else if (BUILT_IN_COMMANDS.some(command => command.name === name) || commands.some(command => command.name === name)) {
+            logger.warn(`Ignoring slash command "/${name}", the name is already taken.`);
+        } else {
+            commands.push({ name, description: template, template, takesInput: template.includes(INPUT_PLACEHOLDER) });
+        }
+    });
+    return commands;
+}
+
+/**
+ * @description Commands for the autocomplete menu while the composer holds only "/" and part of a name, else null.
+ */
+export function matchCommands(commands, text) {
+    const match = /^\/(\S*)$/.exec(text || '');
+    if (!match) return null;
+    const prefix = match[1].toLowerCase();
+    return commands.filter(command => command.name.startsWith(prefix));
+}
+
+/**
+ * @description Splits "/name rest of the text" into the command and its input, null if no such command exists.
+ */
+export function parseCommand(commands, text) {
+    const match = /^\/(\S+)\s*([\s\S]*)$/.exec((text || '').trim());
+    if (!match) return null;
+    const command = commands.find(c => c.name === match[1].toLowerCase());
+    return command ? { command, input: match[2].trim() } : null;
+}
+
+export function expandCommandTemplate(template, input) {
+    if (template.includes(INPUT_PLACEHOLDER)) return template.split(INPUT_PLACEHOLDER).join(input || '').trim();
+    return input ? `${template} ${input}` : template;
+}
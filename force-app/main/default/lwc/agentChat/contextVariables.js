@@ -0,0 +1,54 @@
+/**
+ * @description Builds the context variables sent to the Agent API on session start and with every message.
+ * Admins configure them as a comma-separated list of "VariableName=source", e.g.
+ * "RecordId=recordId, $Context.EndUserLanguage=userLocale, CaseSubject=field:Subject".
+ * Sources: recordId, objectApiName, userId, userLocale, pageUrl, field:<FieldApiName> (from the current record).
+ */
+import { SILENT_LOGGER } from './logger';
+
+const CONTEXT_SOURCES = ['recordId', 'objectApiName', 'userId', 'userLocale', 'pageUrl'];
+const FIELD_SOURCE_PREFIX = 'field:';
+
+/**
+ * @description Parses the admin setting into [{ name, source, field }]. Unknown sources are skipped with a warning.
+ * @param {object} logger Receives the warnings, see createLogger().
+ */
+export function parseContextVariableConfig(config, logger = SILENT_LOGGER) {
+    if (!config) return [];
+    return String(config).split(',').map(entry => entry.trim()).filter(Boolean).reduce((definitions, entry) => {
+        const separator = entry.indexOf('=');
+        const name = separator === -1 ? '' : entry.slice(0, separator).trim();
+        const source = separator === -1 ? '' : entry.slice(separator + 1).trim();
+        const field = source.startsWith(FIELD_SOURCE_PREFIX) ? source.slice(FIELD_SOURCE_PREFIX.length).trim() : null;
+        if (!name || !(field || CONTEXT_SOURCES.includes(source))) {
+            logger.warn(`Ignoring context variable "${entry}". Expected Name=source with source one of ${CONTEXT_SOURCES.join(', ')} or field:FieldApiName.`);
+            return definitions;
+        }
+        definitions.push({ name, source, field });
+        return definitions;
+    }, []);
+}
+
+function variableType(value) {
+    if (typeof value === 'boolean') return 'Boolean';
+    if (typeof value === 'number') return 'Number';
+    return 'Text';
+}
+
+/**
+ * @description Resolves the definitions against the current context.
+ * @param {Array} definitions Output of parseContextVariableConfig().
+ * @param {object} context { recordId, objectApiName, userId, userLocale, pageUrl, fields: { FieldApiName: value } }.
+ * A source can be a function, which is only called when a variable uses it.
+ * @return {Array} [{ name, type, value }] for every variable that has a value.
+ */
+export function buildContextVariables(definitions, context = {}) {
+    return (definitions || []).reduce((variables, definition) => {
+        const source = definition.field ? (context.fields || {})[definition.field] : context[definition.source];
+        const value = typeof source === 'function' ? source() : source;
+        if (value !== undefined && value !== null && value !== '') {
+            variables.push({ name: definition.name, type: variableType(value), value });
+        }
+        return variables;
+    }, []);
+}
@@ -0,0 +1,63 @@
+/**
+ * @description Data for the diagnostics drawer: per-turn timings, speech generation times, the last request and
+ * response with credentials removed, and the debug bundle support can attach to a case.
+ */
+
+export const MAX_DIAGNOSTIC_ENTRIES = 20; // Turns and speech timings kept
+const MAX_PAYLOAD_CHARS = 20000;
+const REDACTED = '[redacted]';
+// Connected App credentials, API keys, OAuth tokens and the Authorization header
+const SENSITIVE_KEY_PATTERN = /secret|consumerkey|apikey|token|authorization|password/i;
+const BEARER_PATTERN = /Bearer\s+[\w.~+/-]+=*/g;
+
+/**
+ * @description Copy of a payload with credentials replaced and file contents reduced to their size.
+ */
+export function redactPayload(value, key = '') {
+    if (value === null || value === undefined) return value;
+    if (SENSITIVE_KEY_PATTERN.test(key)) return REDACTED;
+    if (key === 'base64Data' && typeof value === 'string') return `[${value.length} base64 characters]`;
+    if (typeof value === 'string') return value.replace(BEARER_PATTERN, `Bearer ${REDACTED}`);
+    if (Array.isArray(value)) return value.map(item => redactPayload(item));
+    if (typeof value === 'object') {
+        return Object.keys(value).reduce((copy, name) => ({ ...copy, [name]: redactPayload(value[name], name) }), {});
+    }
+    return value;
+}
+
+export function formatPayload(value) {
+    if (value === null || value === undefined) return '';
+    const text = JSON.stringify(redactPayload(value), null, 2) || '';
+    return text.length > MAX_PAYLOAD_CHARS ? `${text.slice(0, MAX_PAYLOAD_CHARS)}\n… (${text.length - MAX_PAYLOAD_CHARS} more characters)` : text;
+}
+
+// Newest first, capped
+export function addDiagnosticEntry(entries, entry) {
+    return [entry, ...entries].slice(0, MAX_DIAGNOSTIC_ENTRIES);
+}
+
+/**
+ * @description Wraps a TTS service (see ttsProviders.js) so the time each clip takes to generate is reported.
+ * @param {Function} onTiming Called with { provider, durationMs, characters }
+ */
+export function timeTtsService(service, onTiming) {
+    return {
+        ...service,
+        prepare(text, options, order) {
+            const startedAt = Date.now();
+            return service.prepare(text, options, order).then(clip => {
+                onTiming({ provider: clip.provider, durationMs: Date.now() - startedAt, characters: (text || '').length });
+                return clip;
+            });
+        }
+    };
+}
+
+/**
+ * @description Everything in the drawer plus the configuration and recent log entries, as JSON for a support case.
+ * @param {object} details { config, sessionId, sequenceId, turns, speechTimings, lastRequest, lastResponse, logEntries }
+ */
+export function buildDebugBundle(details) {
+    const environment = typeof navigator === 'undefined' ? {} : { userAgent: navigator.userAgent, language: navigator.language };
+    return JSON.stringify(redactPayload({ generatedAt: new Date().toISOString(), environment, ...details }), null, 2);
+}
@@ -0,0 +1,83 @@
+/**
+ * @description Helpers for hands-free voice mode: telling the user's speech apart from the agent's own audio coming
+ * back through the microphone, wake word matching and push-to-talk keyboard shortcuts.
+ */
+
+const ECHO_WORD_RATIO = 0.8; // Share of heard words that must appear in the agent's speech to count as echo
+
+/**
+ * @description Lowercases and strips punctuation so transcripts can be compared word by word.
+ */
+export function normalizeSpeech(text) {
+    return String(text || '').toLowerCase().replace(/[^\p{L}\p{N}\s']/gu, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * @description True when what the microphone heard is most likely the agent's own speech.
+ * @param {string} transcript What speech recognition heard.
+ * @param {Array} spokenTexts What the agent is saying or just said.
+ */
+export function isLikelyEcho(transcript, spokenTexts) {
+    const heard = normalizeSpeech(transcript).split(' ').filter(Boolean);
+    if (!heard.length) return true;
+    const spoken = new Set(normalizeSpeech((spokenTexts || []).join(' ')).split(' ').filter(Boolean));
+    if (!spoken.size) return false;
+    return heard.filter(word => spoken.has(word)).length / heard.length >= ECHO_WORD_RATIO;
+}
+
+/**
+ * @description Looks for the wake word in a transcript.
+ * @return {string|null} The text after the wake word ('' when nothing followed it), or null without a wake word.
+ */
+export function matchWakeWord(transcript, wakeWord) {
+    const words = normalizeSpeech(wakeWord);
+    if (!words) return String(transcript || '').trim();
+    // Searched in the original transcript so the message keeps its casing and punctuation
+    const escaped = words.split(' ').map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const pattern = new RegExp(`(?:^|[^\\p{L}\\p{N}'])${escaped.join("[^\\p{L}\\p{N}']+")}(?=$|[^\\p{L}\\p{N}'])`, 'iu');
+    const match = pattern.exec(String(transcript || ''));
+    if (!match) return null;
+    return String(transcript).slice(match.index + match[0].length).replace(/^[\s,.!?:;-]+/, '').trim();
+}
+
+/**
+ * @description Parses a shortcut like "Alt+Space" or "Control+Shift+M" into { key, ctrl, alt, shift, meta }.
+ */
+export function parseShortcut(shortcut) {
+    if (!shortcut) return null;
+    const parts = String(shortcut).split('+').map(part => part.trim().toLowerCase()).filter(Boolean);
+    const key = parts.pop();
+    if (!key) return null;
+    return {
+        key: key === 'space' ? ' ' : key,
+        ctrl: parts.includes('ctrl') || parts.includes('control'),
+        alt: parts.includes('alt') || parts.includes('option'),
+        shift: parts.includes('shift'),
+        meta: parts.includes('meta') || parts.includes('cmd') || parts.includes('command')
+    };
+}
+
+/**
+ * @description True when the keyboard event comes from a text field, select or contenteditable element.
+ * The composed path finds fields inside other components' shadow trees, where event.target is their host.
+ */
+export function isEditableTarget(event) {
+    const path = typeof event.composedPath === 'function' ? event.composedPath() : [];
+    const target = path[0] || event.target;
+    if (!target || !target.tagName) return false;
+    return Boolean(target.isContentEditable) || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+}
+
+/**
+ * @description True when the keyboard event is the shortcut's key. Modifiers are only checked on key down,
+ * they are often released before the key itself.
+ */
+export function matchesShortcut(event, shortcut) {
+    const parsed = typeof shortcut === 'string' ? parseShortcut(shortcut) : shortcut;
+    if (!parsed || !event) return false;
+    const key = String(event.key || '').toLowerCase();
+    const code = String(event.code || '').toLowerCase();
+    const keyMatches = key === parsed.key || code === parsed.key || code === `key${parsed.key}` || (parsed.key === ' ' && code === 'space');
+    if (!keyMatches || event.type === 'keyup') return keyMatches;
+    return Boolean(event.ctrlKey) === parsed.ctrl && Boolean(event.altKey) === parsed.alt && Boolean(event.shiftKey) === parsed.shift && Boolean(event.metaKey) === parsed.meta;
+}
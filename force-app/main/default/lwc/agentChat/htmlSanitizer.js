@@ -0,0 +1,140 @@
+/**
+ * @description Allowlist-based HTML sanitizer for agent messages rendered through lwc:dom="manual".
+ * Agent HTML is parsed into an inert document and rebuilt node by node: only allowlisted tags,
+ * attributes and URL schemes survive, everything else is unwrapped (unknown tags) or dropped
+ * together with its content (active content such as scripts, frames and forms).
+ */
+
+const ELEMENT_NODE = 1;
+const TEXT_NODE = 3;
+
+// Never rendered, even if an admin adds them to the allowlist. Their content is dropped too.
+const FORBIDDEN_TAGS = new Set([
+    'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'noscript', 'template',
+    'svg', 'math', 'form', 'input', 'button', 'select', 'option', 'textarea', 'link', 'meta', 'base', 'title', 'head'
+]);
+
+// Attributes that carry URLs and must pass the scheme check
+const URL_ATTRIBUTES = new Set(['href', 'src', 'cite', 'background', 'poster', 'action', 'formaction', 'xlink:href']);
+
+// Prefixes of namespaced attribute names, which are not tags in an attribute override
+const ATTRIBUTE_NAMESPACES = new Set(['xlink', 'xml', 'xmlns']);
+
+export const DEFAULT_SANITIZER_CONFIG = Object.freeze({
+    allowedTags: [
+        'a', 'abbr', 'b', 'blockquote', 'br', 'caption', 'code', 'del', 'div', 'em', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+        'hr', 'i', 'img', 'li', 'ol', 'p', 'pre', 's', 'small', 'span', 'strong', 'sub', 'sup',
+        'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'u', 'ul'
+    ],
+    allowedAttributes: {
+        '*': ['title', 'lang', 'dir'],
+        a: ['href'],
+        img: ['src', 'alt', 'width', 'height'],
+        blockquote: ['cite'],
+        ol: ['start'],
+        td: ['colspan', 'rowspan'],
+        th: ['colspan', 'rowspan', 'scope']
+    },
+    allowedUrlSchemes: ['http', 'https', 'mailto', 'tel']
+});
+
+function resolveConfig(config = {}) {
+    const allowedAttributes = config.allowedAttributes || DEFAULT_SANITIZER_CONFIG.allowedAttributes;
+    return {
+        allowedTags: new Set((config.allowedTags || DEFAULT_SANITIZER_CONFIG.allowedTags).map(t => t.toLowerCase())),
+        allowedAttributes: Object.fromEntries(Object.entries(allowedAttributes).map(([tag, attrs]) => [tag.toLowerCase(), new Set(attrs.map(a => a.toLowerCase()))])),
+        allowedUrlSchemes: new Set((config.allowedUrlSchemes || DEFAULT_SANITIZER_CONFIG.allowedUrlSchemes).map(s => s.toLowerCase().replace(/:$/, '')))
+    };
+}
+
+/**
+ * @description Checks a URL attribute value against the scheme allowlist. Relative URLs are allowed.
+ * Control characters and whitespace are ignored the same way browsers ignore them ("java\tscript:").
+ */
+export function isSafeUrl(value, allowedUrlSchemes = new Set(DEFAULT_SANITIZER_CONFIG.allowedUrlSchemes)) {
+    if (value === null || value === undefined) return false;
+    // eslint-disable-next-line no-control-regex
+    const normalized = String(value).replace(/[\u0000- \u007f-\u009f]/g, '');
+    const match = normalized.match(/^([a-z][a-z0-9+.-]*):/i);
+    if (!match) return !/^[\\/]{2}/.test(normalized) || allowedUrlSchemes.has('https'); // Protocol-relative URLs inherit https
+    return allowedUrlSchemes.has(match[1].toLowerCase());
+}
+
+function isAllowedAttribute(tag, name, options) {
+    if (name.startsWith('on') || name === 'srcset') return false; // Event handlers and multi-URL attributes are never allowed
+    const global = options.allowedAttributes['*'];
+    const perTag = options.allowedAttributes[tag];
+    return Boolean((global && global.has(name)) || (perTag && perTag.has(name)));
+}
+
+function sanitizeNode(node, options, targetDoc) {
+    if (node.nodeType === TEXT_NODE) return targetDoc.createTextNode(node.nodeValue);
+    if (node.nodeType !== ELEMENT_NODE) return null; // Comments, processing instructions, etc.
+
+    const tag = node.nodeName.toLowerCase();
+    if (FORBIDDEN_TAGS.has(tag)) return null;
+
+    const target = options.allowedTags.has(tag) ? targetDoc.createElement(tag) : targetDoc.createDocumentFragment();
+    if (target.nodeType === ELEMENT_NODE) {
+        Array.from(node.attributes).forEach(attr => {
+            const name = attr.name.toLowerCase();
+            if (!isAllowedAttribute(tag, name, options)) return;
+            if (URL_ATTRIBUTES.has(name) && !isSafeUrl(attr.value, options.allowedUrlSchemes)) return;
+            target.setAttribute(name, attr.value);
+        });
+    }
+    Array.from(node.childNodes).forEach(child => {
+        const sanitizedChild = sanitizeNode(child, options, targetDoc);
+        if (sanitizedChild) target.appendChild(sanitizedChild);
+    });
+    return target;
+}
+
+/**
+ * @description Parses admin attribute overrides into the allowedAttributes shape. Entries are "tag:attr" pairs or a
+ * bare "attr" for any tag. Only the first ":" separates the tag, and a namespaced name such as "xlink:href" is an
+ * attribute, so "xlink:href" and "use:xlink:href" both work.
+ * @param {Array} entries The trimmed entries of the comma-separated setting.
+ * @return {object} { tag: [attr, ...] }, with '*' for attributes allowed on every tag.
+ */
+export function parseAttributeOverrides(entries) {
+    return entries.reduce((acc, entry) => {
+        const separator = entry.indexOf(':');
+        const prefix = entry.slice(0, separator).toLowerCase();
+        const [tag, attr] = separator > 0 && !ATTRIBUTE_NAMESPACES.has(prefix) ? [entry.slice(0, separator), entry.slice(separator + 1)] : ['*', entry];
+        (acc[tag] = acc[tag] || []).push(attr);
+        return acc;
+    }, {});
+}
+
+/**
+ * @description Sanitizes an HTML string against the allowlist.
+ * @param {string} html Untrusted HTML from the agent.
+ * @param {object} config Optional overrides for allowedTags, allowedAttributes and allowedUrlSchemes.
+ * @return {DocumentFragment} A fragment owned by the current document, safe to append to the page.
+ */
+export function sanitizeHtml(html, config) {
+    const options = resolveConfig(config);
+    const fragment = document.createDocumentFragment();
+    if (!html) return fragment;
+    // DOMParser documents are inert: no scripts run and no resources load while parsing
+    const parsed = new DOMParser().parseFromString(String(html), 'text/html');
+    Array.from(parsed.body.childNodes).forEach(child => {
+        const sanitizedChild = sanitizeNode(child, options, document);
+        if (sanitizedChild) fragment.appendChild(sanitizedChild);
+    });
+    return fragment;
+}
+
+/**
+ * @description Hardens already sanitized content: links open in a new tab without opener or referrer,
+ * images don't leak the referrer. Anchors whose href fails the scheme check lose it.
+ */
+export function hardenLinks(container, config) {
+    const { allowedUrlSchemes } = resolveConfig(config);
+    container.querySelectorAll('a').forEach(link => {
+        if (link.hasAttribute('href') && !isSafeUrl(link.getAttribute('href'), allowedUrlSchemes)) link.removeAttribute('href');
+        link.target = '_blank'; link.rel = 'noopener noreferrer';
+    });
+    container.querySelectorAll('img').forEach(img => { img.referrerPolicy = 'no-referrer'; img.loading = 'lazy'; });
+}
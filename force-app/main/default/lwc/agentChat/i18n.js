@@ -0,0 +1,341 @@
+/**
+ * @description Custom labels and locale settings for the chat UI. Every user-facing string is an AgentChat_* custom
+ * label so it can be translated in Translation Workbench; dates and times follow the user's Salesforce locale and
+ * time zone, and IS_RTL tells the component to mirror its layout for right-to-left languages.
+ */
+import LOCALE from '@salesforce/i18n/locale';
+import TIME_ZONE from '@salesforce/i18n/timeZone';
+import DIR from '@salesforce/i18n/dir';
+import TYPING_INDICATOR_LABEL from '@salesforce/label/c.AgentChat_TypingIndicator';
+import CONNECTING_LABEL from '@salesforce/label/c.AgentChat_Connecting';
+import SESSION_EXPIRED_RECONNECTING_LABEL from '@salesforce/label/c.AgentChat_SessionExpiredReconnecting';
+import CONNECTION_ERROR_LABEL from '@salesforce/label/c.AgentChat_ConnectionError';
+import SESSION_RESUMED_LABEL from '@salesforce/label/c.AgentChat_SessionResumed';
+import NO_ANSWER_LABEL from '@salesforce/label/c.AgentChat_NoAnswer';
+import HANDOFF_LABEL from '@salesforce/label/c.AgentChat_Handoff';
+import HANDOFF_ICON_LABEL from '@salesforce/label/c.AgentChat_HandoffIcon';
+import STATUS_SENDING_LABEL from '@salesforce/label/c.AgentChat_StatusSending';
+import STATUS_DELIVERED_LABEL from '@salesforce/label/c.AgentChat_StatusDelivered';
+import STATUS_FAILED_LABEL from '@salesforce/label/c.AgentChat_StatusFailed';
+import RETRY_LABEL from '@salesforce/label/c.AgentChat_Retry';
+import RETRY_TITLE_LABEL from '@salesforce/label/c.AgentChat_RetryTitle';
+import CONFIG_INCOMPLETE_LABEL from '@salesforce/label/c.AgentChat_ConfigIncomplete';
+import CONFIG_ERROR_PREFIX_LABEL from '@salesforce/label/c.AgentChat_ConfigErrorPrefix';
+import CONNECTION_FAILED_PREFIX_LABEL from '@salesforce/label/c.AgentChat_ConnectionFailedPrefix';
+import NO_SESSION_ID_LABEL from '@salesforce/label/c.AgentChat_NoSessionId';
+import ENDING_CONVERSATION_LABEL from '@salesforce/label/c.AgentChat_EndingConversation';
+import END_SESSION_FAILED_LABEL from '@salesforce/label/c.AgentChat_EndSessionFailed';
+import ERROR_TITLE_LABEL from '@salesforce/label/c.AgentChat_ErrorTitle';
+import ERROR_PREFIX_LABEL from '@salesforce/label/c.AgentChat_ErrorPrefix';
+import UNKNOWN_ERROR_LABEL from '@salesforce/label/c.AgentChat_UnknownError';
+import RECONNECT_FAILED_LABEL from '@salesforce/label/c.AgentChat_ReconnectFailed';
+import TRANSCRIPT_NOT_SAVED_LABEL from '@salesforce/label/c.AgentChat_TranscriptNotSaved';
+import NOTHING_TO_EXPORT_LABEL from '@salesforce/label/c.AgentChat_NothingToExport';
+import CONVERSATION_EMPTY_LABEL from '@salesforce/label/c.AgentChat_ConversationEmpty';
+import NOT_SUPPORTED_TITLE_LABEL from '@salesforce/label/c.AgentChat_NotSupportedTitle';
+import VOICE_NOT_AVAILABLE_LABEL from '@salesforce/label/c.AgentChat_VoiceNotAvailable';
+import NO_SPEECH_DETECTED_LABEL from '@salesforce/label/c.AgentChat_NoSpeechDetected';
+import MICROPHONE_ERROR_LABEL from '@salesforce/label/c.AgentChat_MicrophoneError';
+import MICROPHONE_DENIED_LABEL from '@salesforce/label/c.AgentChat_MicrophoneDenied';
+import DID_NOT_HEAR_LABEL from '@salesforce/label/c.AgentChat_DidNotHear';
+import REVIEW_MESSAGE_LABEL from '@salesforce/label/c.AgentChat_ReviewMessage';
+import PROCESSING_LABEL from '@salesforce/label/c.AgentChat_Processing';
+import LISTENING_LABEL from '@salesforce/label/c.AgentChat_Listening';
+import SAY_WAKE_WORD_LABEL from '@salesforce/label/c.AgentChat_SayWakeWord';
+import HANDS_FREE_WAKE_WORD_HINT_LABEL from '@salesforce/label/c.AgentChat_HandsFreeWakeWordHint';
+import HANDS_FREE_HINT_LABEL from '@salesforce/label/c.AgentChat_HandsFreeHint';
+import PUSH_TO_TALK_HINT_LABEL from '@salesforce/label/c.AgentChat_PushToTalkHint';
+import AGENT_SPEAKING_LABEL from '@salesforce/label/c.AgentChat_AgentSpeaking';
+import AGENT_RESPONDING_LABEL from '@salesforce/label/c.AgentChat_AgentResponding';
+import SPEAK_NOW_LABEL from '@salesforce/label/c.AgentChat_SpeakNow';
+import TTS_ERROR_TITLE_LABEL from '@salesforce/label/c.AgentChat_TtsErrorTitle';
+import TTS_ERROR_LABEL from '@salesforce/label/c.AgentChat_TtsError';
+import AUDIO_PLAYBACK_ERROR_LABEL from '@salesforce/label/c.AgentChat_AudioPlaybackError';
+import READ_ALOUD_LABEL from '@salesforce/label/c.AgentChat_ReadAloud';
+import STOP_READING_ALOUD_LABEL from '@salesforce/label/c.AgentChat_StopReadingAloud';
+import SWITCH_TO_LIGHT_MODE_LABEL from '@salesforce/label/c.AgentChat_SwitchToLightMode';
+import SWITCH_TO_DARK_MODE_LABEL from '@salesforce/label/c.AgentChat_SwitchToDarkMode';
+import SWITCH_TO_TEXT_INPUT_LABEL from '@salesforce/label/c.AgentChat_SwitchToTextInput';
+import SWITCH_TO_VOICE_INPUT_LABEL from '@salesforce/label/c.AgentChat_SwitchToVoiceInput';
+import AUTO_SEND_NOTICE_LABEL from '@salesforce/label/c.AgentChat_AutoSendNotice';
+import WELCOME_BANNER_LABEL from '@salesforce/label/c.AgentChat_WelcomeBanner';
+import DISMISS_LABEL from '@salesforce/label/c.AgentChat_Dismiss';
+import OPEN_CHAT_LABEL from '@salesforce/label/c.AgentChat_OpenChat';
+import DOWNLOAD_TRANSCRIPT_LABEL from '@salesforce/label/c.AgentChat_DownloadTranscript';
+import FORMAT_MARKDOWN_LABEL from '@salesforce/label/c.AgentChat_FormatMarkdown';
+import FORMAT_TEXT_LABEL from '@salesforce/label/c.AgentChat_FormatText';
+import FORMAT_JSON_LABEL from '@salesforce/label/c.AgentChat_FormatJson';
+import CLEAR_HISTORY_LABEL from '@salesforce/label/c.AgentChat_ClearHistory';
+import MINIMIZE_CHAT_LABEL from '@salesforce/label/c.AgentChat_MinimizeChat';
+import END_CHAT_LABEL from '@salesforce/label/c.AgentChat_EndChat';
+import AGENT_ICON_LABEL from '@salesforce/label/c.AgentChat_AgentIcon';
+import THOUGHT_PROCESS_LABEL from '@salesforce/label/c.AgentChat_ThoughtProcess';
+import VOICE_INPUT_STATUS_LABEL from '@salesforce/label/c.AgentChat_VoiceInputStatus';
+import RECOGNIZED_MESSAGE_LABEL from '@salesforce/label/c.AgentChat_RecognizedMessage';
+import DISCARD_AND_RETRY_LABEL from '@salesforce/label/c.AgentChat_DiscardAndRetry';
+import TRY_AGAIN_LABEL from '@salesforce/label/c.AgentChat_TryAgain';
+import SEND_MESSAGE_LABEL from '@salesforce/label/c.AgentChat_SendMessage';
+import SEND_LABEL from '@salesforce/label/c.AgentChat_Send';
+import INTERRUPT_AGENT_LABEL from '@salesforce/label/c.AgentChat_InterruptAgent';
+import INTERRUPT_LABEL from '@salesforce/label/c.AgentChat_Interrupt';
+import MESSAGE_PLACEHOLDER_LABEL from '@salesforce/label/c.AgentChat_MessagePlaceholder';
+import CHAT_ENDED_LABEL from '@salesforce/label/c.AgentChat_ChatEnded';
+import THANK_YOU_LABEL from '@salesforce/label/c.AgentChat_ThankYou';
+import START_NEW_CHAT_LABEL from '@salesforce/label/c.AgentChat_StartNewChat';
+import END_CHAT_CONFIRM_TITLE_LABEL from '@salesforce/label/c.AgentChat_EndChatConfirmTitle';
+import END_CHAT_CONFIRM_MESSAGE_LABEL from '@salesforce/label/c.AgentChat_EndChatConfirmMessage';
+import CANCEL_LABEL from '@salesforce/label/c.AgentChat_Cancel';
+import COPY_CODE_LABEL from '@salesforce/label/c.AgentChat_CopyCode';
+import COPY_LABEL from '@salesforce/label/c.AgentChat_Copy';
+import COPIED_LABEL from '@salesforce/label/c.AgentChat_Copied';
+import TRANSCRIPT_TITLE_LABEL from '@salesforce/label/c.AgentChat_TranscriptTitle';
+import TRANSCRIPT_EXPORTED_LABEL from '@salesforce/label/c.AgentChat_TranscriptExported';
+import TRANSCRIPT_YOU_LABEL from '@salesforce/label/c.AgentChat_TranscriptYou';
+import TRANSCRIPT_AGENT_LABEL from '@salesforce/label/c.AgentChat_TranscriptAgent';
+import TRANSCRIPT_HANDOFF_LABEL from '@salesforce/label/c.AgentChat_TranscriptHandoff';
+import TRANSCRIPT_THOUGHT_PROCESS_LABEL from '@salesforce/label/c.AgentChat_TranscriptThoughtProcess';
+import MESSAGE_INPUT_LABEL from '@salesforce/label/c.AgentChat_MessageInput';
+import CONVERSATION_LABEL from '@salesforce/label/c.AgentChat_Conversation';
+import AGENT_SAYS_LABEL from '@salesforce/label/c.AgentChat_AgentSays';
+import MESSAGE_NOT_DELIVERED_LABEL from '@salesforce/label/c.AgentChat_MessageNotDelivered';
+import MOVE_WINDOW_LABEL from '@salesforce/label/c.AgentChat_MoveWindow';
+import MOVE_WINDOW_HELP_LABEL from '@salesforce/label/c.AgentChat_MoveWindowHelp';
+import RATE_HELPFUL_LABEL from '@salesforce/label/c.AgentChat_RateHelpful';
+import RATE_NOT_HELPFUL_LABEL from '@salesforce/label/c.AgentChat_RateNotHelpful';
+import FEEDBACK_REASON_PROMPT_LABEL from '@salesforce/label/c.AgentChat_FeedbackReasonPrompt';
+import FEEDBACK_REASON_LABEL from '@salesforce/label/c.AgentChat_FeedbackReason';
+import FEEDBACK_NO_REASON_LABEL from '@salesforce/label/c.AgentChat_FeedbackNoReason';
+import FEEDBACK_REASON_INCORRECT_LABEL from '@salesforce/label/c.AgentChat_FeedbackReasonIncorrect';
+import FEEDBACK_REASON_NOT_HELPFUL_LABEL from '@salesforce/label/c.AgentChat_FeedbackReasonNotHelpful';
+import FEEDBACK_REASON_INCOMPLETE_LABEL from '@salesforce/label/c.AgentChat_FeedbackReasonIncomplete';
+import FEEDBACK_REASON_OFF_TOPIC_LABEL from '@salesforce/label/c.AgentChat_FeedbackReasonOffTopic';
+import FEEDBACK_REASON_OTHER_LABEL from '@salesforce/label/c.AgentChat_FeedbackReasonOther';
+import FEEDBACK_COMMENT_LABEL from '@salesforce/label/c.AgentChat_FeedbackComment';
+import FEEDBACK_SUBMIT_LABEL from '@salesforce/label/c.AgentChat_FeedbackSubmit';
+import FEEDBACK_THANKS_LABEL from '@salesforce/label/c.AgentChat_FeedbackThanks';
+import FEEDBACK_NOT_SAVED_LABEL from '@salesforce/label/c.AgentChat_FeedbackNotSaved';
+import ATTACH_FILE_LABEL from '@salesforce/label/c.AgentChat_AttachFile';
+import ATTACHMENTS_LABEL from '@salesforce/label/c.AgentChat_Attachments';
+import REMOVE_ATTACHMENT_LABEL from '@salesforce/label/c.AgentChat_RemoveAttachment';
+import DROP_FILES_HERE_LABEL from '@salesforce/label/c.AgentChat_DropFilesHere';
+import ATTACHMENT_TYPE_NOT_ALLOWED_LABEL from '@salesforce/label/c.AgentChat_AttachmentTypeNotAllowed';
+import ATTACHMENT_TOO_LARGE_LABEL from '@salesforce/label/c.AgentChat_AttachmentTooLarge';
+import TOO_MANY_ATTACHMENTS_LABEL from '@salesforce/label/c.AgentChat_TooManyAttachments';
+import ATTACHMENT_UPLOAD_FAILED_LABEL from '@salesforce/label/c.AgentChat_AttachmentUploadFailed';
+import UPLOADING_ATTACHMENTS_LABEL from '@salesforce/label/c.AgentChat_UploadingAttachments';
+import TRANSCRIPT_ATTACHMENT_LABEL from '@salesforce/label/c.AgentChat_TranscriptAttachment';
+import USE_SYSTEM_THEME_LABEL from '@salesforce/label/c.AgentChat_UseSystemTheme';
+import SUGGESTED_PROMPTS_LABEL from '@salesforce/label/c.AgentChat_SuggestedPrompts';
+import SLASH_COMMANDS_LABEL from '@salesforce/label/c.AgentChat_SlashCommands';
+import COMMAND_NEW_LABEL from '@salesforce/label/c.AgentChat_CommandNew';
+import COMMAND_END_LABEL from '@salesforce/label/c.AgentChat_CommandEnd';
+import COMMAND_EXPORT_LABEL from '@salesforce/label/c.AgentChat_CommandExport';
+import COMMAND_VOICE_LABEL from '@salesforce/label/c.AgentChat_CommandVoice';
+import COMMAND_THEME_LABEL from '@salesforce/label/c.AgentChat_CommandTheme';
+import COMMAND_OPTION_LABEL from '@salesforce/label/c.AgentChat_CommandOption';
+import IDLE_WARNING_TITLE_LABEL from '@salesforce/label/c.AgentChat_IdleWarningTitle';
+import IDLE_WARNING_LABEL from '@salesforce/label/c.AgentChat_IdleWarning';
+import STILL_HERE_LABEL from '@salesforce/label/c.AgentChat_StillHere';
+import ENDED_FOR_INACTIVITY_LABEL from '@salesforce/label/c.AgentChat_EndedForInactivity';
+import DIAGNOSTICS_LABEL from '@salesforce/label/c.AgentChat_Diagnostics';
+import DIAGNOSTICS_SESSION_LABEL from '@salesforce/label/c.AgentChat_DiagnosticsSession';
+import DIAGNOSTICS_SEQUENCE_LABEL from '@salesforce/label/c.AgentChat_DiagnosticsSequence';
+import DIAGNOSTICS_TURNS_LABEL from '@salesforce/label/c.AgentChat_DiagnosticsTurns';
+import DIAGNOSTICS_SPEECH_LABEL from '@salesforce/label/c.AgentChat_DiagnosticsSpeech';
+import LAST_REQUEST_LABEL from '@salesforce/label/c.AgentChat_LastRequest';
+import LAST_RESPONSE_LABEL from '@salesforce/label/c.AgentChat_LastResponse';
+import NOT_AVAILABLE_LABEL from '@salesforce/label/c.AgentChat_NotAvailable';
+import MILLISECONDS_LABEL from '@salesforce/label/c.AgentChat_Milliseconds';
+import TURN_SUCCEEDED_LABEL from '@salesforce/label/c.AgentChat_TurnSucceeded';
+import COPY_DEBUG_BUNDLE_LABEL from '@salesforce/label/c.AgentChat_CopyDebugBundle';
+import DEBUG_BUNDLE_COPIED_LABEL from '@salesforce/label/c.AgentChat_DebugBundleCopied';
+import DEBUG_BUNDLE_COPIED_DETAIL_LABEL from '@salesforce/label/c.AgentChat_DebugBundleCopiedDetail';
+import DEBUG_BUNDLE_NOT_COPIED_LABEL from '@salesforce/label/c.AgentChat_DebugBundleNotCopied';
+import SESSION_RENEWED_LABEL from '@salesforce/label/c.AgentChat_SessionRenewed';
+
+export const LABELS = {
+    typingIndicator: TYPING_INDICATOR_LABEL,
+    connecting: CONNECTING_LABEL,
+    sessionExpiredReconnecting: SESSION_EXPIRED_RECONNECTING_LABEL,
+    connectionError: CONNECTION_ERROR_LABEL,
+    sessionResumed: SESSION_RESUMED_LABEL,
+    noAnswer: NO_ANSWER_LABEL,
+    handoff: HANDOFF_LABEL,
+    handoffIcon: HANDOFF_ICON_LABEL,
+    statusSending: STATUS_SENDING_LABEL,
+    statusDelivered: STATUS_DELIVERED_LABEL,
+    statusFailed: STATUS_FAILED_LABEL,
+    retry: RETRY_LABEL,
+    retryTitle: RETRY_TITLE_LABEL,
+    configIncomplete: CONFIG_INCOMPLETE_LABEL,
+    configErrorPrefix: CONFIG_ERROR_PREFIX_LABEL,
+    connectionFailedPrefix: CONNECTION_FAILED_PREFIX_LABEL,
+    noSessionId: NO_SESSION_ID_LABEL,
+    endingConversation: ENDING_CONVERSATION_LABEL,
+    endSessionFailed: END_SESSION_FAILED_LABEL,
+    errorTitle: ERROR_TITLE_LABEL,
+    errorPrefix: ERROR_PREFIX_LABEL,
+    unknownError: UNKNOWN_ERROR_LABEL,
+    reconnectFailed: RECONNECT_FAILED_LABEL,
+    transcriptNotSaved: TRANSCRIPT_NOT_SAVED_LABEL,
+    nothingToExport: NOTHING_TO_EXPORT_LABEL,
+    conversationEmpty: CONVERSATION_EMPTY_LABEL,
+    notSupportedTitle: NOT_SUPPORTED_TITLE_LABEL,
+    voiceNotAvailable: VOICE_NOT_AVAILABLE_LABEL,
+    noSpeechDetected: NO_SPEECH_DETECTED_LABEL,
+    microphoneError: MICROPHONE_ERROR_LABEL,
+    microphoneDenied: MICROPHONE_DENIED_LABEL,
+    didNotHear: DID_NOT_HEAR_LABEL,
+    reviewMessage: REVIEW_MESSAGE_LABEL,
+    processing: PROCESSING_LABEL,
+    listening: LISTENING_LABEL,
+    sayWakeWord: SAY_WAKE_WORD_LABEL,
+    handsFreeWakeWordHint: HANDS_FREE_WAKE_WORD_HINT_LABEL,
+    handsFreeHint: HANDS_FREE_HINT_LABEL,
+    pushToTalkHint: PUSH_TO_TALK_HINT_LABEL,
+    agentSpeaking: AGENT_SPEAKING_LABEL,
+    agentResponding: AGENT_RESPONDING_LABEL,
+    speakNow: SPEAK_NOW_LABEL,
+    ttsErrorTitle: TTS_ERROR_TITLE_LABEL,
+    ttsError: TTS_ERROR_LABEL,
+    audioPlaybackError: AUDIO_PLAYBACK_ERROR_LABEL,
+    readAloud: READ_ALOUD_LABEL,
+    stopReadingAloud: STOP_READING_ALOUD_LABEL,
+    switchToLightMode: SWITCH_TO_LIGHT_MODE_LABEL,
+    switchToDarkMode: SWITCH_TO_DARK_MODE_LABEL,
+    switchToTextInput: SWITCH_TO_TEXT_INPUT_LABEL,
+    switchToVoiceInput: SWITCH_TO_VOICE_INPUT_LABEL,
+    autoSendNotice: AUTO_SEND_NOTICE_LABEL,
+    welcomeBanner: WELCOME_BANNER_LABEL,
+    dismiss: DISMISS_LABEL,
+    openChat: OPEN_CHAT_LABEL,
+    downloadTranscript: DOWNLOAD_TRANSCRIPT_LABEL,
+    formatMarkdown: FORMAT_MARKDOWN_LABEL,
+    formatText: FORMAT_TEXT_LABEL,
+    formatJson: FORMAT_JSON_LABEL,
+    clearHistory: CLEAR_HISTORY_LABEL,
+    minimizeChat: MINIMIZE_CHAT_LABEL,
+    endChat: END_CHAT_LABEL,
+    agentIcon: AGENT_ICON_LABEL,
+    thoughtProcess: THOUGHT_PROCESS_LABEL,
+    voiceInputStatus: VOICE_INPUT_STATUS_LABEL,
+    recognizedMessage: RECOGNIZED_MESSAGE_LABEL,
+    discardAndRetry: DISCARD_AND_RETRY_LABEL,
+    tryAgain: TRY_AGAIN_LABEL,
+    sendMessage: SEND_MESSAGE_LABEL,
+    send: SEND_LABEL,
+    interruptAgent: INTERRUPT_AGENT_LABEL,
+    interrupt: INTERRUPT_LABEL,
+    messagePlaceholder: MESSAGE_PLACEHOLDER_LABEL,
+    chatEnded: CHAT_ENDED_LABEL,
+    thankYou: THANK_YOU_LABEL,
+    startNewChat: START_NEW_CHAT_LABEL,
+    endChatConfirmTitle: END_CHAT_CONFIRM_TITLE_LABEL,
+    endChatConfirmMessage: END_CHAT_CONFIRM_MESSAGE_LABEL,
+    cancel: CANCEL_LABEL,
+    copyCode: COPY_CODE_LABEL,
+    copy: COPY_LABEL,
+    copied: COPIED_LABEL,
+    transcriptTitle: TRANSCRIPT_TITLE_LABEL,
+    transcriptExported: TRANSCRIPT_EXPORTED_LABEL,
+    transcriptYou: TRANSCRIPT_YOU_LABEL,
+    transcriptAgent: TRANSCRIPT_AGENT_LABEL,
+    transcriptHandoff: TRANSCRIPT_HANDOFF_LABEL,
+    transcriptThoughtProcess: TRANSCRIPT_THOUGHT_PROCESS_LABEL,
+    messageInput: MESSAGE_INPUT_LABEL,
+    conversation: CONVERSATION_LABEL,
+    agentSays: AGENT_SAYS_LABEL,
+    messageNotDelivered: MESSAGE_NOT_DELIVERED_LABEL,
+    moveWindow: MOVE_WINDOW_LABEL,
+    moveWindowHelp: MOVE_WINDOW_HELP_LABEL,
+    rateHelpful: RATE_HELPFUL_LABEL,
+    rateNotHelpful: RATE_NOT_HELPFUL_LABEL,
+    feedbackReasonPrompt: FEEDBACK_REASON_PROMPT_LABEL,
+    feedbackReason: FEEDBACK_REASON_LABEL,
+    feedbackNoReason: FEEDBACK_NO_REASON_LABEL,
+    feedbackReasonIncorrect: FEEDBACK_REASON_INCORRECT_LABEL,
+    feedbackReasonNotHelpful: FEEDBACK_REASON_NOT_HELPFUL_LABEL,
+    feedbackReasonIncomplete: FEEDBACK_REASON_INCOMPLETE_LABEL,
+    feedbackReasonOffTopic: FEEDBACK_REASON_OFF_TOPIC_LABEL,
+    feedbackReasonOther: FEEDBACK_REASON_OTHER_LABEL,
+    feedbackComment: FEEDBACK_COMMENT_LABEL,
+    feedbackSubmit: FEEDBACK_SUBMIT_LABEL,
+    feedbackThanks: FEEDBACK_THANKS_LABEL,
+    feedbackNotSaved: FEEDBACK_NOT_SAVED_LABEL,
+    attachFile: ATTACH_FILE_LABEL,
+    attachments: ATTACHMENTS_LABEL,
+    removeAttachment: REMOVE_ATTACHMENT_LABEL,
+    dropFilesHere: DROP_FILES_HERE_LABEL,
+    attachmentTypeNotAllowed: ATTACHMENT_TYPE_NOT_ALLOWED_LABEL,
+    attachmentTooLarge: ATTACHMENT_TOO_LARGE_LABEL,
+    tooManyAttachments: TOO_MANY_ATTACHMENTS_LABEL,
+    attachmentUploadFailed: ATTACHMENT_UPLOAD_FAILED_LABEL,
+    uploadingAttachments: UPLOADING_ATTACHMENTS_LABEL,
+    transcriptAttachment: TRANSCRIPT_ATTACHMENT_LABEL,
+    useSystemTheme: USE_SYSTEM_THEME_LABEL,
+    suggestedPrompts: SUGGESTED_PROMPTS_LABEL,
+    slashCommands: SLASH_COMMANDS_LABEL,
+    commandNew: COMMAND_NEW_LABEL,
+    commandEnd: COMMAND_END_LABEL,
+    commandExport: COMMAND_EXPORT_LABEL,
+    commandVoice: COMMAND_VOICE_LABEL,
+    commandTheme: COMMAND_THEME_LABEL,
+    commandOption: COMMAND_OPTION_LABEL,
+    idleWarningTitle: IDLE_WARNING_TITLE_LABEL,
+    idleWarning: IDLE_WARNING_LABEL,
+    stillHere: STILL_HERE_LABEL,
+    endedForInactivity: ENDED_FOR_INACTIVITY_LABEL,
+    diagnostics: DIAGNOSTICS_LABEL,
+    diagnosticsSession: DIAGNOSTICS_SESSION_LABEL,
+    diagnosticsSequence: DIAGNOSTICS_SEQUENCE_LABEL,
+    diagnosticsTurns: DIAGNOSTICS_TURNS_LABEL,
+    diagnosticsSpeech: DIAGNOSTICS_SPEECH_LABEL,
+    lastRequest: LAST_REQUEST_LABEL,
+    lastResponse: LAST_RESPONSE_LABEL,
+    notAvailable: NOT_AVAILABLE_LABEL,
+    milliseconds: MILLISECONDS_LABEL,
+    turnSucceeded: TURN_SUCCEEDED_LABEL,
+    copyDebugBundle: COPY_DEBUG_BUNDLE_LABEL,
+    debugBundleCopied: DEBUG_BUNDLE_COPIED_LABEL,
+    debugBundleCopiedDetail: DEBUG_BUNDLE_COPIED_DETAIL_LABEL,
+    debugBundleNotCopied: DEBUG_BUNDLE_NOT_COPIED_LABEL,
+    sessionRenewed: SESSION_RENEWED_LABEL
+};
+
+export const IS_RTL = DIR === 'rtl';
+
+/**
+ * @description Position presets are named for left-to-right layouts; right-to-left languages get them mirrored,
+ * so "bottom-right" means the corner the text ends in.
+ */
+export function localizePosition(position, rtl = IS_RTL) {
+    return rtl && position ? position.replace(/left|right/, side => (side === 'left' ? 'right' : 'left')) : position;
+}
+
+/**
+ * @description Fills the {0}, {1}... placeholders of a label.
+ */
+export function formatLabel(label, ...values) {
+    return String(label || '').replace(/\{(\d+)\}/g, (match, index) => (values[index] !== undefined ? String(values[index]) : match));
+}
+
+function formatDate(date, options) {
+    const value = date instanceof Date ? date : new Date(date);
+    if (Number.isNaN(value.getTime())) return '';
+    try { return new Intl.DateTimeFormat(LOCALE, { ...options, timeZone: TIME_ZONE }).format(value); }
+    catch (e) { return value.toLocaleString(); } // Locale or time zone unknown to this browser
+}
+
+/**
+ * @description Time of day in the user's locale and time zone, with a 12 or 24 hour clock as the locale prefers.
+ */
+export function formatTime(date = new Date()) {
+    return formatDate(date, { hour: 'numeric', minute: '2-digit' });
+}
+
+/**
+ * @description Date and time in the user's locale and time zone.
+ */
+export function formatDateTime(date = new Date()) {
+    return formatDate(date, { dateStyle: 'medium', timeStyle: 'short' });
+}
@@ -0,0 +1,57 @@
+/**
+ * @description Leveled logging for the chat. Nothing reaches the console unless the logLevel property asks for it, but
+ * the most recent entries are always kept, redacted, for the debug bundle in the diagnostics drawer. The exception are
+ * notices: setup problems an admin has to fix, written once per page whatever the level.
+ */
+import { redactPayload } from './diagnostics';
+
+export const LOG_LEVELS = Object.freeze(['off', 'error', 'warn', 'info', 'debug']);
+const PREFIX = '[agentChat]';
+const MAX_ENTRIES = 100;
+const shownNotices = new Set(); // Shared by every chat on the page
+
+export function normalizeLogLevel(level) {
+    const value = String(level || '').trim().toLowerCase();
+    return LOG_LEVELS.includes(value) ? value : 'off';
+}
+
+function describe(value) {
+    if (value instanceof Error) return value.message;
+    if (value && typeof value === 'object') {
+        try { return JSON.stringify(redactPayload(value)); } catch (e) { return String(value); }
+    }
+    return String(value);
+}
+
+// Default for the helper modules' optional logger parameter, so they stay quiet when used on their own
+export const SILENT_LOGGER = Object.freeze({ error() {}, warn() {}, info() {}, debug() {}, notice() {} });
+
+/**
+ * @param {Function} getLevel Returns the current level, read on every call so the property can change at runtime.
+ * @return {object} { error, warn, info, debug, notice, getEntries() }; entries are { time, level, message }, oldest first.
+ */
+export function createLogger(getLevel) {
+    const entries = [];
+    const record = (level, message) => {
+        entries.push({ time: new Date().toISOString(), level, message });
+        if (entries.length > MAX_ENTRIES) entries.shift();
+    };
+    const write = (level, args) => {
+        record(level, args.map(describe).join(' '));
+        const current = LOG_LEVELS.indexOf(normalizeLogLevel(getLevel()));
+        if (current > 0 && LOG_LEVELS.indexOf(level) <= current) console[level](PREFIX, ...args);
+    };
+    return {
+        error: (...args) => write('error', args),
+        warn: (...args) => write('warn', args),
+        info: (...args) => write('info', args),
+        debug: (...args) => write('debug', args),
+        notice: message => {
+            record('warn', message);
+            if (shownNotices.has(message)) return;
+            shownNotices.add(message);
+            console.warn(PREFIX, message);
+        },
+        getEntries: () => entries.slice()
+    };
+}
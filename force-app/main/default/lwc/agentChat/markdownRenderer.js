@@ -0,0 +1,196 @@
+/**
+ * @description Small Markdown to HTML converter for agent replies: headings, emphasis, inline code, fenced code blocks,
+ * ordered/unordered (nested) lists, tables, blockquotes, rules, links, images and bare URLs.
+ * The output is NOT safe on its own. It goes through sanitizeHtml() like any agent HTML, which is also why
+ * raw HTML inside Markdown is passed through untouched. Single line breaks inside a paragraph are kept, as in chat apps.
+ */
+import { LABELS } from './i18n';
+import { SILENT_LOGGER } from './logger';
+
+// Replies containing block-level HTML are already formatted and rendered as HTML
+const HTML_BLOCK_PATTERN = /<(p|div|ul|ol|li|table|h[1-6]|br|pre|blockquote|hr)\b[^>]*>/i;
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([\w+#.-]*)\s*$/;
+const HEADING = /^ {0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE = /^ {0,3}([-*_])(\s*\1){2,}\s*$/;
+const BLOCKQUOTE = /^ {0,3}>\s?(.*)$/;
+const LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const TABLE_DIVIDER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+// Placeholders use control characters that can't appear in agent text
+// eslint-disable-next-line no-control-regex
+const TOKEN = /\u0000(\d+)\u0000/g;
+const ESCAPED_PIPE = /\\\|/g;
+// eslint-disable-next-line no-control-regex
+const PIPE_PLACEHOLDER = /\u0001/g;
+
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function renderInline(text) {
+    // Code spans, links and images are swapped for tokens so emphasis and autolinking don't touch them
+    const tokens = [];
+    const token = (html) => `\u0000${tokens.push(html) - 1}\u0000`;
+    let html = text
+        .replace(/`([^`\n]+)`/g, (match, code) => token(`<code>${escapeHtml(code)}</code>`))
+        .replace(/!\[([^\]]*)\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g, (match, alt, src) => token(`<img src="${escapeHtml(src)}" alt="${escapeHtml(alt)}">`))
+        .replace(/\[([^\]]+)\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g, (match, label, href) => `<a href="${token(escapeHtml(href))}">${label}</a>`)
+        .replace(/(^|[\s(])(https?:\/\/[^\s<>"')]+[^\s<>"').,;:!?])/g, (match, before, url) => before + token(`<a href="${escapeHtml(url)}">${escapeHtml(url)}</a>`));
+    html = html
+        .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*|__(?=\S)([\s\S]*?\S)__/g, (match, a, b) => `<strong>${a || b}</strong>`)
+        .replace(/(^|[^*\w])\*(?=\S)([^*\n]*?\S)\*(?![*\w])/g, '$1<em>$2</em>')
+        .replace(/(^|[^_\w])_(?=\S)([^_\n]*?\S)_(?![_\w])/g, '$1<em>$2</em>')
+        .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+        .replace(/(?: {2,}|\\)?\n/g, '<br>');
+    // Tokens can contain tokens (link labels), so restore until none are left
+    while (html.includes('\u0000')) html = html.replace(TOKEN, (match, index) => tokens[Number(index)]);
+    return html;
+}
+
+function splitTableRow(line) {
+    return line.trim().replace(/^\|/, '').replace(/\|$/, '').replace(ESCAPED_PIPE, '\u0001').split('|').map(cell => cell.trim().replace(PIPE_PLACEHOLDER, '|'));
+}
+
+function isTableStart(lines, index) {
+    return lines[index].includes('|') && index + 1 < lines.length && lines[index + 1].includes('-') && TABLE_DIVIDER.test(lines[index + 1]);
+}
+
+function isBlockStart(lines, index) {
+    const line = lines[index];
+    return FENCE.test(line) || HEADING.test(line) || RULE.test(line) || BLOCKQUOTE.test(line) || LIST_ITEM.test(line) || isTableStart(lines, index);
+}
+
+function renderFence(lines, start, blocks) {
+    const [, marker, language] = lines[start].match(FENCE);
+    const code = [];
+    let index = start + 1;
+    // An unclosed fence runs to the end, which is what a half-streamed reply looks like
+    while (index < lines.length && !(lines[index].trim().startsWith(marker) && lines[index].trim().replace(/[`~]/g, '') === '')) code.push(lines[index++]);
+    const languageAttr = language ? ` title="${escapeHtml(language)}"` : '';
+    blocks.push(`<pre${languageAttr}><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+    return index + 1;
+}
+
+function renderTable(lines, start, blocks) {
+    const header = splitTableRow(lines[start]);
+    const rows = [];
+    let index = start + 2;
+    while (index < lines.length && lines[index].trim() && lines[index].includes('|')) rows.push(splitTableRow(lines[index++]));
+    const headHtml = header.map(cell => `<th scope="col">${renderInline(cell)}</th>`).join('');
+    const bodyHtml = rows.map(row => `<tr>${header.map((h, i) => `<td>${renderInline(row[i] || '')}</td>`).join('')}</tr>`).join('');
+    blocks.push(`<table><thead><tr>${headHtml}</tr></thead>${bodyHtml ? `<tbody>${bodyHtml}</tbody>` : ''}</table>`);
+    return index;
+}
+
+function renderBlockquote(lines, start, blocks) {
+    const quoted = [];
+    let index = start;
+    while (index < lines.length && BLOCKQUOTE.test(lines[index])) quoted.push(lines[index++].match(BLOCKQUOTE)[1]);
+    blocks.push(`<blockquote>${renderBlocks(quoted)}</blockquote>`);
+    return index;
+}
+
+function renderList(lines, start, blocks) {
+    const first = lines[start].match(LIST_ITEM);
+    const indent = first[1].length;
+    const ordered = /\d/.test(first[2]);
+    const items = [];
+    let loose = false;
+    let index = start;
+    while (index < lines.length) {
+        const line = lines[index];
+        const item = line.match(LIST_ITEM);
+        const leading = line.match(/^\s*/)[0].length;
+        if (item && item[1].length === indent && /\d/.test(item[2]) === ordered) {
+            items.push([item[3]]);
+        } else if (!line.trim()) {
+            // A blank line only continues the list if more of it follows
+            const next = lines[index + 1];
+            if (next === undefined || !next.trim() || (next.match(/^\s*/)[0].length <= indent && !LIST_ITEM.test(next))) break;
+            items[items.length - 1].push('');
+            loose = true;
+        } else if (leading > indent) {
+            items[items.length - 1].push(line.replace(new RegExp(`^ {0,${indent + 4}}`), ''));
+        } else if (!isBlockStart(lines, index) && items[items.length - 1][items[items.length - 1].length - 1] !== '') {
+            items[items.length - 1].push(line.trim()); // Lazy continuation of the item's paragraph
+        } else {
+            break;
+        }
+        index++;
+    }
+    const itemsHtml = items.map(itemLines => {
+        const html = renderBlocks(itemLines);
+        return `<li>${loose ? html : html.replace(/^<p>([\s\S]*?)<\/p>/, '$1')}</li>`;
+    }).join('');
+    const startNumber = parseInt(first[2], 10);
+    blocks.push(ordered ? `<ol${startNumber !== 1 ? ` start="${startNumber}"` : ''}>${itemsHtml}</ol>` : `<ul>${itemsHtml}</ul>`);
+    return index;
+}
+
+function renderBlocks(lines) {
+    const blocks = [];
+    let index = 0;
+    while (index < lines.length) {
+        const line = lines[index];
+        if (!line.trim()) { index++; continue; }
+        const heading = line.match(HEADING);
+        if (FENCE.test(line)) index = renderFence(lines, index, blocks);
+        else if (heading) { blocks.push(`<h${heading[1].length}>${renderInline(heading[2])}</h${heading[1].length}>`); index++; }
+        else if (RULE.test(line)) { blocks.push('<hr>'); index++; }
+        else if (isTableStart(lines, index)) index = renderTable(lines, index, blocks);
+        else if (BLOCKQUOTE.test(line)) index = renderBlockquote(lines, index, blocks);
+        else if (LIST_ITEM.test(line)) index = renderList(lines, index, blocks);
+        else {
+            const paragraph = [line.trim()];
+            index++;
+            while (index < lines.length && lines[index].trim() && !isBlockStart(lines, index)) paragraph.push(lines[index++].trim());
+            blocks.push(`<p>${renderInline(paragraph.join('\n'))}</p>`);
+        }
+    }
+    return blocks.join('');
+}
+
+/**
+ * @description Converts Markdown to (unsanitized) HTML.
+ */
+export function renderMarkdown(markdown) {
+    if (!markdown) return '';
+    return renderBlocks(String(markdown).replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n'));
+}
+
+/**
+ * @description Returns agent text as HTML: HTML replies are passed through, everything else is treated as Markdown.
+ */
+export function renderAgentText(text) {
+    if (!text) return '';
+    return HTML_BLOCK_PATTERN.test(text) ? text : renderMarkdown(text);
+}
+
+/**
+ * @description Adds a copy button to every code block in rendered agent content. Safe to call again on the same container.
+ */
+export function addCodeCopyButtons(container, logger = SILENT_LOGGER) {
+    container.querySelectorAll('pre').forEach(pre => {
+        if (pre.parentNode.classList.contains('code-block')) return;
+        const wrapper = document.createElement('div');
+        wrapper.className = 'code-block';
+        pre.parentNode.insertBefore(wrapper, pre);
+        wrapper.appendChild(pre);
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'code-copy-button';
+        button.textContent = LABELS.copy;
+        button.title = LABELS.copyCode;
+        button.addEventListener('click', () => {
+            const code = pre.textContent;
+            const clipboard = navigator.clipboard;
+            const copied = clipboard ? clipboard.writeText(code) : Promise.reject(new Error('Clipboard API not available'));
+            copied.then(() => {
+                button.textContent = LABELS.copied;
+                // eslint-disable-next-line @lwc/lwc/no-async-operation -- resets the button label, harmless if the message is gone
+                setTimeout(() => { button.textContent = LABELS.copy; }, 2000);
+            }).catch(error => logger.warn('Could not copy code block:', error));
+        });
+        wrapper.appendChild(button);
+    });
+}
@@ -0,0 +1,125 @@
+/**
+ * @description Offline stand-in for the AgentChatController Apex methods, used when mockAgentMode is on: to build on
+ * and demo the component without an agent or Connected App, and to test it. Replies come from a script, a list of
+ * rules (or { delay, rules }) tried in order against each message:
+ *   { match, reply, messages, choices, delay, error, expireSession, endSession, once }
+ * match is a case-insensitive substring or "/regex/", a rule without one matches anything. reply is the Inform text,
+ * which may hold HTML and <think> blocks; {message} is replaced with the user's message. messages replaces the whole
+ * turn with Agent API messages ({ type, text, choices }). error fails the call like an Apex exception and
+ * expireSession like an expired session the first time it matches. endSession ends the session after the reply.
+ */
+import { getExtension, isImageFile } from './attachments';
+import { SESSION_EXPIRED_EXCEPTION } from './sessionTimeout';
+import { SILENT_LOGGER } from './logger';
+
+const SESSION_PREFIX = 'MOCK_SESSION_';
+const FALLBACK_RULE = { reply: 'You said: {message}' };
+
+// Shown in scratch orgs and demos when no script is configured
+export const DEFAULT_MOCK_SCRIPT = Object.freeze({
+    delay: 600,
+    rules: [
+        { match: '/^(hello|hi|hey)\\b/', reply: 'Hello! This is a mock agent. Try "think", "html", "choices", "error", "expire" or "bye".' },
+        { match: 'think', reply: '<think>The user wants to see the thought process, so I reason about it here first.</think>This answer came with a thought process.' },
+        { match: 'html', reply: '<p>Replies can contain <strong>HTML</strong>:</p><ul><li>Lists</li><li><a href="https://www.salesforce.com">Links</a></li></ul>' },
+        { match: 'choices', reply: 'Which one would you like?', choices: ['Order status', 'Returns', 'Something else'] },
+        { match: 'error', error: 'The mock agent was asked to fail.' },
+        { match: 'expire', expireSession: true },
+        { match: '/^(bye|goodbye)\\b/', reply: 'Goodbye!', endSession: true },
+        FALLBACK_RULE
+    ]
+});
+
+/**
+ * @description Accepts the script as an object or JSON string; a missing or invalid script gives the default one.
+ * @param {object} logger Receives a warning for an invalid script, see createLogger().
+ * @return {object} { delay, rules }
+ */
+export function parseMockScript(value, logger = SILENT_LOGGER) {
+    let script = value;
+    if (typeof value === 'string') {
+        if (!value.trim()) return DEFAULT_MOCK_SCRIPT;
+        try { script = JSON.parse(value); } catch (e) { logger.warn('Invalid mock agent script, using the default one:', e.message); return DEFAULT_MOCK_SCRIPT; }
+    }
+    if (Array.isArray(script)) return { delay: 0, rules: script };
+    if (script && Array.isArray(script.rules)) return { delay: Number(script.delay) || 0, rules: script.rules };
+    if (script) logger.warn('Mock agent script must be a list of rules or { delay, rules }, using the default one.');
+    return DEFAULT_MOCK_SCRIPT;
+}
+
+export function matchesRule(rule, message) {
+    if (!rule.match) return true;
+    const regex = /^\/(.+)\/$/.exec(rule.match);
+    if (regex) return new RegExp(regex[1], 'i').test(message);
+    return message.toLowerCase().includes(rule.match.toLowerCase());
+}
+
+// Errors shaped like the ones Apex and the Agent API produce, so the component handles them the same way
+function apexError(message, exceptionType) {
+    const error = new Error(message);
+    error.body = exceptionType ? { message, exceptionType } : { message };
+    return error;
+}
+
+function wait(ms) {
+    // eslint-disable-next-line @lwc/lwc/no-async-operation -- simulated reply delay
+    return ms > 0 ? new Promise(resolve => setTimeout(resolve, ms)) : Promise.resolve();
+}
+
+export function buildMockTurn(rule, message) {
+    if (Array.isArray(rule.messages)) return rule.messages;
+    const turn = [];
+    if (rule.reply) {
+        const choices = (rule.choices || []).map(choice => (typeof choice === 'string' ? { label: choice, value: choice } : choice));
+        turn.push({ type: 'Inform', text: rule.reply.split('{message}').join(message), choices });
+    }
+    if (rule.endSession) turn.push({ type: 'EndSession' });
+    return turn;
+}
+
+/**
+ * @description Creates the scripted backend. Its methods take the same parameters as the Apex methods they replace.
+ * @param {object} script As returned by parseMockScript()
+ */
+export function createMockAgent(script = DEFAULT_MOCK_SCRIPT) {
+    const rules = script.rules || [];
+    const usedRules = new Set(); // One-off rules that already fired
+    const activeSessions = new Set();
+    let lastId = 0;
+    const nextId = (prefix) => `${prefix}${++lastId}`;
+    const requireSession = (sessionId) => {
+        if (!activeSessions.has(sessionId)) throw apexError('Agent session is invalid or has expired. Please start a new chat. (Status: 404)', SESSION_EXPIRED_EXCEPTION);
+    };
+
+    return {
+        // Everything is "configured" except ElevenLabs
+        async getChatSettings() { return { agentConfigured: true, hasAgentId: true, speechConfigured: false }; },
+        async initializeAgentSession() {
+            await wait(script.delay);
+            const sessionId = nextId(SESSION_PREFIX);
+            activeSessions.add(sessionId);
+            return sessionId;
+        },
+        async getAgentRecommendation({ sessionId, message }) {
+            requireSession(sessionId);
+            const text = message || '';
+            const rule = rules.find(r => !usedRules.has(r) && matchesRule(r, text)) || FALLBACK_RULE;
+            if (rule.once || rule.expireSession) usedRules.add(rule);
+            await wait(rule.delay === undefined ? script.delay : rule.delay);
+            if (rule.expireSession) { activeSessions.delete(sessionId); requireSession(sessionId); }
+            if (rule.error) throw apexError(rule.error);
+            const turn = buildMockTurn(rule, text);
+            if (rule.endSession) activeSessions.delete(sessionId);
+            return turn;
+        },
+        async endAgentSession({ sessionId }) { activeSessions.delete(sessionId); return 'Session ended'; },
+        async saveChatTranscript() { return nextId('MOCK_TRANSCRIPT_'); },
+        async addMessageToConversation() { return nextId('MOCK_TRANSCRIPT_'); },
+        async submitMessageFeedback({ feedbackId }) { return feedbackId || nextId('MOCK_FEEDBACK_'); },
+        // Nothing is stored, the download link is the file itself
+        async uploadChatAttachment({ fileName, base64Data }) {
+            const mimeType = isImageFile(fileName) ? `image/${getExtension(fileName).replace('jpg', 'jpeg')}` : 'application/octet-stream';
+            return { name: fileName, contentDocumentId: nextId('MOCK_DOCUMENT_'), contentVersionId: nextId('MOCK_VERSION_'), downloadUrl: `data:${mimeType};base64,${base64Data}` };
+        }
+    };
+}
@@ -0,0 +1,26 @@
+/**
+ * @description Session lifetime: recognizing an expired agent session and the idle timeout with its "Are you still
+ * there?" warning. All times are milliseconds.
+ */
+
+// Thrown by AgentChatController when the Agent API no longer knows the session
+export const SESSION_EXPIRED_EXCEPTION = 'AgentChatController.AgentSessionExpiredException';
+
+/**
+ * @description True for the typed Apex error and for a 404 from the streaming request, which the browser makes itself.
+ */
+export function isSessionExpiredError(error) {
+    if (!error) return false;
+    if (error.body) return error.body.exceptionType === SESSION_EXPIRED_EXCEPTION;
+    return error.status === 404;
+}
+
+/**
+ * @param {object} timing { now, lastUserActivityAt, idleTimeoutMs, warningMs }; an idleTimeoutMs of 0 turns the timeout off.
+ * @return {object} { isWarning, isExpired, secondsLeft }
+ */
+export function getIdleState({ now, lastUserActivityAt, idleTimeoutMs, warningMs }) {
+    if (!(idleTimeoutMs > 0)) return { isWarning: false, isExpired: false, secondsLeft: 0 };
+    const remaining = lastUserActivityAt + idleTimeoutMs - now;
+    return { isWarning: remaining > 0 && remaining <= Math.min(warningMs, idleTimeoutMs), isExpired: remaining <= 0, secondsLeft: Math.max(Math.ceil(remaining / 1000), 0) };
+}
@@ -0,0 +1,116 @@
+/**
+ * @description Plays agent replies as a pipeline of sentence-sized chunks: the first chunk starts playing as soon as its
+ * audio is ready while the next ones are already being requested, and every chunk's audio is preloaded so playback
+ * continues without gaps. Generated audio can be kept in a cache, so a reply can be replayed without new requests.
+ */
+import { loadAudio } from './ttsProviders';
+
+const MAX_CHUNK_LENGTH = 200; // Characters per TTS request
+const PREFETCH_CHUNKS = 2; // Requests running ahead of the chunk being played
+
+// Sentence ends: punctuation (plus closing quotes/brackets) followed by whitespace, or CJK full stops
+const SENTENCE_END = /([.!?]+["'”’)\]]*)\s+|([。！？])/g;
+
+function splitLongSentence(sentence, maxLength) {
+    if (sentence.length <= maxLength) return [sentence];
+    const head = sentence.slice(0, maxLength);
+    const clauseEnd = Math.max(head.lastIndexOf(', '), head.lastIndexOf('; '), head.lastIndexOf(': '));
+    const space = head.lastIndexOf(' ');
+    const cut = clauseEnd > maxLength / 2 ? clauseEnd + 1 : (space > 0 ? space : maxLength);
+    return [sentence.slice(0, cut).trim(), ...splitLongSentence(sentence.slice(cut).trim(), maxLength)];
+}
+
+/**
+ * @description Splits plain text into chunks of whole sentences, at most maxLength characters where possible.
+ * The first chunk is a single sentence so playback can start as soon as possible.
+ */
+export function splitIntoSpeechChunks(text, maxLength = MAX_CHUNK_LENGTH) {
+    const sentences = String(text || '').replace(/\s+/g, ' ').replace(SENTENCE_END, '$1$2\n').split('\n').map(s => s.trim()).filter(Boolean);
+    const chunks = [];
+    sentences.forEach(sentence => {
+        splitLongSentence(sentence, maxLength).forEach(part => {
+            const last = chunks[chunks.length - 1];
+            if (chunks.length > 1 && last.length + part.length + 1 <= maxLength) chunks[chunks.length - 1] = `${last} ${part}`;
+            else chunks.push(part);
+        });
+    });
+    return chunks;
+}
+
+/**
+ * @description Creates the speech for one reply. Chunks can be appended while the reply is still streaming;
+ * playback ends once finish() was called and every chunk has been played.
+ * @param {object} settings { service (from createTtsService), options, order, messageId, cache: { get(text), set(text, clip) } }
+ * @return {object} { messageId, text, append(chunks), finish(), play() -> Promise, stop() }. stop() drops every chunk that
+ * hasn't been requested yet and discards the results of requests still running.
+ */
+export function createSpeechJob({ service, options, order, messageId = null, cache = null }) {
+    const chunks = [];
+    const prepared = [];
+    let finished = false;
+    let stopped = false;
+    let playing = null;
+    let position = 0;
+    let wakeUp = null;
+    let done = null;
+
+    const wake = () => { if (wakeUp) { wakeUp(); wakeUp = null; } };
+
+    const prepare = (index) => {
+        if (!prepared[index]) {
+            const text = chunks[index];
+            const cached = cache && cache.get(text);
+            const clip = cached ? Promise.resolve(cached) : service.prepare(text, options, order).then(result => {
+                if (result.src && cache) cache.set(text, result);
+                return result;
+            });
+            prepared[index] = clip.then(result => ({ clip: result, audio: result.src && !stopped ? loadAudio(result.src) : null }));
+            prepared[index].catch(() => {}); // Reported when it's the chunk's turn to play
+        }
+        return prepared[index];
+    };
+
+    const prefetch = () => {
+        if (stopped) return;
+        chunks.slice(position, position + 1 + PREFETCH_CHUNKS).forEach((text, offset) => prepare(position + offset));
+    };
+
+    const playFrom = async () => {
+        if (stopped) return;
+        if (position >= chunks.length) {
+            if (finished) return;
+            await new Promise(resolve => { wakeUp = resolve; }); // More of a streaming reply is on its way
+            await playFrom();
+            return;
+        }
+        prefetch();
+        const { clip, audio } = await prepare(position);
+        if (stopped) return;
+        playing = await service.play(clip, options, order, audio);
+        if (stopped) { playing.stop(); return; }
+        await playing.done;
+        playing = null;
+        position++;
+        await playFrom();
+    };
+
+    return {
+        messageId,
+        get text() { return chunks.join(' '); },
+        append(texts) {
+            if (stopped) return;
+            chunks.push(...texts.filter(Boolean));
+            prefetch(); wake();
+        },
+        finish() { finished = true; wake(); },
+        play() {
+            if (!done) done = playFrom();
+            return done;
+        },
+        stop() {
+            stopped = true;
+            if (playing) playing.stop();
+            wake();
+        }
+    };
+}
@@ -0,0 +1,44 @@
+/**
+ * @description Incremental parser for Server-Sent Events (text/event-stream).
+ * Feed it decoded text as it arrives; it calls onEvent({ event, data, id }) for every complete event.
+ * Events are separated by a blank line, multi-line data fields are joined with "\n", comments (":") are ignored.
+ */
+export function createSseParser(onEvent) {
+    let buffer = '';
+    let eventName = '';
+    let eventId = '';
+    let dataLines = [];
+
+    const dispatch = () => {
+        if (dataLines.length) onEvent({ event: eventName || 'message', data: dataLines.join('\n'), id: eventId });
+        eventName = ''; dataLines = [];
+    };
+
+    const processLine = (line) => {
+        if (line === '') { dispatch(); return; }
+        if (line.startsWith(':')) return;
+        const separator = line.indexOf(':');
+        const field = separator === -1 ? line : line.slice(0, separator);
+        let value = separator === -1 ? '' : line.slice(separator + 1);
+        if (value.startsWith(' ')) value = value.slice(1);
+        if (field === 'data') dataLines.push(value);
+        else if (field === 'event') eventName = value;
+        else if (field === 'id') eventId = value;
+    };
+
+    return {
+        push(text) {
+            buffer += text;
+            // A trailing "\r" may be the first half of "\r\n", wait for the next chunk before splitting on it
+            const pendingCr = buffer.endsWith('\r');
+            const lines = (pendingCr ? buffer.slice(0, -1) : buffer).split(/\r\n|\r|\n/);
+            buffer = lines.pop() + (pendingCr ? '\r' : ''); // Keep the trailing partial line for the next chunk
+            lines.forEach(processLine);
+        },
+        // Call once the stream is closed: handles a last event that wasn't followed by a blank line
+        flush() {
+            if (buffer) { buffer.split(/\r\n|\r|\n/).forEach(processLine); buffer = ''; }
+            dispatch();
+        }
+    };
+}
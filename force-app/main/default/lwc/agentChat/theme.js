@@ -0,0 +1,79 @@
+/**
+ * @description Theme handling: the light/dark/system theme preference and the admin-configured brand tokens,
+ * exposed to agentChat.css as --agent-chat-* custom properties. Values are checked before they reach the style
+ * attribute so a design property can't inject other declarations.
+ */
+import { isSafeUrl } from './htmlSanitizer';
+import { SILENT_LOGGER } from './logger';
+
+export const THEME_MODES = Object.freeze({ LIGHT: 'light', DARK: 'dark', SYSTEM: 'system' });
+const THEME_CYCLE = [THEME_MODES.LIGHT, THEME_MODES.DARK, THEME_MODES.SYSTEM];
+export const SYSTEM_DARK_QUERY = '(prefers-color-scheme: dark)';
+
+// Design property -> custom property
+const COLOR_TOKENS = {
+    primaryColor: '--agent-chat-primary',
+    userBubbleColor: '--agent-chat-user-bubble',
+    userBubbleTextColor: '--agent-chat-user-text',
+    agentBubbleColor: '--agent-chat-agent-bubble',
+    agentBubbleTextColor: '--agent-chat-agent-text'
+};
+const COLOR_PATTERN = /^(#[0-9a-f]{3,8}|(rgb|rgba|hsl|hsla)\([\d\s.,%/-]+\)|[a-z]+)$/i;
+const FONT_PATTERN = /^[\w\s,'"-]+$/;
+const MAX_CORNER_RADIUS = 40;
+
+export function isValidColor(value) {
+    return typeof value === 'string' && COLOR_PATTERN.test(value.trim());
+}
+
+/**
+ * @description Builds the style attribute value with the configured brand tokens; unset or invalid values are left
+ * out so the stylesheet falls back to the Salesforce theme.
+ * @param {object} brand { primaryColor, userBubbleColor, userBubbleTextColor, agentBubbleColor, agentBubbleTextColor, fontFamily, cornerRadius }
+ * @param {object} logger Receives a warning for every invalid value, see createLogger().
+ */
+export function buildThemeStyle(brand = {}, logger = SILENT_LOGGER) {
+    const declarations = [];
+    Object.entries(COLOR_TOKENS).forEach(([key, property]) => {
+        const value = brand[key];
+        if (!value) return;
+        if (isValidColor(value)) declarations.push(`${property}: ${value.trim()}`);
+        else logger.warn(`Ignoring invalid theme color ${key}: "${value}".`);
+    });
+    const font = (brand.fontFamily || '').trim();
+    if (font && FONT_PATTERN.test(font)) declarations.push(`--agent-chat-font: ${font}`);
+    else if (font) logger.warn(`Ignoring invalid font family: "${font}".`);
+    const radius = Number(brand.cornerRadius);
+    if (brand.cornerRadius !== null && brand.cornerRadius !== undefined && brand.cornerRadius !== '' && Number.isFinite(radius)) {
+        declarations.push(`--agent-chat-radius: ${Math.min(Math.max(radius, 0), MAX_CORNER_RADIUS)}px`);
+    }
+    return declarations.join('; ');
+}
+
+/**
+ * @description Image URL for the avatar or launcher icon, or null if it is blank or not http(s)/relative
+ * (static resources are usually given as /resource/...).
+ */
+export function sanitizeImageUrl(url) {
+    const value = (url || '').trim();
+    return value && isSafeUrl(value, new Set(['http', 'https'])) ? value : null;
+}
+
+/**
+ * @description Reads the stored preference; preferences saved before the system option existed are 'true'/'false'.
+ */
+export function parseThemePreference(storedValue, defaultMode) {
+    if (storedValue === 'true') return THEME_MODES.DARK;
+    if (storedValue === 'false') return THEME_MODES.LIGHT;
+    if (THEME_CYCLE.includes(storedValue)) return storedValue;
+    return THEME_CYCLE.includes(defaultMode) ? defaultMode : THEME_MODES.LIGHT;
+}
+
+export function isDarkTheme(mode, systemPrefersDark) {
+    return mode === THEME_MODES.DARK || (mode === THEME_MODES.SYSTEM && Boolean(systemPrefersDark));
+}
+
+// The header toggle goes light -> dark -> system -> light
+export function nextThemeMode(mode) {
+    return THEME_CYCLE[(THEME_CYCLE.indexOf(mode) + 1) % THEME_CYCLE.length];
+}
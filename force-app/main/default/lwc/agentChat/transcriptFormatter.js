@@ -0,0 +1,76 @@
+/**
+ * @description Builds chat transcripts from the component's message list, for saving to Salesforce and for download.
+ * Only conversation messages are included (user, agent and handoff notices), not connection or typing status.
+ */
+import { LABELS, formatLabel, formatDateTime } from './i18n';
+
+const TRANSCRIPT_SENDERS = ['user', 'agent', 'handoff'];
+const SENDER_LABELS = { user: LABELS.transcriptYou, agent: LABELS.transcriptAgent, handoff: LABELS.transcriptHandoff };
+
+export const TRANSCRIPT_FORMATS = {
+    markdown: { extension: 'md', mimeType: 'text/markdown' },
+    text: { extension: 'txt', mimeType: 'text/plain' },
+    json: { extension: 'json', mimeType: 'application/json' }
+};
+
+/**
+ * @description Converts agent HTML to plain text, keeping paragraph and line breaks.
+ */
+export function htmlToPlainText(html) {
+    if (!html) return '';
+    const withBreaks = String(html).replace(/<br\s*\/?>/gi, '\n').replace(/<\/(p|div|li|h[1-6]|tr|pre|blockquote)>/gi, '$&\n');
+    const doc = new DOMParser().parseFromString(withBreaks, 'text/html');
+    return (doc.body.textContent || '').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * @description Maps component messages to transcript entries: { sender, text, thinkingProcess, sentAt }.
+ * Attached files are listed by name after the message text.
+ */
+export function buildTranscriptEntries(messages) {
+    return (messages || [])
+        .filter(m => TRANSCRIPT_SENDERS.includes(m.sender) && !m.isTypingMessage && ((m.text && m.text.trim()) || m.hasAttachments))
+        .map(m => ({
+            sender: m.sender,
+            text: [m.rawHtml ? htmlToPlainText(m.text) : m.text, ...(m.attachments || []).map(a => formatLabel(LABELS.transcriptAttachment, a.name))]
+                .filter(Boolean).join('\n'),
+            thinkingProcess: m.thinkingProcess || null,
+            sentAt: m.createdAt || null
+        }));
+}
+
+function formatTime(isoTimestamp) {
+    return isoTimestamp ? formatDateTime(isoTimestamp) : '';
+}
+
+/**
+ * @description Renders transcript entries in one of TRANSCRIPT_FORMATS.
+ * @param {Array} entries Output of buildTranscriptEntries().
+ * @param {string} format 'markdown', 'text' or 'json'.
+ * @param {object} details { title, agentName, sessionId, recordId } added as a header.
+ * @return {string} The transcript content.
+ */
+export function formatTranscript(entries, format, details = {}) {
+    const exportedAt = new Date().toISOString();
+    if (format === 'json') {
+        return JSON.stringify({ ...details, exportedAt, messages: entries }, null, 2);
+    }
+    const agentLabel = details.agentName || SENDER_LABELS.agent;
+    const senderLabel = (sender) => (sender === 'agent' ? agentLabel : SENDER_LABELS[sender] || sender);
+    if (format === 'markdown') {
+        const lines = [`# ${details.title || LABELS.transcriptTitle}`, '', formatLabel(LABELS.transcriptExported, formatTime(exportedAt)), ''];
+        entries.forEach(entry => {
+            lines.push(`**${senderLabel(entry.sender)}** _${formatTime(entry.sentAt)}_`, '', entry.text, '');
+            if (entry.thinkingProcess) {
+                lines.push(`<details><summary>${LABELS.thoughtProcess}</summary>`, '', entry.thinkingProcess, '', '</details>', '');
+            }
+        });
+        return lines.join('\n');
+    }
+    const lines = [details.title || LABELS.transcriptTitle, formatLabel(LABELS.transcriptExported, formatTime(exportedAt)), ''];
+    entries.forEach(entry => {
+        lines.push(`[${formatTime(entry.sentAt)}] ${senderLabel(entry.sender)}: ${entry.text}`);
+        if (entry.thinkingProcess) lines.push(`    (${LABELS.transcriptThoughtProcess}) ${entry.thinkingProcess}`);
+    });
+    return lines.join('\n');
+}
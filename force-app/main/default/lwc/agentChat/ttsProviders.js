@@ -0,0 +1,195 @@
+/**
+ * @description Text-to-speech providers for voice mode, tried in the configured order with automatic failover.
+ * A provider is { name, isAvailable(options), speak(text, options), synthesize?(text, options) }. speak() resolves once
+ * playback has started, to a handle { done, stop() }: done resolves when playback finishes (or is stopped) and rejects
+ * on playback errors. Providers that generate audio files also implement synthesize(), resolving to an audio URL,
+ * so audio can be requested ahead of playback and cached.
+ * Options shared by all providers: { language, voiceName, rate, pitch } plus provider specific settings
+ * (configurationName, elevenLabsConfigured, elevenLabsVoiceId). To add a provider, implement the shape above and pass it to createTtsService().
+ */
+import { SILENT_LOGGER } from './logger';
+
+const FAILED_PROVIDER_COOLDOWN_MS = 60 * 1000; // A provider that just failed is tried last for this long
+const BROWSER_SPEECH_START_TIMEOUT_MS = 5000; // Some browsers never start an utterance (e.g. no voices installed)
+
+/**
+ * @description Creates an audio element that starts loading right away, so it can start playing without a gap.
+ */
+export function loadAudio(src) {
+    const audio = new Audio(src);
+    audio.preload = 'auto';
+    return audio;
+}
+
+function playAudio(audio, rate) {
+    audio.playbackRate = rate || 1;
+    audio.preservesPitch = true;
+    let stopped = false;
+    const done = new Promise((resolve, reject) => {
+        audio.addEventListener('ended', resolve);
+        // Clearing src in stop() also raises an error event
+        audio.addEventListener('error', () => (stopped ? resolve() : reject(new Error('Audio playback failed.'))));
+    });
+    return audio.play().then(() => ({
+        done,
+        stop() { stopped = true; audio.pause(); audio.src = ''; }
+    }));
+}
+
+/**
+ * @description ElevenLabs through the Apex callout, which reads the API key from the chat configuration.
+ * The rate is applied on playback, pitch isn't supported.
+ * @param {Function} generateSpeech ElevenLabsTTSController.generateSpeech
+ */
+export function createElevenLabsProvider(generateSpeech) {
+    const synthesize = async (text, options) => {
+        const dataUri = await generateSpeech({ text, configurationName: options.configurationName, voiceId: options.elevenLabsVoiceId, languageCode: options.language });
+        if (!dataUri) throw new Error('ElevenLabs returned empty audio data.');
+        return dataUri;
+    };
+    return {
+        name: 'elevenlabs',
+        isAvailable: (options) => Boolean(options.elevenLabsConfigured),
+        synthesize,
+        speak: async (text, options) => playAudio(loadAudio(await synthesize(text, options)), options.rate)
+    };
+}
+
+/**
+ * @description Picks a browser voice: by name (exact, then partial match), else the first voice for the language.
+ */
+export function pickBrowserVoice(voices, voiceName, language) {
+    const list = voices || [];
+    if (voiceName) {
+        const wanted = voiceName.toLowerCase();
+        const byName = list.find(v => v.name.toLowerCase() === wanted || v.voiceURI === voiceName) || list.find(v => v.name.toLowerCase().includes(wanted));
+        if (byName) return byName;
+    }
+    if (!language) return null;
+    const normalized = language.toLowerCase();
+    return list.find(v => (v.lang || '').toLowerCase().replace('_', '-') === normalized) ||
+        list.find(v => (v.lang || '').toLowerCase().startsWith(normalized.split('-')[0])) || null;
+}
+
+/**
+ * @description The browser's native speechSynthesis. Needs no configuration.
+ */
+export function createBrowserProvider() {
+    return {
+        name: 'browser',
+        isAvailable: () => typeof window !== 'undefined' && 'speechSynthesis' in window && typeof window.SpeechSynthesisUtterance === 'function',
+        speak(text, options) {
+            const synth = window.speechSynthesis;
+            const utterance = new window.SpeechSynthesisUtterance(text);
+            if (options.language) utterance.lang = options.language;
+            utterance.rate = options.rate || 1;
+            utterance.pitch = options.pitch === undefined || options.pitch === null ? 1 : options.pitch;
+            const voice = pickBrowserVoice(synth.getVoices(), options.voiceName, options.language);
+            if (voice) utterance.voice = voice;
+            let stopped = false;
+            let started = false;
+            return new Promise((resolveStart, rejectStart) => {
+                // Without onstart the promise would never settle, so give up and let the service fail over
+                // eslint-disable-next-line @lwc/lwc/no-async-operation -- cleared once speech starts or fails
+                const startTimeout = setTimeout(() => {
+                    stopped = true;
+                    synth.cancel();
+                    rejectStart(new Error(`Speech synthesis did not start within ${BROWSER_SPEECH_START_TIMEOUT_MS} ms`));
+                }, BROWSER_SPEECH_START_TIMEOUT_MS);
+                const done = new Promise((resolve, reject) => {
+                    utterance.onend = () => resolve();
+                    utterance.onerror = (event) => {
+                        clearTimeout(startTimeout);
+                        const error = new Error(`Speech synthesis failed: ${event.error}`);
+                        if (stopped || event.error === 'interrupted' || event.error === 'canceled') resolve();
+                        else if (!started) rejectStart(error); // Nothing was spoken, let the service fail over
+                        else reject(error);
+                    };
+                });
+                utterance.onstart = () => {
+                    clearTimeout(startTimeout);
+                    started = true;
+                    resolveStart({ done, stop() { stopped = true; synth.cancel(); } });
+                };
+                synth.speak(utterance);
+            });
+        }
+    };
+}
+
+/**
+ * @description Plays nothing and finishes right away. Used in mock agent mode so voice mode works without audio.
+ */
+export function createSilentProvider() {
+    return {
+        name: 'silent',
+        isAvailable: () => true,
+        speak: () => Promise.resolve({ done: Promise.resolve(), stop() {} })
+    };
+}
+
+/**
+ * @description Combines providers into one service that fails over to the next provider when one can't produce speech.
+ * speak() generates and plays in one go. prepare() only does the generation, to a clip { provider, text, src },
+ * where src is missing for providers that can only speak live. play() plays a prepared clip.
+ * @param {Array} providers All known providers.
+ * @param {object} logger Receives a warning on every failover, see createLogger().
+ * @return {object} { speak, prepare, play, hasAvailableProvider(options, order) }; order is a list of provider names.
+ */
+export function createTtsService(providers, logger = SILENT_LOGGER) {
+    const failedAt = new Map();
+
+    const candidatesFor = (options, order) => {
+        const names = order && order.length ? order : providers.map(p => p.name);
+        const available = names.map(name => providers.find(p => p.name === name)).filter(p => p && p.isAvailable(options));
+        const now = Date.now();
+        const coolingDown = (p) => now - (failedAt.get(p.name) || 0) < FAILED_PROVIDER_COOLDOWN_MS;
+        return available.filter(p => !coolingDown(p)).concat(available.filter(coolingDown));
+    };
+
+    // Runs attempt(provider) against each candidate in turn until one succeeds
+    const tryProviders = async (candidates, index, attempt) => {
+        const provider = candidates[index];
+        try {
+            const result = await attempt(provider);
+            failedAt.delete(provider.name);
+            return result;
+        } catch (error) {
+            failedAt.set(provider.name, Date.now());
+            if (index + 1 >= candidates.length) throw error;
+            logger.warn(`Text-to-speech provider "${provider.name}" failed, falling back to "${candidates[index + 1].name}".`, error);
+            return tryProviders(candidates, index + 1, attempt);
+        }
+    };
+
+    const withCandidates = (options, order, attempt, exclude = null) => {
+        const candidates = candidatesFor(options, order).filter(p => p.name !== exclude);
+        if (!candidates.length) return Promise.reject(new Error('No text-to-speech provider is available.'));
+        return tryProviders(candidates, 0, attempt);
+    };
+
+    const speakWith = (text, options) => async (provider) => ({ ...(await provider.speak(text, options)), provider: provider.name });
+
+    return {
+        hasAvailableProvider: (options, order) => candidatesFor(options, order).length > 0,
+        speak: (text, options, order) => withCandidates(options, order, speakWith(text, options)),
+        prepare: (text, options, order) => withCandidates(options, order, async (provider) => (
+            provider.synthesize ? { provider: provider.name, text, src: await provider.synthesize(text, options) } : { provider: provider.name, text }
+        )),
+        /**
+         * @description Plays a prepared clip, optionally through an already loaded audio element. If that fails,
+         * the clip's text is spoken by the other providers.
+         */
+        async play(clip, options, order, audio = null) {
+            const provider = providers.find(p => p.name === clip.provider);
+            try {
+                const playback = clip.src ? await playAudio(audio || loadAudio(clip.src), options.rate) : await provider.speak(clip.text, options);
+                return { ...playback, provider: clip.provider };
+            } catch (error) {
+                failedAt.set(clip.provider, Date.now());
+                logger.warn(`Text-to-speech provider "${clip.provider}" could not play, trying the others.`, error);
+                return withCandidates(options, order, speakWith(clip.text, options), clip.provider).catch(() => { throw error; });
+            }
+        }
+    };
+}
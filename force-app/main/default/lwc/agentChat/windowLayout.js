@@ -0,0 +1,73 @@
+/**
+ * @description Geometry of the floating chat window: size limits, keeping it on screen, snapping to the corner
+ * presets and resizing from any edge. Rectangles are { x, y, width, height } in viewport pixels, viewports { width, height }.
+ */
+
+export const DEFAULT_WINDOW_SIZE = { width: 380, height: 580 };
+export const WINDOW_SIZE_LIMITS = { minWidth: 300, minHeight: 360, maxWidth: 800, maxHeight: 900 };
+export const MOBILE_BREAKPOINT = 480; // Viewports this narrow get the full-screen layout
+const PRESET_MARGIN = 30; // Distance of the corner presets from the viewport edges
+const SNAP_DISTANCE = 40; // How close to a preset the window has to be dropped to snap to it
+const VIEWPORT_GAP = 10; // Space kept free around a window resized to the maximum
+
+function clamp(value, min, max) {
+    return Math.min(Math.max(value, min), Math.max(min, max));
+}
+
+export function isMobileViewport(viewport) {
+    return viewport.width <= MOBILE_BREAKPOINT;
+}
+
+/**
+ * @description Limits a size to WINDOW_SIZE_LIMITS and to what fits in the viewport.
+ */
+export function clampSize(size, viewport) {
+    return {
+        width: clamp(size.width, WINDOW_SIZE_LIMITS.minWidth, Math.min(WINDOW_SIZE_LIMITS.maxWidth, viewport.width - 2 * VIEWPORT_GAP)),
+        height: clamp(size.height, WINDOW_SIZE_LIMITS.minHeight, Math.min(WINDOW_SIZE_LIMITS.maxHeight, viewport.height - 2 * VIEWPORT_GAP))
+    };
+}
+
+/**
+ * @description Moves a rectangle as little as needed to be fully inside the viewport.
+ */
+export function clampPosition(rect, viewport) {
+    return {
+        x: clamp(rect.x, 0, viewport.width - rect.width),
+        y: clamp(rect.y, 0, viewport.height - rect.height)
+    };
+}
+
+/**
+ * @description The corner preset ('bottom-right', 'top-left'...) a window dropped at rect is close to, or null.
+ * Presets are physical corners here, callers mirror them for right-to-left layouts.
+ */
+export function findSnapPreset(rect, viewport) {
+    const near = (distance) => Math.abs(distance - PRESET_MARGIN) <= SNAP_DISTANCE;
+    const horizontal = (near(rect.x) && 'left') || (near(viewport.width - rect.x - rect.width) && 'right');
+    const vertical = (near(rect.y) && 'top') || (near(viewport.height - rect.y - rect.height) && 'bottom');
+    return horizontal && vertical ? `${vertical}-${horizontal}` : null;
+}
+
+/**
+ * @description Resizes a rectangle by dragging one of its edges or corners.
+ * @param {string} direction Edge or corner being dragged: 'n', 'e', 's', 'w', 'ne', 'nw', 'se' or 'sw'.
+ * @param {number} deltaX Pointer movement since the resize started.
+ * @param {number} deltaY Pointer movement since the resize started.
+ * @return {object} The new rectangle; the opposite edges stay where they were.
+ */
+export function resizeRect(rect, direction, deltaX, deltaY, viewport) {
+    const limits = WINDOW_SIZE_LIMITS;
+    let { x, y, width, height } = rect;
+    if (direction.includes('e')) width = clamp(rect.width + deltaX, limits.minWidth, Math.min(limits.maxWidth, viewport.width - rect.x));
+    if (direction.includes('w')) {
+        width = clamp(rect.width - deltaX, limits.minWidth, Math.min(limits.maxWidth, rect.x + rect.width));
+        x = rect.x + rect.width - width;
+    }
+    if (direction.includes('s')) height = clamp(rect.height + deltaY, limits.minHeight, Math.min(limits.maxHeight, viewport.height - rect.y));
+    if (direction.includes('n')) {
+        height = clamp(rect.height - deltaY, limits.minHeight, Math.min(limits.maxHeight, rect.y + rect.height));
+        y = rect.y + rect.height - height;
+    }
+    return { x, y, width, height };
+}
@@ -0,0 +1,18 @@
+/**
+ * @description Resolves @salesforce/label imports to the English values in CustomLabels.labels-meta.xml, so tests
+ * see the same text as users instead of the "c.LabelName" placeholder sfdx-lwc-jest returns for labels by default.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const LABELS_FILE = path.join(__dirname, '../force-app/main/default/labels/CustomLabels.labels-meta.xml');
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+const unescapeXml = (value) => value.replace(/&(amp|lt|gt|quot|apos);/g, (match, entity) => XML_ENTITIES[entity]);
+
+const xml = fs.readFileSync(LABELS_FILE, 'utf8');
+for (const [, block] of xml.matchAll(/<labels>([\s\S]*?)<\/labels>/g)) {
+    const name = /<fullName>([^<]+)<\/fullName>/.exec(block)[1];
+    const value = unescapeXml(/<value>([\s\S]*?)<\/value>/.exec(block)[1]);
+    jest.doMock(`@salesforce/label/c.${name}`, () => ({ __esModule: true, default: value }), { virtual: true });
+}
@@ -0,0 +1,11 @@
+/**
+ * @description Helpers shared by the LWC Jest tests. Import them as 'test-utils' (mapped in jest.config.js).
+ */
+
+/**
+ * @description Resolves once pending promise callbacks and re-renders have run.
+ */
+export function flushPromises() {
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
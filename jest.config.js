@@ -2,5 +2,7 @@ const { jestConfig } = require('@salesforce/sfdx-lwc-jest/config');
 
 module.exports = {
     ...jestConfig,
+    setupFiles: ['<rootDir>/jest-mocks/customLabels.js'],
+    moduleNameMapper: { '^test-utils$': '<rootDir>/jest-mocks/testUtils.js' },
     modulePathIgnorePatterns: ['<rootDir>/.localdevserver']
 };
@@ -0,0 +1,67 @@
+/*
+ * Local mock of the Agent API streaming endpoint for developing the agentChat streaming mode.
+ *
+ *   node scripts/mock/agentStreamServer.js [port]
+ *
+ * Then set "Streaming Mock Endpoint (Development)" on the component to http://localhost:3001/stream
+ * (and add http://localhost:3001 as a CSP Trusted Site with connect-src in the scratch org).
+ * Every POST answers with a short thought process, the reply split into TextChunk events,
+ * the final Inform message and EndOfTurn, mirroring the Agent API event stream.
+ * Send "escalate" or "bye" to get an Escalate or EndSession message after the reply.
+ */
+const http = require('http');
+
+const PORT = Number(process.argv[2]) || 3001;
+const CHUNK_DELAY_MS = 80;
+
+function buildReply(userMessage) {
+    return (
+        `<think>The user said "${userMessage}". I will answer with a short streamed reply.</think>` +
+        `<p>Thanks for your message! This answer is <strong>streamed</strong> in small chunks. ` +
+        `Each chunk is appended to the same bubble as it arrives. In voice mode the first sentence is spoken right away.</p>`
+    );
+}
+
+function chunk(text, size) {
+    const chunks = [];
+    for (let i = 0; i < text.length; i += size) chunks.push(text.slice(i, i + size));
+    return chunks;
+}
+
+function send(res, message) {
+    res.write(`data: ${JSON.stringify({ message })}\n\n`);
+}
+
+const server = http.createServer((req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept, Authorization');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    if (req.method === 'OPTIONS') { res.writeHead(204); res.end(); return; }
+    if (req.method !== 'POST') { res.writeHead(405); res.end(); return; }
+
+    let body = '';
+    req.on('data', data => { body += data; });
+    req.on('end', () => {
+        let userMessage = '';
+        try { userMessage = JSON.parse(body).message || ''; } catch (e) { userMessage = body; }
+        if (/expire/i.test(userMessage)) { res.writeHead(404, { 'Content-Type': 'application/json' }); res.end('{"message":"Session expired"}'); return; }
+
+        res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+        const reply = buildReply(userMessage);
+        const events = [{ type: 'ProgressIndicator', message: 'Working on it...' }]
+            .concat(chunk(reply, 12).map(text => ({ type: 'TextChunk', message: text })))
+            .concat([{ type: 'Inform', message: reply }]);
+        if (/escalate/i.test(userMessage)) events.push({ type: 'Escalate', message: 'Transferring you to a specialist.' });
+        if (/bye/i.test(userMessage)) events.push({ type: 'EndSession', reason: 'UserRequest' });
+        events.push({ type: 'EndOfTurn' });
+
+        let index = 0;
+        const timer = setInterval(() => {
+            if (index >= events.length) { clearInterval(timer); res.end(); return; }
+            send(res, events[index++]);
+        }, CHUNK_DELAY_MS);
+        req.on('close', () => clearInterval(timer));
+    });
+});
+
+server.listen(PORT, () => console.log(`Mock Agent API stream listening on http://localhost:${PORT}/stream`));